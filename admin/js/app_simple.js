@@ -10,8 +10,10 @@ class AdminPanelApp {
         this.fileManager = null;
         this.githubManager = null;
         this.logManager = null;
+        this.progressTracker = null;
         
         // Components
+        this.progressBar = null;
         this.configForm = null;
         this.dataManager = null;
         this.fileUpload = null;
@@ -84,6 +86,22 @@ class AdminPanelApp {
                 console.log('GitHubManager initialized');
             }
             
+            // Initialize ProgressTracker (shown in the progress overlay)
+            if (window.ProgressTracker) {
+                this.progressTracker = new ProgressTracker();
+                if (window.ProgressBar) {
+                    this.progressBar = new ProgressBar();
+                    this.progressBar.setProgressTracker(this.progressTracker);
+                }
+                console.log('ProgressTracker initialized');
+            }
+            
+            // Workbook saves commit through GitHubManager and report their progress
+            if (this.fileManager) {
+                this.fileManager.setProgressTracker(this.progressTracker);
+                this.fileManager.setGitHubManager(this.githubManager);
+            }
+            
             // Initialize LogManager
             if (window.LogManager) {
                 this.logManager = new LogManager();
@@ -418,6 +436,15 @@ class AdminPanelApp {
         sectionElement.innerHTML = errorHTML;
     }
 
+    /**
+     * Show progress overlay
+     */
+    showProgressOverlay(operationId, title = 'Processando...') {
+        if (this.progressBar) {
+            this.progressBar.showOverlay(operationId, title);
+        }
+    }
+
     /**
      * Reload specific section
      */
@@ -0,0 +1,169 @@
+/**
+ * Balance View
+ * Proposed moves between rooms of the same centro, etapa and horário so the
+ * classes have similar sizes, reviewed and applied by the editor
+ */
+class BalanceView extends DataView {
+    constructor(container, dataManager) {
+        super(container, dataManager);
+        this.plan = null; // RoomCapacity.balance result of the last render
+    }
+
+    createInterface() {
+        this.container.innerHTML = `
+            <div class="catechists-header">
+                <h3>Equilíbrio de Turmas</h3>
+                <button class="btn btn-primary" data-action="apply" disabled>⚖️ Aplicar selecionados</button>
+            </div>
+            <div class="balance-preview"></div>
+        `;
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+        this.container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('balance-select-all')) {
+                this.container.querySelectorAll('.balance-move').forEach(box => { box.checked = e.target.checked; });
+            }
+        });
+    }
+
+    handleAction(action) {
+        if (action === 'apply') this.apply();
+    }
+
+    /**
+     * Propose moves between classes of the same centro, etapa and horário and render them for review
+     */
+    async render() {
+        const dm = this.dataManager;
+        const container = this.$('.balance-preview');
+        const applyBtn = this.$('[data-action="apply"]');
+
+        this.plan = null;
+        applyBtn.disabled = true;
+
+        if (dm.catechumens.length === 0) {
+            container.innerHTML = '<p>Carregue um arquivo Excel para equilibrar as turmas.</p>';
+            return;
+        }
+
+        const config = await dm.fetchConfigFile('centros-etapas.json');
+        const capacity = new RoomCapacity({
+            centros: (config?.centros || []).filter(centro => centro.ativo !== false),
+            padrao: config?.capacidade_salas?.padrao,
+            ocupacaoMinima: config?.capacidade_salas?.ocupacao_minima
+        });
+        if (!dm.getPlacementHeader('sala')) {
+            container.innerHTML = '<p>⚠️ O Excel não tem coluna Sala.</p>';
+            return;
+        }
+
+        this.plan = capacity.balance(dm.getCatechumenPlacements());
+        const { movimentos, grupos } = this.plan;
+
+        if (movimentos.length === 0) {
+            container.innerHTML = '<p>✅ As turmas com o mesmo centro, etapa e horário já estão equilibradas.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p>${movimentos.length} catecúmenos a mudar de sala em ${grupos.length} grupos de turmas.
+                Desmarque os movimentos que não quer aplicar; a etapa e o horário não mudam.</p>
+            <div class="catechumens-table-wrapper">
+                <table class="catechumens-table">
+                    <thead>
+                        <tr>
+                            <th><input type="checkbox" class="balance-select-all" checked></th>
+                            <th>Linha</th>
+                            <th>Nome</th>
+                            <th>Centro</th>
+                            <th>Etapa</th>
+                            <th>Horário</th>
+                            <th>Sala atual</th>
+                            <th>Nova sala</th>
+                            <th>Novos catequistas</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${movimentos.map((move, index) => `
+                            <tr>
+                                <td><input type="checkbox" class="balance-move" data-index="${index}" checked></td>
+                                <td>${move.linha}</td>
+                                <td>${this.esc(move.nome)}</td>
+                                <td>${this.esc(move.centro)}</td>
+                                <td>${this.esc(move.etapa)}</td>
+                                <td>${this.esc(move.horario)}</td>
+                                <td>${this.esc(move.de.sala)}</td>
+                                <td><strong>${this.esc(move.para.sala)}</strong></td>
+                                <td>${this.esc(move.para.catequistas.join(', ')) || '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <h4>Salas depois dos movimentos</h4>
+            <ul>
+                ${grupos.map(group => `
+                    <li>${this.esc(group.centro)} • ${this.esc(group.etapa)} • ${this.esc(group.horario)}:
+                        ${group.turmas.map(t => `${this.esc(t.sala)} ${t.antes} → <strong>${t.depois}</strong>${t.capacidade ? `/${t.capacidade}` : ''}`).join(', ')}</li>
+                `).join('')}
+            </ul>
+        `;
+
+        applyBtn.disabled = false;
+    }
+
+    /**
+     * Move the selected catechumens to their proposed room and catechists, unless the
+     * moves put a catechist or a room in two classes at once and the editor declines
+     */
+    async apply() {
+        const dm = this.dataManager;
+        if (!this.plan) return;
+
+        const selected = Array.from(this.container.querySelectorAll('.balance-move:checked'))
+            .map(box => this.plan.movimentos[Number(box.dataset.index)]);
+        if (selected.length === 0) {
+            dm.showNotification('Selecione pelo menos um movimento', 'warning');
+            return;
+        }
+        if (!confirm(`Mudar ${selected.length} catecúmenos de sala?`)) {
+            return;
+        }
+
+        const salaHeader = dm.getPlacementHeader('sala');
+        const edits = selected.flatMap(move => [
+            { id: move.id, field: salaHeader, value: move.para.sala },
+            ...(move.para.catequistas.length > 0 ? [{ id: move.id, field: 'catechist', value: move.para.catequistas.join(' | ') }] : [])
+        ]);
+        if (!(await dm.checkScheduleEdits(edits))) {
+            return;
+        }
+
+        selected.forEach(move => {
+            const catechumen = dm.catechumens.find(c => c.id === move.id);
+            if (!catechumen) return;
+
+            dm.setCatechumenField(catechumen, salaHeader, move.para.sala);
+            if (move.para.catequistas.length > 0) {
+                dm.setCatechumenField(catechumen, 'catechist', move.para.catequistas.join(' | '));
+                if (!dm.catechists.has(catechumen.class)) {
+                    dm.catechists.set(catechumen.class, new Set());
+                }
+                dm.catechists.get(catechumen.class).add(catechumen.catechist);
+            }
+        });
+
+        window.adminApp?.logManager?.logSuccess('data', `${selected.length} catecúmenos mudados de sala para equilibrar turmas`, {
+            action: 'balance',
+            moves: selected.map(move => ({ linha: move.linha, nome: move.nome, de: move.de.sala, para: move.para.sala }))
+        });
+
+        dm.refreshCurrentView();
+        dm.updateStats();
+        dm.showNotification(`${selected.length} catecúmenos mudados de sala. Salve o Excel para publicar.`, 'success');
+    }
+}
+
+window.BalanceView = BalanceView;
@@ -0,0 +1,314 @@
+/**
+ * Changes View
+ * Pending changes against the loaded workbook, each one revertible, the
+ * edit log, the save button and the saved history of one catecúmeno
+ */
+class ChangesView extends DataView {
+    constructor(container, dataManager) {
+        super(container, dataManager);
+        this.diff = null; // ChangeTracker.diff the revert buttons point into
+    }
+
+    createInterface() {
+        this.container.innerHTML = `
+            <div class="catechists-header">
+                <h3>Alterações por Guardar</h3>
+                <div class="data-actions">
+                    <input type="text" class="change-author" placeholder="Quem está a editar">
+                    <button class="btn btn-success" data-action="save" disabled>💾 Guardar alterações</button>
+                </div>
+            </div>
+            <div class="changes-diff"></div>
+            <div class="catechists-header">
+                <h3>Histórico de um Catecúmeno</h3>
+            </div>
+            <div class="catechumens-filters">
+                <input type="text" class="history-search" placeholder="Nome do catecúmeno...">
+                <button class="btn btn-secondary" data-action="history">📜 Ver histórico</button>
+            </div>
+            <div class="record-history"></div>
+        `;
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+        this.$('.change-author').addEventListener('change', (e) => this.dataManager.setEditorName(e.target.value));
+        this.$('.history-search').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.renderRecordHistory();
+        });
+    }
+
+    handleAction(action, data) {
+        switch (action) {
+            case 'save':
+                this.dataManager.saveToExcel();
+                break;
+            case 'revert':
+                this.revert(data.type, Number(data.index), Number(data.field));
+                break;
+            case 'history':
+                this.renderRecordHistory();
+                break;
+        }
+    }
+
+    /**
+     * Render the pending changes (diff with a revert button per change) and the edit log
+     */
+    async render() {
+        const dm = this.dataManager;
+        const container = this.$('.changes-diff');
+        const saveBtn = this.$('[data-action="save"]');
+
+        this.$('.change-author').value = localStorage.getItem(dm.editorNameKey) || '';
+
+        if (!dm.currentData) {
+            this.diff = null;
+            saveBtn.disabled = true;
+            container.innerHTML = '<p>Carregue um arquivo Excel para acompanhar as alterações.</p>';
+            return;
+        }
+
+        const diff = dm.getPendingChanges();
+        this.diff = diff;
+        saveBtn.disabled = false;
+
+        const since = dm.changesSince ? ` desde ${dm.changesSince.toLocaleString('pt-PT')}` : '';
+        const values = (entry) => ['centro', 'etapa', 'sala', 'horario']
+            .map(field => dm.getPlacementHeader(field))
+            .map(header => header ? entry.valores[header] : '')
+            .filter(Boolean)
+            .join(' • ');
+        const rowButton = (type, index, label) =>
+            `<button class="btn btn-sm btn-secondary" data-action="revert" data-type="${type}" data-index="${index}">${label}</button>`;
+
+        const rowTable = (type, entries, label) => `
+            <div class="catechumens-table-wrapper">
+                <table class="catechumens-table">
+                    <thead>
+                        <tr>
+                            <th>Nome</th>
+                            <th>Nascimento</th>
+                            <th>Turma</th>
+                            <th>Ações</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map((entry, index) => `
+                            <tr>
+                                <td>${this.esc(entry.nome) || '-'}</td>
+                                <td>${this.esc(entry.nascimento) || '-'}</td>
+                                <td>${this.esc(values(entry)) || '-'}</td>
+                                <td>${rowButton(type, index, label)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        const edits = dm.changeTracker.edits.slice(-200).reverse();
+        const editText = (edit) => {
+            switch (edit.tipo) {
+                case 'adicionado': return 'Catecúmeno acrescentado';
+                case 'removido': return 'Catecúmeno removido';
+                case 'reposto': return 'Catecúmeno reposto';
+                default: return `<strong>${this.esc(edit.campo)}</strong>: ${this.esc(edit.antes) || '∅'} → ${this.esc(edit.depois) || '∅'}`;
+            }
+        };
+
+        container.innerHTML = `
+            ${ChangeTracker.isEmpty(diff) ? `<p>✅ Sem alterações${since}.</p>` : `
+                <p><strong>${ChangeTracker.summary(diff)}</strong>${since}. Reveja antes de guardar; cada alteração pode ser desfeita.</p>
+
+                ${diff.added.length > 0 ? `<h4>➕ Adicionados (${diff.added.length})</h4>${rowTable('added', diff.added, '↺ Retirar')}` : ''}
+                ${diff.removed.length > 0 ? `<h4>➖ Removidos (${diff.removed.length})</h4>${rowTable('removed', diff.removed, '↺ Repor')}` : ''}
+                ${diff.modified.length > 0 ? `
+                    <h4>✏️ Modificados (${diff.modified.length})</h4>
+                    <div class="catechumens-table-wrapper">
+                        <table class="catechumens-table">
+                            <thead>
+                                <tr>
+                                    <th>Nome</th>
+                                    <th>Campo</th>
+                                    <th>Antes</th>
+                                    <th>Depois</th>
+                                    <th>Ações</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${diff.modified.map((entry, index) => entry.campos.map((campo, fieldIndex) => `
+                                    <tr>
+                                        ${fieldIndex === 0 ? `<td rowspan="${entry.campos.length}">${this.esc(entry.nome) || '-'}</td>` : ''}
+                                        <td>${this.esc(campo.campo)}</td>
+                                        <td>${this.esc(campo.antes) || '∅'}</td>
+                                        <td>${this.esc(campo.depois) || '∅'}</td>
+                                        <td>
+                                            <button class="btn btn-sm btn-secondary" data-action="revert" data-type="modified" data-index="${index}" data-field="${fieldIndex}">↺ Desfazer</button>
+                                        </td>
+                                    </tr>
+                                `).join('')).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : ''}
+            `}
+
+            <h4>Registo de edições (${dm.changeTracker.edits.length})</h4>
+            ${edits.length === 0 ? '<p>Ainda não há edições.</p>' : `
+                <div class="catechumens-table-wrapper">
+                    <table class="catechumens-table">
+                        <thead>
+                            <tr>
+                                <th>Quando</th>
+                                <th>Quem</th>
+                                <th>Catecúmeno</th>
+                                <th>Alteração</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${edits.map(edit => `
+                                <tr>
+                                    <td>${new Date(edit.em).toLocaleString('pt-PT')}</td>
+                                    <td>${this.esc(edit.autor)}</td>
+                                    <td>${this.esc(edit.nome) || '-'}</td>
+                                    <td>${editText(edit)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Undo one pending change: put a field back to its saved value, take out an
+     * added catechumen or bring back a removed one
+     * @param {string} type - 'added', 'removed' or 'modified'
+     * @param {number} index - Entry index in the rendered diff
+     * @param {number} fieldIndex - Field index (modified only)
+     */
+    revert(type, index, fieldIndex) {
+        const dm = this.dataManager;
+        const entry = this.diff?.[type]?.[index];
+        if (!entry || !dm.currentData) return;
+
+        const rows = dm.currentData.sheets[0].data;
+        const headers = rows[0].map(h => String(h ?? ''));
+        const rowIndex = dm.changeTracker.indexOf(rows, entry.linha);
+        const catechumen = dm.catechumens.find(c => c.rowIndex === rowIndex);
+        const saved = dm.changeTracker.baseline.get(entry.linha) || {};
+
+        switch (type) {
+            case 'modified': {
+                const campo = entry.campos[fieldIndex];
+                if (!catechumen || !campo) return;
+                const field = dm.getHeaderField(campo.campo);
+                dm.setCatechumenField(catechumen, field, saved[campo.campo] ?? '');
+                dm.dataGrid?.clearDirty(catechumen.id, field);
+                break;
+            }
+            case 'added':
+                if (!catechumen || !confirm(`Retirar "${catechumen.name}", acrescentado desde a última gravação?`)) return;
+                dm.recordRowChange(catechumen, 'removido');
+                dm.catechumens = dm.catechumens.filter(c => c !== catechumen);
+                dm.removedRows.add(rowIndex);
+                break;
+            case 'removed': {
+                // Rows already dropped from the sheet (after an export) go back at the end
+                let row = rows[rowIndex];
+                if (!row) {
+                    row = [];
+                    rows.push(row);
+                    dm.changeTracker.assignId(row, entry.linha);
+                }
+                headers.forEach((header, i) => {
+                    if (header in saved) row[i] = saved[header];
+                });
+
+                const position = rows.indexOf(row);
+                dm.removedRows.delete(position);
+                const restored = dm.parseRow(headers, row, position);
+                if (restored) dm.recordRowChange(restored, 'reposto');
+                break;
+            }
+            default:
+                return;
+        }
+
+        dm.rebuildCatechists();
+        dm.updateStats();
+        dm.refreshCurrentView();
+    }
+
+    /**
+     * Show the saved history of one catechumen
+     * @param {Object} catechumen - Catechumen
+     */
+    showRecordHistory(catechumen) {
+        this.$('.history-search').value = catechumen.name;
+        this.renderRecordHistory(catechumen).catch(error => {
+            console.error('Error rendering record history:', error);
+        });
+    }
+
+    /**
+     * Render the saved changes of the catechumen named in the history search box
+     * @param {Object} catechumen - Catechumen (optional; narrows the match by birth date)
+     */
+    async renderRecordHistory(catechumen = null) {
+        const dm = this.dataManager;
+        const container = this.$('.record-history');
+        const name = this.$('.history-search').value.trim();
+        if (!name) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const birthHeader = catechumen ? dm.getPlacementHeader('nascimento') : null;
+        const types = { adicionado: '➕ Adicionado', removido: '➖ Removido', modificado: '✏️ Modificado' };
+
+        container.innerHTML = '<p>A carregar histórico...</p>';
+        try {
+            const history = await dm.getChangeHistory();
+            await history.load();
+            const entries = history.forRecord(name, birthHeader ? catechumen.data[birthHeader] : '');
+
+            container.innerHTML = entries.length === 0 ? `<p>Sem alterações guardadas para "${this.esc(name)}".</p>` : `
+                <div class="catechumens-table-wrapper">
+                    <table class="catechumens-table">
+                        <thead>
+                            <tr>
+                                <th>Data</th>
+                                <th>Quem</th>
+                                <th>Tipo</th>
+                                <th>Alterações</th>
+                                <th>Commit</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${entries.map(entry => `
+                                <tr>
+                                    <td>${new Date(entry.em).toLocaleString('pt-PT')}</td>
+                                    <td>${this.esc(entry.autor)}</td>
+                                    <td>${types[entry.tipo]}</td>
+                                    <td>${entry.campos.length > 0
+                                        ? entry.campos.map(campo => `<strong>${this.esc(campo.campo)}</strong>: ${this.esc(campo.antes) || '∅'} → ${this.esc(campo.depois) || '∅'}`).join('<br>')
+                                        : this.esc(entry.nome)}</td>
+                                    <td>${entry.commit?.url
+                                        ? `<a href="${this.esc(entry.commit.url)}" target="_blank" rel="noopener">${this.esc(entry.commit.sha.slice(0, 7))}</a>`
+                                        : this.esc(entry.commit?.sha?.slice(0, 7)) || '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<p>Não foi possível ler o histórico: ${this.esc(error.message)}</p>`;
+        }
+    }
+}
+
+window.ChangesView = ChangesView;
@@ -378,9 +378,13 @@ class ConfigForm {
         const titles = {
             'paroquia': 'Informações da Paróquia',
             'arquivos': 'Configuração de Arquivos',
+            'anos': 'Anos Catequéticos',
             'interface': 'Configurações da Interface',
             'exportacao': 'Configurações de Exportação',
-            'validacao': 'Regras de Validação'
+            'validacao': 'Regras de Validação',
+            'privacidade': 'Privacidade',
+            'inscricoes': 'Inscrições',
+            'certificados': 'Certificados'
         };
         
         return titles[sectionKey] || this.formatFieldLabel(sectionKey);
@@ -395,9 +399,13 @@ class ConfigForm {
         const descriptions = {
             'paroquia': 'Informações básicas sobre a paróquia e ano catequético atual',
             'arquivos': 'Caminhos para os arquivos principais do sistema',
+            'anos': 'Excel de cada ano catequético, para o seletor de ano das páginas e a evolução entre anos no dashboard',
             'interface': 'Configurações de aparência e comportamento da interface',
             'exportacao': 'Configurações para exportação de dados',
-            'validacao': 'Regras de validação para dados inseridos'
+            'validacao': 'Regras de validação para dados inseridos',
+            'privacidade': 'Acesso dos catequistas aos contactos das famílias',
+            'inscricoes': 'Para onde o formulário público de inscrição envia os pedidos',
+            'certificados': 'Modelo dos certificados de fim de ano dos catecúmenos aprovados'
         };
         
         return descriptions[sectionKey] || '';
@@ -453,6 +461,22 @@ class ConfigForm {
                     type: 'text',
                     placeholder: 'data/template-export.xlsx'
                 },
+                'presencas': { 
+                    label: 'Registo de Presenças', 
+                    type: 'text',
+                    placeholder: 'data/presencas.json'
+                },
+                'inscricoes': { 
+                    label: 'Pedidos de Inscrição', 
+                    type: 'text',
+                    placeholder: 'data/inscricoes.json'
+                },
+                'historico_alteracoes': { 
+                    label: 'Histórico de Alterações', 
+                    type: 'text',
+                    placeholder: 'data/historico-alteracoes.json',
+                    help: 'Índice do histórico; as alterações de cada mês ficam ao lado, em historico-alteracoes-AAAA-MM.json'
+                },
                 'logo': { 
                     label: 'Logotipo', 
                     type: 'text',
@@ -533,6 +557,47 @@ class ConfigForm {
                     type: 'number',
                     min: 0,
                     max: 150
+                },
+                'conflitos_horario': { 
+                    label: 'Conflitos de Horário', 
+                    type: 'select',
+                    options: [
+                        { value: 'avisar', label: 'Avisar e pedir confirmação' },
+                        { value: 'bloquear', label: 'Bloquear a alteração' }
+                    ],
+                    help: 'Ao editar, quando um catequista ou uma sala fica com duas turmas ao mesmo tempo'
+                }
+            },
+            'privacidade': {
+                'codigo_catequistas': { 
+                    label: 'Código de Acesso dos Catequistas (SHA-256)', 
+                    type: 'text',
+                    help: 'Defina ou altere o código em Dados › Contactos; aqui fica apenas o resumo SHA-256. Vazio desativa os contactos.'
+                }
+            },
+            'inscricoes': {
+                'endereco_envio': { 
+                    label: 'Endereço de Envio dos Pedidos', 
+                    type: 'url',
+                    placeholder: 'Ex: https://exemplo.org/inscricoes',
+                    help: 'Serviço que recebe cada pedido (POST JSON) e o grava em arquivos.inscricoes. Vazio: os pedidos ficam só no navegador de quem preenche (modo de teste).'
+                }
+            },
+            'certificados': {
+                'titulo': { 
+                    label: 'Título', 
+                    type: 'text',
+                    placeholder: 'Ex: Certificado de Catequese'
+                },
+                'texto': { 
+                    label: 'Texto do Certificado', 
+                    type: 'textarea',
+                    help: 'Campos disponíveis: {nome}, {nascimento}, {etapa}, {centro}, {sala}, {horario}, {catequistas}, {paroquia}, {secretariado}, {ano_catequetico}, {data}'
+                },
+                'local_data': { 
+                    label: 'Local e Data', 
+                    type: 'text',
+                    placeholder: 'Ex: Luanda, {data}'
                 }
             }
         };
@@ -1076,6 +1141,9 @@ class ConfigForm {
             arquivos: {
                 dados_principais: "data/dados-catequese.xlsx",
                 template_export: "data/template-export.xlsx",
+                presencas: "data/presencas.json",
+                inscricoes: "data/inscricoes.json",
+                historico_alteracoes: "data/historico-alteracoes.json",
                 logo: "assets/images/logo-paroquia.jpg"
             },
             interface: {
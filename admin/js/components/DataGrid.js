@@ -0,0 +1,556 @@
+/**
+ * Data Grid
+ * Editable spreadsheet over every column of the roster sheet, with
+ * column-aware editors, multi-row selection, bulk edits, undo/redo and
+ * markers on the rows changed since the last save
+ */
+class DataGrid {
+    /**
+     * @param {HTMLElement} container - Element the grid is drawn in
+     * @param {DataManager} dataManager - Owner of the catechumens being edited
+     * @param {Object} options
+     * @param {number} options.pageSize - Rows per page
+     * @param {Function} options.onChange - Called with the applied edits after every change
+     */
+    constructor(container, dataManager, { pageSize = 100, onChange = null } = {}) {
+        this.container = container;
+        this.dataManager = dataManager;
+        this.pageSize = pageSize;
+        this.onChange = onChange;
+
+        this.columns = []; // [{field, header, type, options}] in sheet order
+        this.rows = []; // Catechumens matching the current filters
+        this.page = 1;
+        this.selected = new Set(); // Catechumen ids
+        this.lastSelectedIndex = null; // Anchor for shift-click range selection
+
+        // Each undo/redo entry is one batch of {id, field, before, after}
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 200;
+
+        // Value of each edited cell at the last save, and the fields that still differ from it
+        this.original = new Map(); // `${id}|${field}` -> value
+        this.dirty = new Map(); // id -> Set of fields
+
+        this.isInitialized = false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Build the toolbar and table once, then render the rows
+     */
+    init() {
+        if (!this.isInitialized) {
+            this.createInterface();
+            this.setupEventListeners();
+            this.isInitialized = true;
+        }
+        this.render();
+    }
+
+    /**
+     * Create the toolbar, bulk edit bar and table shell
+     */
+    createInterface() {
+        this.container.innerHTML = `
+            <div class="catechumens-filters">
+                <input type="text" class="grid-search" placeholder="Buscar em todas as colunas...">
+                <label><input type="checkbox" class="grid-only-dirty"> Só alteradas</label>
+                <button class="btn btn-sm btn-secondary grid-undo" disabled title="Ctrl+Z">↶ Desfazer</button>
+                <button class="btn btn-sm btn-secondary grid-redo" disabled title="Ctrl+Y">↷ Refazer</button>
+                <span class="grid-dirty-count"></span>
+            </div>
+            <div class="catechumens-filters grid-bulk">
+                <span class="grid-selection-count">0 selecionados</span>
+                <select class="grid-bulk-column"></select>
+                <span class="grid-bulk-value"></span>
+                <button class="btn btn-sm btn-primary grid-bulk-apply" disabled>Aplicar aos selecionados</button>
+                <button class="btn btn-sm btn-secondary grid-clear-selection">Limpar seleção</button>
+            </div>
+            <div class="catechumens-table-wrapper">
+                <table class="catechumens-table data-grid">
+                    <thead></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="catechumens-filters grid-pager"></div>
+        `;
+    }
+
+    /**
+     * Wire the toolbar, the table (event delegation) and the undo/redo shortcuts
+     */
+    setupEventListeners() {
+        const $ = (selector) => this.container.querySelector(selector);
+        const debounce = window.utils?.debounce || ((fn) => fn);
+
+        $('.grid-search').addEventListener('input', debounce(() => {
+            this.page = 1;
+            this.render();
+        }, 200));
+        $('.grid-only-dirty').addEventListener('change', () => {
+            this.page = 1;
+            this.render();
+        });
+        $('.grid-undo').addEventListener('click', () => this.undo());
+        $('.grid-redo').addEventListener('click', () => this.redo());
+        $('.grid-bulk-column').addEventListener('change', () => this.renderBulkEditor());
+        $('.grid-bulk-apply').addEventListener('click', () => this.applyBulkEdit());
+        $('.grid-clear-selection').addEventListener('click', () => {
+            this.selected.clear();
+            this.render();
+        });
+
+        const table = $('.data-grid');
+        table.addEventListener('click', (e) => {
+            const box = e.target.closest('.grid-select');
+            if (box) {
+                this.toggleRow(Number(box.dataset.index), box.checked, e.shiftKey);
+                return;
+            }
+            if (e.target.closest('.grid-select-all')) {
+                this.toggleAll(e.target.checked);
+                return;
+            }
+            const cell = e.target.closest('td.grid-cell');
+            if (cell && !cell.querySelector('.grid-editor')) {
+                this.startEdit(cell);
+            }
+        });
+
+        this.container.querySelector('.grid-pager').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-page]');
+            if (!button) return;
+            this.page = Number(button.dataset.page);
+            this.render();
+        });
+
+        document.addEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * Set the columns shown, with their editor type and options
+     * @param {Array<{field: string, header: string, type: string, options: Array<string>}>} columns
+     *        type is 'text', 'select' (closed list), 'list' (suggestions) or 'date'
+     */
+    setColumns(columns) {
+        this.columns = columns;
+        if (this.isInitialized) this.renderBulkColumns();
+    }
+
+    /**
+     * Forget selection, history and dirty markers (a different workbook was loaded)
+     */
+    reset() {
+        this.selected.clear();
+        this.lastSelectedIndex = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.markClean();
+        this.page = 1;
+    }
+
+    /**
+     * Accept the current values as saved: dirty markers are cleared, history is kept
+     */
+    markClean() {
+        this.original.clear();
+        this.dirty.clear();
+        if (this.isInitialized) this.render();
+    }
+
+    /**
+     * Drop the dirty marker of one cell (its value was put back outside the grid)
+     */
+    clearDirty(id, field) {
+        const fields = this.dirty.get(id);
+        this.original.delete(this.cellKey(id, field));
+        if (!fields) return;
+        fields.delete(field);
+        if (fields.size === 0) this.dirty.delete(id);
+    }
+
+    /**
+     * Stop listening for the undo/redo shortcuts
+     */
+    destroy() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.isInitialized = false;
+    }
+
+    /**
+     * Catechumens matching the search box and the "only changed" filter, in sheet order
+     * @returns {Array<Object>} Catechumens
+     */
+    getFilteredRows() {
+        const search = window.utils.norm(this.container.querySelector('.grid-search')?.value || '');
+        const onlyDirty = this.container.querySelector('.grid-only-dirty')?.checked;
+
+        return this.dataManager.catechumens
+            .filter(catechumen => !onlyDirty || this.dirty.has(catechumen.id))
+            .filter(catechumen => !search || this.columns.some(column =>
+                window.utils.norm(this.getValue(catechumen, column)).includes(search)))
+            .sort((a, b) => a.rowIndex - b.rowIndex);
+    }
+
+    /**
+     * Draw the current page and refresh the toolbar state
+     */
+    render() {
+        if (!this.isInitialized) return;
+
+        const esc = window.HelperUtils.escapeHtml;
+        this.rows = this.getFilteredRows();
+        const pages = Math.max(1, Math.ceil(this.rows.length / this.pageSize));
+        this.page = Math.min(Math.max(1, this.page), pages);
+        const start = (this.page - 1) * this.pageSize;
+        const visible = this.rows.slice(start, start + this.pageSize);
+        const allSelected = this.rows.length > 0 && this.rows.every(c => this.selected.has(c.id));
+
+        this.container.querySelector('thead').innerHTML = `
+            <tr>
+                <th><input type="checkbox" class="grid-select-all" title="Selecionar todas as linhas filtradas" ${allSelected ? 'checked' : ''}></th>
+                <th>Linha</th>
+                ${this.columns.map(column => `<th>${esc(column.header)}</th>`).join('')}
+            </tr>
+        `;
+
+        this.container.querySelector('tbody').innerHTML = visible.map((catechumen, offset) => {
+            const dirtyFields = this.dirty.get(catechumen.id);
+            return `
+                <tr class="${dirtyFields ? 'grid-row-dirty' : ''} ${this.selected.has(catechumen.id) ? 'grid-row-selected' : ''}">
+                    <td><input type="checkbox" class="grid-select" data-index="${start + offset}" ${this.selected.has(catechumen.id) ? 'checked' : ''}></td>
+                    <td class="grid-row-number" title="${dirtyFields ? 'Linha alterada desde a última gravação' : ''}">${dirtyFields ? '● ' : ''}${catechumen.rowIndex + 1}</td>
+                    ${this.columns.map((column, columnIndex) => {
+                        const changed = dirtyFields?.has(column.field);
+                        const original = changed ? this.original.get(this.cellKey(catechumen.id, column.field)) : null;
+                        return `<td class="grid-cell ${changed ? 'grid-cell-dirty' : ''}" data-id="${catechumen.id}" data-col="${columnIndex}"
+                            ${changed ? `title="Antes: ${esc(this.formatValue(original, column)) || '(vazio)'}"` : ''}>${esc(this.formatValue(this.getValue(catechumen, column), column))}</td>`;
+                    }).join('')}
+                </tr>
+            `;
+        }).join('') || `<tr><td colspan="${this.columns.length + 2}">Nenhuma linha encontrada.</td></tr>`;
+
+        this.container.querySelector('.grid-pager').innerHTML = pages > 1 ? `
+            <button class="btn btn-sm btn-secondary" data-page="${this.page - 1}" ${this.page === 1 ? 'disabled' : ''}>‹ Anterior</button>
+            <span>Página ${this.page} de ${pages} (${this.rows.length} linhas)</span>
+            <button class="btn btn-sm btn-secondary" data-page="${this.page + 1}" ${this.page === pages ? 'disabled' : ''}>Seguinte ›</button>
+        ` : `<span>${this.rows.length} linhas</span>`;
+
+        this.updateToolbar();
+    }
+
+    /**
+     * Refresh undo/redo, dirty count and selection count without redrawing the rows
+     */
+    updateToolbar() {
+        const $ = (selector) => this.container.querySelector(selector);
+        $('.grid-undo').disabled = this.undoStack.length === 0;
+        $('.grid-redo').disabled = this.redoStack.length === 0;
+        $('.grid-dirty-count').textContent = this.dirty.size > 0
+            ? `● ${this.dirty.size} linha(s) alterada(s) por guardar`
+            : '';
+        $('.grid-selection-count').textContent = `${this.selected.size} selecionado(s)`;
+        $('.grid-bulk-apply').disabled = this.selected.size === 0 || !this.getBulkColumn();
+        if (!$('.grid-bulk-column').options.length) this.renderBulkColumns();
+    }
+
+    /**
+     * Fill the bulk edit column list
+     */
+    renderBulkColumns() {
+        const select = this.container.querySelector('.grid-bulk-column');
+        const current = select.value;
+        select.innerHTML = this.columns.map((column, index) =>
+            `<option value="${index}">${window.HelperUtils.escapeHtml(column.header)}</option>`
+        ).join('');
+        if (current && this.columns[current]) select.value = current;
+        this.renderBulkEditor();
+    }
+
+    /**
+     * Show the editor of the column chosen for bulk edits
+     */
+    renderBulkEditor() {
+        const column = this.getBulkColumn();
+        const slot = this.container.querySelector('.grid-bulk-value');
+        slot.innerHTML = '';
+        if (column) slot.appendChild(this.createEditor(column, ''));
+        this.updateToolbar();
+    }
+
+    getBulkColumn() {
+        const select = this.container.querySelector('.grid-bulk-column');
+        return select.value === '' ? null : this.columns[Number(select.value)] || null;
+    }
+
+    /**
+     * Select or unselect a row; with shift, every row between it and the previous click
+     * @param {number} index - Index in the filtered rows
+     * @param {boolean} checked - New state
+     * @param {boolean} range - Extend from the previous click
+     */
+    toggleRow(index, checked, range = false) {
+        const from = range && this.lastSelectedIndex !== null ? Math.min(this.lastSelectedIndex, index) : index;
+        const to = range && this.lastSelectedIndex !== null ? Math.max(this.lastSelectedIndex, index) : index;
+        for (let i = from; i <= to; i++) {
+            const catechumen = this.rows[i];
+            if (!catechumen) continue;
+            if (checked) this.selected.add(catechumen.id);
+            else this.selected.delete(catechumen.id);
+        }
+        this.lastSelectedIndex = index;
+        this.render();
+    }
+
+    /**
+     * Select or unselect every row matching the filters (on all pages)
+     */
+    toggleAll(checked) {
+        this.rows.forEach(catechumen => {
+            if (checked) this.selected.add(catechumen.id);
+            else this.selected.delete(catechumen.id);
+        });
+        this.render();
+    }
+
+    /**
+     * Replace a cell's text with the column editor
+     * @param {HTMLElement} cell - Grid cell
+     */
+    startEdit(cell) {
+        const column = this.columns[Number(cell.dataset.col)];
+        const catechumen = this.findCatechumen(Number(cell.dataset.id));
+        if (!column || !catechumen) return;
+
+        const editor = this.createEditor(column, this.getValue(catechumen, column));
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) {
+                const value = this.readEditor(editor, column);
+                if (this.formatValue(value, column) !== this.formatValue(this.getValue(catechumen, column), column)) {
+                    this.applyEdits([{ id: catechumen.id, field: column.field, value }]);
+                    return;
+                }
+            }
+            this.render();
+        };
+
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        editor.addEventListener('blur', () => finish(true));
+        if (editor.tagName === 'SELECT') editor.addEventListener('change', () => finish(true));
+
+        cell.textContent = '';
+        cell.appendChild(editor);
+        editor.focus();
+    }
+
+    /**
+     * Build the input for a column: a closed select, a text box with suggestions or a date picker
+     * @param {Object} column - Column definition
+     * @param {*} value - Current value
+     * @returns {HTMLElement} Editor element
+     */
+    createEditor(column, value) {
+        const current = String(value ?? '');
+        let editor;
+
+        if (column.type === 'select') {
+            editor = document.createElement('select');
+            const options = [...new Set(['', ...column.options, current])];
+            editor.innerHTML = options.map(option =>
+                `<option value="${window.HelperUtils.escapeHtml(option)}">${window.HelperUtils.escapeHtml(option) || '—'}</option>`
+            ).join('');
+            editor.value = current;
+        } else if (column.type === 'date') {
+            editor = document.createElement('input');
+            editor.type = 'date';
+            const date = window.utils.parseDate(value);
+            editor.value = date
+                ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+                : '';
+        } else {
+            editor = document.createElement('input');
+            editor.type = 'text';
+            editor.value = current;
+            if (column.type === 'list' && column.options.length) {
+                const listId = `grid-options-${this.columns.indexOf(column)}`;
+                if (!document.getElementById(listId)) {
+                    const list = document.createElement('datalist');
+                    list.id = listId;
+                    list.innerHTML = column.options.map(option => `<option value="${window.HelperUtils.escapeHtml(option)}">`).join('');
+                    this.container.appendChild(list);
+                }
+                editor.setAttribute('list', listId);
+            }
+        }
+
+        editor.classList.add('grid-editor');
+        return editor;
+    }
+
+    /**
+     * Value to store from an editor. Dates are written as Excel serials, so the cells
+     * stay numeric and keep the column's date format, unless the column holds them as text
+     */
+    readEditor(editor, column) {
+        if (column.type === 'date') {
+            if (!editor.value) return '';
+            return this.hasTextDates(column) ? window.utils.fmtDate(editor.value) : window.utils.excelSerial(editor.value);
+        }
+        return editor.value.trim();
+    }
+
+    /**
+     * Whether a date column holds its dates as text (DD/MM/AAAA) rather than Excel serials
+     * @param {Object} column - Column definition
+     * @returns {boolean} True when there are text dates and no numeric ones
+     */
+    hasTextDates(column) {
+        const values = this.dataManager.catechumens.map(catechumen => this.getValue(catechumen, column));
+        return !values.some(value => typeof value === 'number') && values.some(value => String(value).trim() !== '');
+    }
+
+    /**
+     * Set the bulk edit value on every selected row, as one undoable step
+     */
+    applyBulkEdit() {
+        const column = this.getBulkColumn();
+        const editor = this.container.querySelector('.grid-bulk-value .grid-editor');
+        if (!column || !editor || this.selected.size === 0) return;
+
+        const value = this.readEditor(editor, column);
+        const label = this.formatValue(value, column) || '(vazio)';
+        if (!confirm(`Definir ${column.header} = ${label} em ${this.selected.size} linha(s)?`)) {
+            return;
+        }
+
+        this.applyEdits(Array.from(this.selected, id => ({ id, field: column.field, value })));
+    }
+
+    /**
+     * Apply a batch of edits and record it for undo, unless it puts a catechist or a
+     * room in two classes at once and the editor declines (validacao.conflitos_horario)
+     * @param {Array<{id: number, field: string, value: string}>} edits - New values
+     * @returns {Promise<void>}
+     */
+    async applyEdits(edits) {
+        const batch = [];
+        edits.forEach(({ id, field, value }) => {
+            const catechumen = this.findCatechumen(id);
+            if (!catechumen) return;
+            const before = this.dataManager.getCatechumenField(catechumen, field) ?? '';
+            if (String(before) === String(value)) return;
+            batch.push({ id, field, before, after: value });
+        });
+        if (batch.length === 0) {
+            this.render();
+            return;
+        }
+
+        const allowed = await this.dataManager.checkScheduleEdits(batch.map(({ id, field, after }) => ({ id, field, value: after })));
+        if (!allowed) {
+            this.render();
+            return;
+        }
+
+        this.write(batch, 'after');
+        this.undoStack.push(batch);
+        if (this.undoStack.length > this.maxHistory) this.undoStack.shift();
+        this.redoStack = [];
+        this.finishChange(batch);
+    }
+
+    /**
+     * Undo the last batch of edits
+     */
+    undo() {
+        const batch = this.undoStack.pop();
+        if (!batch) return;
+        this.write(batch, 'before');
+        this.redoStack.push(batch);
+        this.finishChange(batch);
+    }
+
+    /**
+     * Redo the last undone batch
+     */
+    redo() {
+        const batch = this.redoStack.pop();
+        if (!batch) return;
+        this.write(batch, 'after');
+        this.undoStack.push(batch);
+        this.finishChange(batch);
+    }
+
+    /**
+     * Write one side of a batch to the catechumens and update the dirty markers
+     * @param {Array<Object>} batch - Edits
+     * @param {'before'|'after'} side - Which value to write
+     */
+    write(batch, side) {
+        batch.forEach(edit => {
+            const catechumen = this.findCatechumen(edit.id);
+            if (!catechumen) return;
+
+            const cell = this.cellKey(edit.id, edit.field);
+            if (!this.original.has(cell)) this.original.set(cell, edit.before);
+            this.dataManager.setCatechumenField(catechumen, edit.field, edit[side]);
+
+            const fields = this.dirty.get(edit.id) || new Set();
+            if (String(this.original.get(cell) ?? '') === String(edit[side] ?? '')) {
+                fields.delete(edit.field);
+            } else {
+                fields.add(edit.field);
+            }
+            if (fields.size > 0) this.dirty.set(edit.id, fields);
+            else this.dirty.delete(edit.id);
+        });
+    }
+
+    finishChange(batch) {
+        this.onChange?.(batch);
+        this.render();
+    }
+
+    /**
+     * Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) while the grid is shown and no editor has focus
+     */
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || this.dataManager.currentView !== 'grid') return;
+        if (e.target.closest?.('input, select, textarea')) return;
+
+        const keyName = e.key.toLowerCase();
+        if (keyName === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if (keyName === 'y' || (keyName === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    getValue(catechumen, column) {
+        return this.dataManager.getCatechumenField(catechumen, column.field) ?? '';
+    }
+
+    formatValue(value, column) {
+        return column.type === 'date' ? window.utils.fmtDate(value) : String(value ?? '');
+    }
+
+    findCatechumen(id) {
+        return this.dataManager.catechumens.find(c => c.id === id);
+    }
+
+    cellKey(id, field) {
+        return `${id}|${field}`;
+    }
+}
+
+window.DataGrid = DataGrid;
@@ -14,9 +14,33 @@ class DataManager {
         this.catechumens = []; // Array of catechumen objects
         
         // UI state
-        this.currentView = 'overview'; // overview, catechists, catechumens
+        this.currentView = 'overview'; // overview, catechists, catechumens, grid, changes, enrollments, contacts, quality, duplicates, balance, transfers, rollover
         this.selectedClass = null;
         this.selectedCatechumen = null;
+
+        // Age/etapa consistency checker (built from settings and centros-etapas.json)
+        this.qualityChecker = null;
+        this.qualityReport = null;
+
+        // Catechist/room schedule clash detector (built from centros-etapas.json)
+        this.scheduleChecker = null;
+
+        this.removedRows = new Set(); // Sheet rows of removed/merged catechumens
+
+        // Transfer history (Transferências sheet), read on demand from the loaded workbook
+        this.transferHistory = null;
+
+        // Spreadsheet editor over every column (built the first time the grid view opens)
+        this.dataGrid = null;
+
+        // Tabs drawn by their own components (DataView subclasses), keyed by view name
+        this.views = {};
+
+        // Field edit log and diff against the loaded/saved workbook, and the saved change sets
+        this.changeTracker = new ChangeTracker();
+        this.changeHistory = null;
+        this.changesSince = null;
+        this.editorNameKey = 'admin_editor_name';
         
         this.init();
     }
@@ -58,6 +82,15 @@ class DataManager {
                     <button class="nav-btn active" data-view="overview">📋 Visão Geral</button>
                     <button class="nav-btn" data-view="catechists">👥 Catequistas</button>
                     <button class="nav-btn" data-view="catechumens">🎓 Catecúmenos</button>
+                    <button class="nav-btn" data-view="grid">🧮 Planilha</button>
+                    <button class="nav-btn" data-view="changes">🧾 Alterações</button>
+                    <button class="nav-btn" data-view="enrollments">📝 Inscrições</button>
+                    <button class="nav-btn" data-view="contacts">📞 Contactos</button>
+                    <button class="nav-btn" data-view="quality">🩺 Qualidade</button>
+                    <button class="nav-btn" data-view="duplicates">👥 Duplicados</button>
+                    <button class="nav-btn" data-view="balance">⚖️ Equilíbrio</button>
+                    <button class="nav-btn" data-view="transfers">🔀 Transferências</button>
+                    <button class="nav-btn" data-view="rollover">🔄 Novo Ano</button>
                 </div>
 
                 <div class="data-content">
@@ -100,6 +133,48 @@ class DataManager {
                         </div>
                         <div id="catechumens-list"></div>
                     </div>
+
+                    <div id="grid-view" class="data-view">
+                        <div class="catechists-header">
+                            <h3>Planilha</h3>
+                        </div>
+                        <div id="data-grid"></div>
+                    </div>
+
+                    <div id="changes-view" class="data-view"></div>
+
+                    <div id="enrollments-view" class="data-view"></div>
+
+                    <div id="contacts-view" class="data-view">
+                        <div class="catechumens-header">
+                            <h3>Contactos das Famílias</h3>
+                            <div class="catechumens-filters">
+                                <select id="contacts-class-filter">
+                                    <option value="">Todas as turmas</option>
+                                </select>
+                                <input type="text" id="search-contacts" placeholder="Buscar catecúmeno ou contacto...">
+                                <button id="export-contacts-btn" class="btn btn-secondary">📤 Ficha de Contactos</button>
+                                <button id="contact-code-btn" class="btn btn-secondary">🔑 Código dos Catequistas</button>
+                            </div>
+                        </div>
+                        <div id="contacts-list"></div>
+                    </div>
+
+                    <div id="quality-view" class="data-view">
+                        <div class="catechists-header">
+                            <h3>Qualidade dos Dados</h3>
+                            <button id="export-quality-btn" class="btn btn-secondary">📤 Exportar Lista</button>
+                        </div>
+                        <div id="quality-report"></div>
+                    </div>
+
+                    <div id="duplicates-view" class="data-view"></div>
+
+                    <div id="balance-view" class="data-view"></div>
+
+                    <div id="transfers-view" class="data-view"></div>
+
+                    <div id="rollover-view" class="data-view"></div>
                 </div>
             </div>
 
@@ -122,6 +197,29 @@ class DataManager {
         `;
 
         this.attachEventListeners();
+        this.createViews();
+    }
+
+    /**
+     * Create the components that draw their own tab
+     */
+    createViews() {
+        const components = {
+            changes: window.ChangesView,
+            enrollments: window.EnrollmentsView,
+            duplicates: window.DuplicatesView,
+            balance: window.BalanceView,
+            transfers: window.TransfersView,
+            rollover: window.RolloverView
+        };
+
+        this.views = {};
+        Object.entries(components).forEach(([view, Component]) => {
+            const container = document.getElementById(`${view}-view`);
+            if (Component && container) {
+                this.views[view] = new Component(container, this);
+            }
+        });
     }
 
     /**
@@ -137,8 +235,13 @@ class DataManager {
 
         // File operations
         document.getElementById('load-excel-btn')?.addEventListener('click', () => this.loadExcelFile());
-        document.getElementById('save-excel-btn')?.addEventListener('click', () => this.saveToExcel());
+        document.getElementById('save-excel-btn')?.addEventListener('click', () => this.switchView('changes'));
         document.getElementById('export-excel-btn')?.addEventListener('click', () => this.exportExcel());
+        document.getElementById('export-quality-btn')?.addEventListener('click', () => this.exportQualityReport());
+        document.getElementById('export-contacts-btn')?.addEventListener('click', () => this.exportContacts());
+        document.getElementById('contact-code-btn')?.addEventListener('click', () => this.setContactAccessCode());
+        document.getElementById('contacts-class-filter')?.addEventListener('change', () => this.renderContacts());
+        document.getElementById('search-contacts')?.addEventListener('input', () => this.renderContacts());
 
         // Add buttons
         document.getElementById('add-catechist-btn')?.addEventListener('click', () => this.addCatechist());
@@ -152,6 +255,58 @@ class DataManager {
         document.getElementById('save-changes-btn')?.addEventListener('click', () => this.saveChanges());
         document.getElementById('cancel-changes-btn')?.addEventListener('click', () => this.closeModal());
         document.querySelector('.modal-close')?.addEventListener('click', () => this.closeModal());
+
+        // Buttons of the lists drawn here go through data-action attributes (event delegation)
+        ['classes-overview', 'catechists-list', 'catechumens-list', 'contacts-list'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-action]');
+                if (target) this.handleListAction(target.dataset.action, target.dataset);
+            });
+        });
+    }
+
+    /**
+     * Handle a click on a [data-action] button of the overview, catechists,
+     * catechumens or contacts list
+     * @param {string} action - data-action value
+     * @param {DOMStringMap} data - Dataset of the clicked button (class, catechist, id)
+     */
+    handleListAction(action, data) {
+        const id = Number(data.id);
+        switch (action) {
+            case 'load-excel':
+                this.loadExcelFile();
+                break;
+            case 'edit-class':
+            case 'add-catechist':
+                this.editClass(data.class);
+                break;
+            case 'class-details': {
+                const filter = document.getElementById('class-filter');
+                this.switchView('catechumens');
+                if (filter) filter.value = data.class;
+                this.renderCatechumens();
+                break;
+            }
+            case 'edit-catechist':
+                this.editCatechist(data.class, data.catechist);
+                break;
+            case 'remove-catechist':
+                this.removeCatechist(data.class, data.catechist);
+                break;
+            case 'edit-catechumen':
+                this.editCatechumen(id);
+                break;
+            case 'transfer':
+                this.startTransfer(id);
+                break;
+            case 'history':
+                this.showRecordHistory(id);
+                break;
+            case 'remove-catechumen':
+                this.removeCatechumen(id);
+                break;
+        }
     }
 
     /**
@@ -186,6 +341,49 @@ class DataManager {
             case 'catechumens':
                 this.renderCatechumens();
                 break;
+            case 'grid':
+                this.renderGrid().catch(error => {
+                    console.error('Error rendering grid:', error);
+                });
+                break;
+            case 'changes':
+                this.views.changes?.init().catch(error => {
+                    console.error('Error rendering changes:', error);
+                });
+                break;
+            case 'enrollments':
+                this.views.enrollments?.init().catch(error => {
+                    console.error('Error rendering enrollment requests:', error);
+                });
+                break;
+            case 'contacts':
+                this.renderContacts();
+                break;
+            case 'quality':
+                this.renderQuality().catch(error => {
+                    console.error('Error rendering quality report:', error);
+                });
+                break;
+            case 'duplicates':
+                this.views.duplicates?.init().catch(error => {
+                    console.error('Error rendering duplicates:', error);
+                });
+                break;
+            case 'balance':
+                this.views.balance?.init().catch(error => {
+                    console.error('Error rendering balance proposal:', error);
+                });
+                break;
+            case 'transfers':
+                this.views.transfers?.init().catch(error => {
+                    console.error('Error rendering transfers:', error);
+                });
+                break;
+            case 'rollover':
+                this.views.rollover?.init().catch(error => {
+                    console.error('Error rendering rollover preview:', error);
+                });
+                break;
         }
     }
 
@@ -195,9 +393,12 @@ class DataManager {
     async loadData() {
         try {
             // Try to load existing data
-            const data = await this.fileManager.loadExcelData();
+            const settings = await this.getSettings();
+            const currentYear = settings.paroquia?.ano_catequetico;
+            const data = await this.fileManager.loadExcelData(settings.anos?.[currentYear] || settings.arquivos?.dados_principais);
             if (data) {
                 this.processExcelData(data);
+                this.resetChangeTracking();
                 this.refreshCurrentView();
             } else {
                 // Show empty state
@@ -224,7 +425,7 @@ class DataManager {
                     <div class="empty-state-icon">📊</div>
                     <h3>Nenhum dado carregado</h3>
                     <p>Carregue um arquivo Excel para começar a gerenciar os dados da catequese.</p>
-                    <button class="btn btn-primary" onclick="dataManager.loadExcelFile()">
+                    <button class="btn btn-primary" data-action="load-excel">
                         📊 Carregar Arquivo Excel
                     </button>
                 </div>
@@ -242,6 +443,9 @@ class DataManager {
         // Clear existing data
         this.catechists.clear();
         this.catechumens = [];
+        this.removedRows.clear();
+        this.transferHistory = null;
+        this.dataGrid?.reset();
 
         // Process data
         if (data.sheets && data.sheets[0]) {
@@ -259,41 +463,69 @@ class DataManager {
         const rows = sheet.data;
         if (!rows || rows.length < 2) return;
 
-        const headers = rows[0];
-        const nameIndex = headers.findIndex(h => h && h.toLowerCase().includes('nome'));
-        const classIndex = headers.findIndex(h => h && (h.toLowerCase().includes('turma') || h.toLowerCase().includes('etapa')));
-        const catechistIndex = headers.findIndex(h => h && h.toLowerCase().includes('catequista'));
-
         for (let i = 1; i < rows.length; i++) {
-            const row = rows[i];
-            if (!row || !row[nameIndex]) continue;
-
-            const catechumen = {
-                id: i,
-                name: row[nameIndex] || '',
-                class: row[classIndex] || '',
-                catechist: row[catechistIndex] || '',
-                rowIndex: i,
-                data: {}
-            };
+            this.parseRow(rows[0], rows[i], i);
+        }
+    }
 
-            // Add all other fields
-            headers.forEach((header, index) => {
-                if (header && index !== nameIndex && index !== classIndex && index !== catechistIndex) {
-                    catechumen.data[header] = row[index] || '';
-                }
-            });
+    /**
+     * Parse one sheet row into a catechumen
+     * @param {Array} headers - Header row
+     * @param {Array} row - Row values
+     * @param {number} rowIndex - Row index in the sheet
+     * @returns {Object|null} Catechumen, or null for rows without a name
+     */
+    parseRow(headers, row, rowIndex) {
+        const { name: nameIndex, class: classIndex, catechist: catechistIndex } = this.getBasicColumns(headers);
+
+        if (!row || !row[nameIndex]) return null;
+
+        const catechumen = {
+            id: rowIndex,
+            name: row[nameIndex] || '',
+            class: row[classIndex] || '',
+            catechist: row[catechistIndex] || '',
+            rowIndex,
+            data: {}
+        };
 
-            this.catechumens.push(catechumen);
+        // Add all other fields
+        headers.forEach((header, index) => {
+            if (header && index !== nameIndex && index !== classIndex && index !== catechistIndex) {
+                catechumen.data[header] = row[index] || '';
+            }
+        });
 
-            // Track catechists by class
-            if (catechumen.class && catechumen.catechist) {
-                if (!this.catechists.has(catechumen.class)) {
-                    this.catechists.set(catechumen.class, new Set());
-                }
-                this.catechists.get(catechumen.class).add(catechumen.catechist);
+        this.catechumens.push(catechumen);
+
+        // Track catechists by class
+        if (catechumen.class && catechumen.catechist) {
+            if (!this.catechists.has(catechumen.class)) {
+                this.catechists.set(catechumen.class, new Set());
             }
+            this.catechists.get(catechumen.class).add(catechumen.catechist);
         }
+
+        return catechumen;
+    }
+
+    /**
+     * Column indexes of the name, class (etapa) and catechist fields
+     * Exact header names (utils.mapHeaders) win over the older substring match,
+     * so columns such as "Nome do Pai" are never taken for the name
+     * @param {Array} headers - Header row
+     * @returns {{name: number, class: number, catechist: number}} Indexes (-1 if missing)
+     */
+    getBasicColumns(headers) {
+        const labels = headers.map(h => String(h ?? ''));
+        const mapped = window.utils.mapHeaders(labels);
+        const find = (test) => labels.findIndex(h => h && test(h.toLowerCase()));
+
+        return {
+            name: mapped.nome ?? find(h => h.includes('nome')),
+            class: mapped.etapa ?? find(h => h.includes('turma') || h.includes('etapa')),
+            catechist: mapped.catequistas ?? find(h => h.includes('catequista'))
+        };
     }
 
     /**
@@ -318,22 +550,23 @@ class DataManager {
         const container = document.getElementById('classes-overview');
         if (!container) return;
 
+        const esc = window.HelperUtils.escapeHtml;
         let html = '<div class="classes-grid">';
         
         for (const [className, catechists] of this.catechists) {
             const classStudents = this.catechumens.filter(c => c.class === className);
             html += `
                 <div class="class-card">
-                    <h4>${className}</h4>
+                    <h4>${esc(className)}</h4>
                     <div class="class-info">
-                        <p><strong>Catequistas:</strong> ${Array.from(catechists).join(', ')}</p>
+                        <p><strong>Catequistas:</strong> ${esc(Array.from(catechists).join(', '))}</p>
                         <p><strong>Catecúmenos:</strong> ${classStudents.length}</p>
                     </div>
                     <div class="class-actions">
-                        <button class="btn btn-sm btn-primary" onclick="dataManager.editClass('${className}')">
+                        <button class="btn btn-sm btn-primary" data-action="edit-class" data-class="${esc(className)}">
                             ✏️ Editar Turma
                         </button>
-                        <button class="btn btn-sm btn-secondary" onclick="dataManager.viewClassDetails('${className}')">
+                        <button class="btn btn-sm btn-secondary" data-action="class-details" data-class="${esc(className)}">
                             👁️ Ver Detalhes
                         </button>
                     </div>
@@ -352,12 +585,13 @@ class DataManager {
         const container = document.getElementById('catechists-list');
         if (!container) return;
 
+        const esc = window.HelperUtils.escapeHtml;
         let html = '<div class="catechists-grid">';
         
         for (const [className, catechists] of this.catechists) {
             html += `
                 <div class="catechist-group">
-                    <h4>Turma: ${className}</h4>
+                    <h4>Turma: ${esc(className)}</h4>
                     <div class="catechists-in-class">
             `;
             
@@ -366,14 +600,14 @@ class DataManager {
                 html += `
                     <div class="catechist-card">
                         <div class="catechist-info">
-                            <h5>${catechist}</h5>
+                            <h5>${esc(catechist)}</h5>
                             <p>${studentsCount} catecúmenos</p>
                         </div>
                         <div class="catechist-actions">
-                            <button class="btn btn-sm btn-primary" onclick="dataManager.editCatechist('${className}', '${catechist}')">
+                            <button class="btn btn-sm btn-primary" data-action="edit-catechist" data-class="${esc(className)}" data-catechist="${esc(catechist)}">
                                 ✏️ Editar
                             </button>
-                            <button class="btn btn-sm btn-danger" onclick="dataManager.removeCatechist('${className}', '${catechist}')">
+                            <button class="btn btn-sm btn-danger" data-action="remove-catechist" data-class="${esc(className)}" data-catechist="${esc(catechist)}">
                                 🗑️ Remover
                             </button>
                         </div>
@@ -383,7 +617,7 @@ class DataManager {
             
             html += `
                     </div>
-                    <button class="btn btn-sm btn-success" onclick="dataManager.addCatechistToClass('${className}')">
+                    <button class="btn btn-sm btn-success" data-action="add-catechist" data-class="${esc(className)}">
                         ➕ Adicionar Catequista à Turma
                     </button>
                 </div>
@@ -406,6 +640,7 @@ class DataManager {
 
         // Get filtered catechumens
         const filteredCatechumens = this.getFilteredCatechumens();
+        const esc = window.HelperUtils.escapeHtml;
 
         let html = `
             <div class="catechumens-table-wrapper">
@@ -424,14 +659,20 @@ class DataManager {
         filteredCatechumens.forEach(catechumen => {
             html += `
                 <tr>
-                    <td>${catechumen.name}</td>
-                    <td>${catechumen.class}</td>
-                    <td>${catechumen.catechist}</td>
+                    <td>${esc(catechumen.name)}</td>
+                    <td>${esc(catechumen.class)}</td>
+                    <td>${esc(catechumen.catechist)}</td>
                     <td>
-                        <button class="btn btn-sm btn-primary" onclick="dataManager.editCatechumen(${catechumen.id})">
+                        <button class="btn btn-sm btn-primary" data-action="edit-catechumen" data-id="${catechumen.id}">
                             ✏️ Editar
                         </button>
-                        <button class="btn btn-sm btn-danger" onclick="dataManager.removeCatechumen(${catechumen.id})">
+                        <button class="btn btn-sm btn-secondary" data-action="transfer" data-id="${catechumen.id}">
+                            🔀 Transferir
+                        </button>
+                        <button class="btn btn-sm btn-secondary" data-action="history" data-id="${catechumen.id}">
+                            📜 Histórico
+                        </button>
+                        <button class="btn btn-sm btn-danger" data-action="remove-catechumen" data-id="${catechumen.id}">
                             🗑️ Remover
                         </button>
                     </td>
@@ -544,21 +785,22 @@ class DataManager {
         modal.dataset.identifier = JSON.stringify(identifier);
 
         // Build form
+        const esc = window.HelperUtils.escapeHtml;
         let formHTML = '';
         for (const [key, value] of Object.entries(data)) {
-            const fieldName = key.charAt(0).toUpperCase() + key.slice(1);
+            const fieldName = esc(key.charAt(0).toUpperCase() + key.slice(1));
             if (key === 'catechists') {
                 formHTML += `
                     <div class="form-group">
-                        <label for="field-${key}">${fieldName}:</label>
-                        <textarea id="field-${key}" name="${key}" rows="3" placeholder="Separe os nomes por vírgula">${value}</textarea>
+                        <label for="field-${esc(key)}">${fieldName}:</label>
+                        <textarea id="field-${esc(key)}" name="${esc(key)}" rows="3" placeholder="Separe os nomes por vírgula">${esc(value)}</textarea>
                     </div>
                 `;
             } else {
                 formHTML += `
                     <div class="form-group">
-                        <label for="field-${key}">${fieldName}:</label>
-                        <input type="text" id="field-${key}" name="${key}" value="${value}">
+                        <label for="field-${esc(key)}">${fieldName}:</label>
+                        <input type="text" id="field-${esc(key)}" name="${esc(key)}" value="${esc(value)}">
                     </div>
                 `;
             }
@@ -577,8 +819,10 @@ class DataManager {
 
     /**
      * Save changes from modal
+     * Edits that put a catechist or a room in two overlapping classes are
+     * blocked or need confirmation, depending on validacao.conflitos_horario
      */
-    saveChanges() {
+    async saveChanges() {
         const modal = document.getElementById('edit-modal');
         const form = document.getElementById('edit-form');
         const type = modal.dataset.type;
@@ -590,6 +834,10 @@ class DataManager {
             data[key] = value;
         }
 
+        const checker = await this.getScheduleChecker();
+        const schedulesBefore = checker ? this.getClassSchedules() : [];
+        const snapshot = checker ? this.snapshotEdits() : null;
+
         switch (type) {
             case 'class':
                 this.updateClass(identifier, data);
@@ -602,11 +850,148 @@ class DataManager {
                 break;
         }
 
+        if (checker) {
+            const clashes = checker.introduced(schedulesBefore, this.getClassSchedules());
+            if (clashes.length > 0 && !(await this.confirmScheduleConflicts(clashes))) {
+                this.restoreEdits(snapshot);
+                return;
+            }
+        }
+
         this.closeModal();
         this.refreshCurrentView();
         this.updateStats();
     }
 
+    /**
+     * Build the schedule clash detector from the horários in centros-etapas.json
+     * @returns {Promise<ScheduleConflicts|null>} Detector, or null if the script is not loaded
+     */
+    async getScheduleChecker() {
+        if (!window.ScheduleConflicts) return null;
+        if (this.scheduleChecker) return this.scheduleChecker;
+
+        const horarios = (await this.fetchConfigFile('centros-etapas.json'))?.horarios || [];
+        this.scheduleChecker = new ScheduleConflicts({ horarios });
+        return this.scheduleChecker;
+    }
+
+    /**
+     * Group the catechumens into classes (centro + etapa + sala + horário), as the dashboard does
+     * @returns {Array<Object>} Classes with their catechists
+     */
+    getClassSchedules() {
+        return ScheduleConflicts.turmas(this.getCatechumenPlacements());
+    }
+
+    /**
+     * Map catechumens to their class placement (centro, etapa, sala, horário and catechists)
+     * @returns {Array<Object>} Records with id, linha, nome, centro, etapa, sala, horario and catequistas
+     */
+    getCatechumenPlacements() {
+        const headers = (this.currentData?.sheets?.[0]?.data?.[0] || []).map(h => String(h));
+        const columns = window.utils.mapHeaders(headers);
+        const field = (catechumen, name) => columns[name] !== undefined ? String(catechumen.data[headers[columns[name]]] ?? '').trim() : '';
+
+        return this.catechumens.map(catechumen => ({
+            id: catechumen.id,
+            linha: catechumen.rowIndex + 1,
+            nome: catechumen.name,
+            centro: field(catechumen, 'centro'),
+            etapa: String(catechumen.class).trim(),
+            sala: field(catechumen, 'sala'),
+            horario: field(catechumen, 'horario'),
+            catequistas: String(catechumen.catechist)
+        }));
+    }
+
+    /**
+     * Tell the user about the clashes an edit would introduce
+     * @param {Array<Object>} clashes - Conflicts from ScheduleConflicts.introduced
+     * @returns {Promise<boolean>} True if the edit should be kept
+     */
+    async confirmScheduleConflicts(clashes) {
+        const settings = await this.getSettings();
+        const mode = settings.validacao?.conflitos_horario || 'avisar';
+        const lines = clashes.slice(0, 5).map(clash => '• ' + ScheduleConflicts.describe(clash));
+        if (clashes.length > lines.length) {
+            lines.push(`• ... e mais ${clashes.length - lines.length}`);
+        }
+
+        if (mode === 'bloquear') {
+            this.showNotification(`Alteração bloqueada por conflito de horário: ${lines.join(' ')}`, 'error');
+            return false;
+        }
+        return confirm(`Esta alteração cria conflitos de horário:\n\n${lines.join('\n')}\n\nGuardar mesmo assim?`);
+    }
+
+    /**
+     * Check the schedule clashes a set of field edits would introduce, before they
+     * are applied, and ask or block as the modal editor does (validacao.conflitos_horario)
+     * @param {Array<{id: number, field: string, value: *}>} edits - Catechumen fields as in setCatechumenField
+     * @param {Object} options
+     * @param {boolean} options.includeDestination - Also report the clashes the classes the catechumens
+     *        move into already have (a transfer joins an existing class, so it never introduces one)
+     * @returns {Promise<boolean>} True if the edits can be applied
+     */
+    async checkScheduleEdits(edits, { includeDestination = false } = {}) {
+        const placementFields = { class: 'etapa', catechist: 'catequistas' };
+        ['centro', 'sala', 'horario'].forEach(field => {
+            const header = this.getPlacementHeader(field);
+            if (header) placementFields[header] = field;
+        });
+
+        const moves = edits.filter(edit => placementFields[edit.field]);
+        if (moves.length === 0) return true;
+
+        const checker = await this.getScheduleChecker();
+        if (!checker) return true;
+
+        const placements = this.getCatechumenPlacements();
+        const proposed = placements.map(placement => {
+            const changes = moves.filter(edit => edit.id === placement.id);
+            if (changes.length === 0) return placement;
+
+            const moved = { ...placement };
+            changes.forEach(edit => {
+                const field = placementFields[edit.field];
+                moved[field] = field === 'catequistas' ? String(edit.value ?? '') : String(edit.value ?? '').trim();
+            });
+            return moved;
+        });
+
+        const after = ScheduleConflicts.turmas(proposed);
+        const introduced = new Set(checker.introduced(ScheduleConflicts.turmas(placements), after).map(clash => clash.id));
+        const destinations = new Set(proposed
+            .filter(placement => includeDestination && moves.some(edit => edit.id === placement.id))
+            .map(placement => `${placement.centro}|${placement.etapa}|${placement.sala}|${placement.horario}`));
+        const clashes = checker.detect(after)
+            .filter(clash => introduced.has(clash.id) || clash.turmas.some(turma => destinations.has(turma.chave)));
+        return clashes.length === 0 || await this.confirmScheduleConflicts(clashes);
+    }
+
+    /**
+     * Copy the editable state so a rejected edit can be undone
+     * @returns {Object} Snapshot of catechumens and the class -> catechists map
+     */
+    snapshotEdits() {
+        return {
+            catechumens: JSON.parse(JSON.stringify(this.catechumens)),
+            catechists: new Map(Array.from(this.catechists, ([className, names]) => [className, new Set(names)])),
+            edits: this.changeTracker.edits.length
+        };
+    }
+
+    /**
+     * Restore a snapshot taken with snapshotEdits
+     * @param {Object} snapshot - Snapshot
+     */
+    restoreEdits(snapshot) {
+        this.catechumens = snapshot.catechumens;
+        this.catechists = snapshot.catechists;
+        this.changeTracker.edits.length = snapshot.edits;
+    }
+
     /**
      * Update class catechists
      */
@@ -618,7 +1003,7 @@ class DataManager {
             if (catechumen.class === className) {
                 // Assign catechists in round-robin fashion
                 const index = this.catechumens.filter(c => c.class === className).indexOf(catechumen);
-                catechumen.catechist = newCatechists[index % newCatechists.length] || newCatechists[0] || '';
+                this.setCatechumenField(catechumen, 'catechist', newCatechists[index % newCatechists.length] || newCatechists[0] || '');
             }
         });
 
@@ -636,7 +1021,7 @@ class DataManager {
         // Update all catechumens with this catechist
         this.catechumens.forEach(catechumen => {
             if (catechumen.class === className && catechumen.catechist === oldCatechist) {
-                catechumen.catechist = newCatechist;
+                this.setCatechumenField(catechumen, 'catechist', newCatechist);
             }
         });
 
@@ -655,16 +1040,8 @@ class DataManager {
         const catechumen = this.catechumens.find(c => c.id === id);
         if (!catechumen) return;
 
-        catechumen.name = data.name;
-        catechumen.class = data.class;
-        catechumen.catechist = data.catechist;
-
-        // Update additional data
-        Object.keys(data).forEach(key => {
-            if (!['name', 'class', 'catechist'].includes(key)) {
-                catechumen.data[key] = data[key];
-            }
-        });
+        // Basic fields and additional data
+        Object.keys(data).forEach(field => this.setCatechumenField(catechumen, field, data[field]));
 
         // Update catechists map if class changed
         if (!this.catechists.has(data.class)) {
@@ -684,8 +1061,9 @@ class DataManager {
             const file = e.target.files[0];
             if (file) {
                 try {
-                    const data = await this.fileManager.processExcelFile(file);
+                    const data = await this.fileManager.readExcelData(file);
                     this.processExcelData(data);
+                    this.resetChangeTracking();
                     this.refreshCurrentView();
                     this.showNotification('Excel carregado com sucesso!', 'success');
                 } catch (error) {
@@ -700,22 +1078,120 @@ class DataManager {
      * Save to Excel
      */
     async saveToExcel() {
+        if (!this.currentData) return;
+
+        const logManager = window.adminApp?.logManager;
+        const diff = this.getPendingChanges();
+        const autor = this.getEditorName();
+        const summary = ChangeTracker.summary(diff);
+
+        if (ChangeTracker.isEmpty(diff) && !confirm('Não há alterações desde o último carregamento. Guardar o Excel mesmo assim?')) {
+            return;
+        }
+
         try {
-            await this.syncToExcel();
+            const settings = await this.getSettings();
+            const path = settings.anos?.[settings.paroquia?.ano_catequetico] || settings.arquivos?.dados_principais || 'data/dados-catequese.xlsx';
+            const message = ChangeTracker.isEmpty(diff)
+                ? `Atualizar ${path} (${autor})`
+                : `Atualizar ${path}: ${summary} (${autor})`;
+            // Taken before the sync, which drops the removed rows and reparses the sheet
+            const changeSet = this.changeTracker.changeSet(diff, { autor, mensagem: message, ficheiro: path });
+
+            const repository = this.getRepository();
+            const operationId = `save-excel-${Date.now()}`;
+            window.adminApp?.showProgressOverlay?.(operationId, 'Guardar Excel');
+            const result = await this.syncToExcel({ path, message, repository, operationId });
+
+            // Without GitHub nothing left the browser: the changes stay pending and unrecorded
+            if (repository instanceof LocalRepository) {
+                logManager?.logWarning('data', `Excel guardado apenas neste navegador (sem GitHub): ${summary}`, { action: 'save', path });
+                this.refreshCurrentView();
+                this.showNotification('Sem GitHub configurado, o Excel foi guardado apenas neste navegador e não foi publicado. As alterações continuam por guardar.', 'warning');
+                return;
+            }
+
+            // The change set goes to its own file, pointing at the workbook commit
+            if (!ChangeTracker.isEmpty(diff)) {
+                changeSet.commit = result?.commitSha ? { sha: result.commitSha, url: result.commitUrl || null } : null;
+                try {
+                    const history = await this.getChangeHistory();
+                    await history.append(changeSet);
+                } catch (error) {
+                    logManager?.logError('data', 'Erro ao guardar o histórico de alterações', { error: error.message });
+                    this.showNotification('Excel guardado, mas o histórico de alterações não foi gravado: ' + error.message, 'warning');
+                }
+            }
+
+            // Enrollment requests placed in the roster are approved now that their rows are saved
+            const stillPending = await this.views.enrollments?.approvePlaced() || [];
+            if (stillPending.length > 0) {
+                this.showNotification(`Excel guardado, mas estes pedidos de inscrição continuam pendentes: ${stillPending.join(', ')}`, 'warning');
+            }
+
+            logManager?.logSuccess('data', `Excel guardado por ${autor}: ${summary}`, {
+                action: 'save',
+                path,
+                commit: result?.commitSha || null,
+                edits: changeSet.edicoes.length
+            });
+
+            this.resetChangeTracking();
+            this.dataGrid?.markClean();
+            this.refreshCurrentView();
             this.showNotification('Dados salvos no Excel com sucesso!', 'success');
         } catch (error) {
+            logManager?.logError('data', 'Erro ao guardar o Excel', { error: error.message });
             this.showNotification('Erro ao salvar: ' + error.message, 'error');
         }
     }
 
     /**
      * Sync data back to Excel format
+     * @param {Object} options - Passed to FileManager.saveExcelData (path, message, repository, operationId)
+     * @returns {Promise<Object>} Save result (commitFile result when committed to GitHub)
      */
-    async syncToExcel() {
-        if (!this.currentData) return;
+    async syncToExcel(options = {}) {
+        if (!this.currentData) return null;
+
+        this.applyChangesToSheet();
 
+        return await this.fileManager.saveExcelData(this.currentData, options);
+    }
+
+    /**
+     * Write the in-memory catechumen edits back into the first sheet rows
+     * and drop the rows of removed or merged catechumens
+     */
+    applyChangesToSheet() {
         const sheet = this.currentData.sheets[0];
-        const rows = sheet.data;
+        const rows = this.writeCatechumensToRows();
+
+        // Drop rows of removed or merged catechumens
+        if (this.removedRows.size > 0) {
+            sheet.data = rows.filter((row, index) => !this.removedRows.has(index));
+            this.processExcelData(this.currentData);
+        }
+    }
+
+    /**
+     * Copy of the workbook with the pending edits written and the removed rows dropped,
+     * for previews that must not touch the editor state (rows, removedRows, grid)
+     * @returns {Object} Workbook data ({sheets})
+     */
+    getEditedWorkbook() {
+        this.writeCatechumensToRows();
+        const workbook = JSON.parse(JSON.stringify(this.currentData));
+        workbook.sheets[0].data = workbook.sheets[0].data.filter((row, index) => !this.removedRows.has(index));
+        return workbook;
+    }
+
+    /**
+     * Write the in-memory catechumen edits into the first sheet rows (removed rows stay in place)
+     * @returns {Array<Array>} Sheet rows
+     */
+    writeCatechumensToRows() {
+        const rows = this.currentData.sheets[0].data;
 
         // Update existing rows
         this.catechumens.forEach(catechumen => {
@@ -724,9 +1200,7 @@ class DataManager {
                 const headers = rows[0];
 
                 // Update basic fields
-                const nameIndex = headers.findIndex(h => h && h.toLowerCase().includes('nome'));
-                const classIndex = headers.findIndex(h => h && (h.toLowerCase().includes('turma') || h.toLowerCase().includes('etapa')));
-                const catechistIndex = headers.findIndex(h => h && h.toLowerCase().includes('catequista'));
+                const { name: nameIndex, class: classIndex, catechist: catechistIndex } = this.getBasicColumns(headers);
 
                 if (nameIndex >= 0) row[nameIndex] = catechumen.name;
                 if (classIndex >= 0) row[classIndex] = catechumen.class;
@@ -742,8 +1216,95 @@ class DataManager {
             }
         });
 
-        // Save to file system (this would need backend integration)
-        await this.fileManager.saveExcelData(this.currentData);
+        return rows;
+    }
+
+    /**
+     * Take the loaded (or just saved) workbook as the reference for the change tracker
+     */
+    resetChangeTracking() {
+        this.changeTracker.setBaseline(this.currentData?.sheets?.[0]?.data || []);
+        this.changesSince = new Date();
+    }
+
+    /**
+     * Diff of the edited roster against the loaded/saved workbook
+     * @returns {{added: Array, removed: Array, modified: Array}} ChangeTracker.diff result
+     */
+    getPendingChanges() {
+        if (!this.currentData?.sheets?.[0]) return { added: [], removed: [], modified: [] };
+        return this.changeTracker.diff(this.writeCatechumensToRows(), this.removedRows);
+    }
+
+    /**
+     * Log a whole-row change (catechumen added, removed or put back)
+     * @param {Object} catechumen - Catechumen
+     * @param {string} tipo - 'adicionado', 'removido' or 'reposto'
+     */
+    recordRowChange(catechumen, tipo) {
+        const row = this.currentData?.sheets?.[0]?.data?.[catechumen.rowIndex];
+        if (!row) return;
+
+        this.changeTracker.record({
+            tipo,
+            linha: this.changeTracker.idFor(row),
+            nome: catechumen.name,
+            autor: this.getEditorName()
+        });
+    }
+
+    /**
+     * Name recorded as the author of edits (kept in this browser)
+     */
+    getEditorName() {
+        return localStorage.getItem(this.editorNameKey) || 'admin';
+    }
+
+    setEditorName(name) {
+        const trimmed = String(name || '').trim();
+        if (trimmed) {
+            localStorage.setItem(this.editorNameKey, trimmed);
+        } else {
+            localStorage.removeItem(this.editorNameKey);
+        }
+    }
+
+    /**
+     * Repository used to commit data files: GitHub when a real token is configured,
+     * otherwise the local stand-in that keeps the commits in this browser. Nothing
+     * committed to the LocalRepository is published, so callers must say so
+     */
+    getRepository() {
+        const github = window.adminApp?.githubManager;
+        const useGitHub = github?.isConfigured() && !String(github.token).includes('mock_token');
+        return useGitHub ? github : new LocalRepository({ base: '../' });
+    }
+
+    /**
+     * Saved change sets (arquivos.historico_alteracoes)
+     * @returns {Promise<ChangeHistory>} History store
+     */
+    async getChangeHistory() {
+        if (this.changeHistory) return this.changeHistory;
+
+        const settings = await this.getSettings();
+        this.changeHistory = new ChangeHistory({
+            repository: this.getRepository(),
+            path: settings.arquivos?.historico_alteracoes || 'data/historico-alteracoes.json'
+        });
+        return this.changeHistory;
+    }
+
+    /**
+     * Open the saved history of one catechumen
+     * @param {number} id - Catechumen id
+     */
+    showRecordHistory(id) {
+        const catechumen = this.catechumens.find(c => c.id === id);
+        if (!catechumen) return;
+
+        this.switchView('changes');
+        this.views.changes?.showRecordHistory(catechumen);
     }
 
     /**
@@ -751,7 +1312,8 @@ class DataManager {
      */
     async exportExcel() {
         try {
-            await this.syncToExcel();
+            if (!this.currentData) return;
+            this.applyChangesToSheet();
             const blob = await this.fileManager.exportToExcel(this.currentData);
             
             // Download file
@@ -768,6 +1330,601 @@ class DataManager {
         }
     }
 
+    /**
+     * Get the current settings from the admin ConfigManager
+     * @returns {Promise<Object>} Settings (empty if unavailable)
+     */
+    async getSettings() {
+        const configManager = window.adminApp && window.adminApp.configManager;
+        if (!configManager) return {};
+        return configManager.currentConfig || await configManager.loadSettings();
+    }
+
+    /**
+     * Fetch a JSON file from the site config folder
+     * @param {string} name - File name inside config/
+     * @returns {Promise<Object|null>} Parsed JSON or null if unavailable
+     */
+    async fetchConfigFile(name) {
+        try {
+            const response = await fetch(`../config/${name}`);
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (error) {
+            console.warn(`Could not load ${name}:`, error);
+        }
+        return null;
+    }
+
+    /**
+     * Build the age/etapa checker from settings.json and centros-etapas.json
+     * @returns {Promise<DataQualityChecker>} Checker instance
+     */
+    async getQualityChecker() {
+        if (this.qualityChecker) return this.qualityChecker;
+
+        const settings = await this.getSettings();
+        const etapas = (await this.fetchConfigFile('centros-etapas.json'))?.etapas || [];
+
+        const validacao = settings.validacao || {};
+        this.qualityChecker = new DataQualityChecker({
+            etapas,
+            idadeMinima: validacao.idade_minima,
+            idadeMaxima: validacao.idade_maxima,
+            referencia: window.utils.parseDate(settings.paroquia?.data_inicio) || new Date()
+        });
+        return this.qualityChecker;
+    }
+
+    /**
+     * Map catechumens to the record shape used by the quality checker and duplicate finder
+     * @returns {Array<Object>} Records with id, linha, nome, nascimento, centro and etapa
+     */
+    getCatechumenRecords() {
+        const headers = (this.currentData?.sheets?.[0]?.data?.[0] || []).map(h => String(h));
+        const columns = window.utils.mapHeaders(headers);
+        const field = (catechumen, name) => columns[name] !== undefined ? catechumen.data[headers[columns[name]]] ?? '' : '';
+
+        return this.catechumens.map(catechumen => ({
+            id: catechumen.id,
+            linha: catechumen.rowIndex + 1,
+            nome: catechumen.name,
+            nascimento: field(catechumen, 'nascimento'),
+            centro: String(field(catechumen, 'centro')),
+            etapa: String(catechumen.class)
+        }));
+    }
+
+    /**
+     * Sheet columns that hold family contacts (mapHeaders field -> column index)
+     * @returns {Object} Present contact fields
+     */
+    getContactColumns() {
+        const headers = (this.currentData?.sheets?.[0]?.data?.[0] || []).map(h => String(h));
+        const columns = window.utils.mapHeaders(headers);
+        const fields = ['pai', 'pai_telefone', 'mae', 'mae_telefone', 'encarregado', 'encarregado_parentesco',
+            'encarregado_telefone', 'telefone', 'contacto_preferido'];
+
+        return Object.fromEntries(fields.filter(field => columns[field] !== undefined).map(field => [field, headers[columns[field]]]));
+    }
+
+    /**
+     * Build the guardian list of a catechumen from the contact columns
+     * @param {Object} catechumen - Catechumen
+     * @returns {Array<Object>} Contacts {tipo, nome, relacao, telefone, preferido}
+     */
+    getCatechumenContacts(catechumen) {
+        const row = {};
+        Object.entries(this.getContactColumns()).forEach(([field, header]) => {
+            row[field] = catechumen.data[header];
+        });
+        return window.utils.parseContactos(row);
+    }
+
+    /**
+     * Catechumens of the contacts view, with their contacts, after the turma and search filters
+     * @returns {Array<Object>} Records with nome, nascimento_fmt, turma and contactos
+     */
+    getContactRecords() {
+        const turma = document.getElementById('contacts-class-filter')?.value || '';
+        const search = window.utils.norm(document.getElementById('search-contacts')?.value || '');
+        const records = this.getCatechumenRecords();
+
+        return this.catechumens
+            .map((catechumen, index) => {
+                const date = window.utils.parseDate(records[index].nascimento);
+                return {
+                    id: catechumen.id,
+                    nome: catechumen.name,
+                    nascimento_fmt: date ? window.utils.fmtDate(date) : String(records[index].nascimento || ''),
+                    turma: catechumen.class,
+                    contactos: this.getCatechumenContacts(catechumen)
+                };
+            })
+            .filter(record => !turma || record.turma === turma)
+            .filter(record => !search || window.utils.norm([
+                record.nome, ...record.contactos.flatMap(c => [c.nome, c.telefone])
+            ].join(' ')).includes(search));
+    }
+
+    /**
+     * Render the family contacts view
+     */
+    renderContacts() {
+        const container = document.getElementById('contacts-list');
+        if (!container) return;
+
+        const esc = window.HelperUtils.escapeHtml;
+        const select = document.getElementById('contacts-class-filter');
+        const currentValue = select.value;
+        select.innerHTML = '<option value="">Todas as turmas</option>' + Array.from(this.catechists.keys())
+            .map(className => `<option value="${esc(className)}" ${className === currentValue ? 'selected' : ''}>${esc(className)}</option>`)
+            .join('');
+
+        const codeSet = !!window.adminApp?.configManager?.currentConfig?.privacidade?.codigo_catequistas;
+        const codeInfo = `<p>${codeSet
+            ? '🔒 Os catequistas veem os contactos das suas turmas na Lista de Catequistas depois de introduzirem o código de acesso.'
+            : '⚠️ Ainda não há código de acesso: os catequistas não conseguem ver os contactos. Use "🔑 Código dos Catequistas".'}
+            A lista pública de catecúmenos nunca mostra contactos.</p>`;
+
+        if (this.catechumens.length === 0) {
+            container.innerHTML = '<p>Carregue um arquivo Excel para ver os contactos.</p>';
+            return;
+        }
+
+        if (Object.keys(this.getContactColumns()).length === 0) {
+            container.innerHTML = `
+                ${codeInfo}
+                <p>O Excel não tem colunas de contactos. Acrescente, por exemplo, "Pai", "Telefone do Pai", "Mãe",
+                    "Telefone da Mãe", "Encarregado", "Parentesco", "Telefone do Encarregado" e "Contacto Preferido".</p>
+            `;
+            return;
+        }
+
+        const records = this.getContactRecords();
+        const withoutContacts = records.filter(r => r.contactos.length === 0).length;
+        const withoutPhone = records.filter(r => r.contactos.length > 0 && !r.contactos.some(c => c.telefone)).length;
+
+        container.innerHTML = `
+            <div class="overview-stats">
+                <div class="stat-card">
+                    <h3>Com contactos</h3>
+                    <span>${records.length - withoutContacts} / ${records.length}</span>
+                </div>
+                <div class="stat-card">
+                    <h3>Sem contactos</h3>
+                    <span style="color: #dc2626;">${withoutContacts}</span>
+                </div>
+                <div class="stat-card">
+                    <h3>Sem telefone</h3>
+                    <span style="color: #b45309;">${withoutPhone}</span>
+                </div>
+            </div>
+            ${codeInfo}
+            <div class="catechumens-table-wrapper">
+                <table class="catechumens-table">
+                    <thead>
+                        <tr>
+                            <th>Nome</th>
+                            <th>Turma</th>
+                            <th>Contactos</th>
+                            <th>Ações</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${records.map(record => `
+                            <tr>
+                                <td>${esc(record.nome)}</td>
+                                <td>${esc(record.turma)}</td>
+                                <td>${record.contactos.length ? record.contactos.map(c => `
+                                    <div>
+                                        ${c.preferido ? '★ ' : ''}<strong>${esc(c.relacao)}</strong>${c.nome ? `: ${esc(c.nome)}` : ''}
+                                        ${c.telefone ? ` — ${esc(c.telefone)}` : ''}
+                                    </div>
+                                `).join('') : '<em>Sem contactos</em>'}</td>
+                                <td>
+                                    <button class="btn btn-sm btn-primary" data-action="edit-catechumen" data-id="${record.id}">
+                                        ✏️ Editar
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Export the contact sheet of the filtered catechumens
+     */
+    exportContacts() {
+        try {
+            if (this.catechumens.length === 0) {
+                this.showNotification('Nenhum dado carregado', 'warning');
+                return;
+            }
+
+            const turma = document.getElementById('contacts-class-filter')?.value || '';
+            const wb = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+                [`Contactos — ${turma || 'Todas as turmas'}`],
+                [`Gerado em ${window.utils.nowStamp()} — uso reservado ao catequista`],
+                [],
+                ...contactSheetRows(this.getContactRecords())
+            ]), 'Contactos');
+            XLSX.writeFile(wb, `contactos_${window.utils.key(turma) || 'todas'}.xlsx`);
+
+            window.adminApp?.logManager?.logInfo('data', `Ficha de contactos exportada (${turma || 'todas as turmas'})`);
+            this.showNotification('Ficha de contactos exportada!', 'success');
+        } catch (error) {
+            this.showNotification('Erro ao exportar: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Set (or clear) the access code catequistas use to see contacts
+     * Only the SHA-256 of the code is stored in settings.json
+     */
+    async setContactAccessCode() {
+        const code = prompt('Novo código de acesso dos catequistas (deixe vazio para desativar os contactos):');
+        if (code === null) return;
+
+        const configManager = window.adminApp?.configManager;
+        if (!configManager) {
+            this.showNotification('Configurações indisponíveis', 'error');
+            return;
+        }
+
+        try {
+            const settings = JSON.parse(JSON.stringify(await this.getSettings()));
+            settings.privacidade = {
+                ...settings.privacidade,
+                codigo_catequistas: code.trim() ? await ContactAccess.hash(code) : ''
+            };
+
+            const result = await configManager.updateSettings(settings);
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            window.adminApp?.logManager?.logSuccess('config', code.trim()
+                ? 'Código de acesso dos catequistas aos contactos alterado'
+                : 'Acesso dos catequistas aos contactos desativado');
+            this.showNotification(code.trim() ? 'Código de acesso definido' : 'Acesso aos contactos desativado', 'success');
+            this.renderContacts();
+        } catch (error) {
+            this.showNotification('Erro ao guardar o código: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Render the data quality report
+     */
+    async renderQuality() {
+        const container = document.getElementById('quality-report');
+        if (!container) return;
+
+        if (this.catechumens.length === 0) {
+            container.innerHTML = '<p>Carregue um arquivo Excel para verificar a qualidade dos dados.</p>';
+            return;
+        }
+
+        const checker = await this.getQualityChecker();
+        const report = checker.check(this.getCatechumenRecords());
+        const types = DataQualityChecker.TIPOS;
+        const esc = window.HelperUtils.escapeHtml;
+        this.qualityReport = report;
+
+        let html = `
+            <div class="overview-stats">
+                <div class="stat-card">
+                    <h3>Com problemas</h3>
+                    <span>${report.afetados} / ${report.verificados}</span>
+                </div>
+                ${Object.entries(types).map(([type, info]) => `
+                    <div class="stat-card">
+                        <h3>${info.nome}</h3>
+                        <span style="color: ${info.cor};">${report.porTipo[type]}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <p>Idades calculadas a ${window.utils.fmtDate(report.referencia)}.</p>
+        `;
+
+        if (report.etapasSemFaixa.length > 0) {
+            html += `
+                <p>⚠️ Etapas sem faixa etária em centros-etapas.json:
+                    ${report.etapasSemFaixa.map(e => `${esc(e.etapa)} (${e.total})`).join(', ')}</p>
+            `;
+        }
+
+        html += `
+            <h4>Por centro</h4>
+            <div class="catechumens-table-wrapper">
+                <table class="catechumens-table">
+                    <thead>
+                        <tr>
+                            <th>Centro</th>
+                            <th>Verificados</th>
+                            <th>Com problemas</th>
+                            ${Object.values(types).map(info => `<th>${info.nome}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.porCentro.map(c => `
+                            <tr>
+                                <td>${esc(c.centro)}</td>
+                                <td>${c.total}</td>
+                                <td>${c.afetados}</td>
+                                ${Object.keys(types).map(type => `<td>${c.tipos[type]}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <h4>Catecúmenos a corrigir</h4>
+            <div class="catechumens-table-wrapper">
+                <table class="catechumens-table">
+                    <thead>
+                        <tr>
+                            <th>Linha</th>
+                            <th>Nome</th>
+                            <th>Centro</th>
+                            <th>Etapa</th>
+                            <th>Nascimento</th>
+                            <th>Problema</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.problemas.map(p => `
+                            <tr>
+                                <td>${p.linha}</td>
+                                <td>${esc(p.nome)}</td>
+                                <td>${esc(p.centro)}</td>
+                                <td>${esc(p.etapa)}</td>
+                                <td>${esc(p.nascimento) || '-'}</td>
+                                <td><strong style="color: ${types[p.tipo].cor};">${types[p.tipo].nome}</strong><br><small>${esc(p.detalhe)}</small></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    /**
+     * Export the flagged catechumens as an Excel file
+     */
+    async exportQualityReport() {
+        try {
+            if (this.catechumens.length === 0) {
+                this.showNotification('Nenhum dado carregado', 'warning');
+                return;
+            }
+
+            const checker = await this.getQualityChecker();
+            const report = checker.check(this.getCatechumenRecords());
+
+            const wb = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(checker.toExportRows(report.problemas)), 'Problemas');
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+                ['Centro', 'Verificados', 'Com problemas', ...Object.values(DataQualityChecker.TIPOS).map(t => t.nome)],
+                ...report.porCentro.map(c => [c.centro, c.total, c.afetados, ...Object.keys(DataQualityChecker.TIPOS).map(t => c.tipos[t])])
+            ]), 'Por Centro');
+            XLSX.writeFile(wb, `qualidade-dados-${new Date().toISOString().split('T')[0]}.xlsx`);
+
+            this.showNotification('Lista exportada com sucesso!', 'success');
+        } catch (error) {
+            this.showNotification('Erro ao exportar: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Get the catechumen fields as [field, label] pairs, using the sheet headers as labels
+     * @returns {Array<Array<string>>} Field key and column label
+     */
+    getCatechumenFields() {
+        const headers = (this.currentData?.sheets?.[0]?.data?.[0] || []).map(h => String(h || ''));
+        const basic = this.getBasicColumns(headers);
+        const extra = headers.filter(h => h && this.catechumens.some(c => h in c.data));
+
+        return [
+            ['name', headers[basic.name] || 'Nome'],
+            ['class', headers[basic.class] || 'Turma'],
+            ['catechist', headers[basic.catechist] || 'Catequista'],
+            ...extra.map(h => [h, h])
+        ];
+    }
+
+    /**
+     * Read a catechumen field (basic fields live on the object, the rest in data)
+     */
+    getCatechumenField(catechumen, field) {
+        return ['name', 'class', 'catechist'].includes(field) ? catechumen[field] : catechumen.data[field];
+    }
+
+    /**
+     * Write a catechumen field (counterpart of getCatechumenField) and log the edit
+     */
+    setCatechumenField(catechumen, field, value) {
+        const before = this.getCatechumenField(catechumen, field);
+
+        if (['name', 'class', 'catechist'].includes(field)) {
+            catechumen[field] = value;
+        } else {
+            catechumen.data[field] = value;
+        }
+
+        const row = this.currentData?.sheets?.[0]?.data?.[catechumen.rowIndex];
+        if (row) {
+            this.changeTracker.record({
+                linha: this.changeTracker.idFor(row),
+                nome: catechumen.name,
+                campo: this.getFieldHeader(field),
+                antes: before,
+                depois: value,
+                autor: this.getEditorName()
+            });
+        }
+    }
+
+    /**
+     * Sheet header of a catechumen field (basic fields map to their column)
+     */
+    getFieldHeader(field) {
+        const headers = (this.currentData?.sheets?.[0]?.data?.[0] || []).map(h => String(h ?? ''));
+        if (!['name', 'class', 'catechist'].includes(field)) return field;
+        return headers[this.getBasicColumns(headers)[field]] || field;
+    }
+
+    /**
+     * Catechumen field stored under a sheet header (inverse of getFieldHeader)
+     */
+    getHeaderField(header) {
+        const headers = (this.currentData?.sheets?.[0]?.data?.[0] || []).map(h => String(h ?? ''));
+        const basic = this.getBasicColumns(headers);
+        return ['name', 'class', 'catechist'].find(field => basic[field] >= 0 && headers[basic[field]] === header) || header;
+    }
+
+    /**
+     * Grid columns in sheet order, with an editor suited to each one: closed lists
+     * for centro and resultado (centros-etapas.json, cores-resultados.json),
+     * suggestions for etapa, sala and horário, and a date picker for the birth date
+     * @returns {Promise<Array<Object>>} Columns for DataGrid.setColumns
+     */
+    async getGridColumns() {
+        const headers = (this.currentData?.sheets?.[0]?.data?.[0] || []).map(h => String(h ?? ''));
+        const [etapasConfig, coresConfig] = await Promise.all([
+            this.fetchConfigFile('centros-etapas.json'),
+            this.fetchConfigFile('cores-resultados.json')
+        ]);
+
+        const basic = this.getBasicColumns(headers);
+        const mapped = Object.fromEntries(Object.entries(window.utils.mapHeaders(headers)).map(([name, index]) => [index, name]));
+        const centros = (etapasConfig?.centros || []).filter(centro => centro.ativo !== false);
+        const values = (field) => window.utils.uniq(this.catechumens.map(c => String(this.getCatechumenField(c, field) ?? '').trim()));
+
+        return headers.map((header, index) => {
+            if (!header) return null;
+
+            const field = index === basic.name ? 'name'
+                : index === basic.class ? 'class'
+                : index === basic.catechist ? 'catechist'
+                : header;
+            const column = { field, header, type: 'text', options: [] };
+
+            switch (index === basic.class ? 'etapa' : mapped[index]) {
+                case 'centro':
+                    return { ...column, type: 'select', options: window.utils.uniq([...centros.map(centro => centro.nome), ...values(field)]) };
+                case 'resultado':
+                    return { ...column, type: 'select', options: [...new Set([...Object.values(coresConfig?.resultados || {}).map(r => r.nome), ...values(field)])] };
+                case 'etapa':
+                    return { ...column, type: 'list', options: window.utils.uniq([...values(field), ...(etapasConfig?.etapas || []).map(etapa => etapa.nome)]) };
+                case 'sala':
+                    return { ...column, type: 'list', options: window.utils.uniq([...values(field), ...centros.flatMap(centro => (centro.salas || []).map(sala => sala.nome))]) };
+                case 'horario':
+                    return { ...column, type: 'list', options: window.utils.uniq([...values(field), ...(etapasConfig?.horarios || []).map(horario => horario.nome)]) };
+                case 'nascimento':
+                    return { ...column, type: 'date' };
+                default:
+                    return column;
+            }
+        }).filter(Boolean);
+    }
+
+    /**
+     * Show the spreadsheet editor, creating it the first time
+     */
+    async renderGrid() {
+        const container = document.getElementById('data-grid');
+        if (!container) return;
+
+        if (this.catechumens.length === 0) {
+            this.dataGrid?.destroy();
+            this.dataGrid = null;
+            container.innerHTML = '<p>Carregue um arquivo Excel para editar a planilha.</p>';
+            return;
+        }
+
+        if (!this.dataGrid) {
+            this.dataGrid = new DataGrid(container, this, {
+                onChange: (edits) => {
+                    if (edits.some(edit => edit.field === 'class' || edit.field === 'catechist')) {
+                        this.rebuildCatechists();
+                    }
+                    this.updateStats();
+                }
+            });
+        }
+        this.dataGrid.setColumns(await this.getGridColumns());
+        this.dataGrid.init();
+    }
+
+    /**
+     * Rebuild the class -> catechists map from the catechumens
+     */
+    rebuildCatechists() {
+        this.catechists.clear();
+        this.catechumens.forEach(catechumen => {
+            if (catechumen.class && catechumen.catechist) {
+                if (!this.catechists.has(catechumen.class)) {
+                    this.catechists.set(catechumen.class, new Set());
+                }
+                this.catechists.get(catechumen.class).add(catechumen.catechist);
+            }
+        });
+    }
+
+    /**
+     * Sheet header of a placement column (mapHeaders field name)
+     * @param {string} field - Field name, e.g. 'sala'
+     * @returns {string|null} Header text or null if the column is missing
+     */
+    getPlacementHeader(field) {
+        const headers = (this.currentData?.sheets?.[0]?.data?.[0] || []).map(h => String(h));
+        const column = window.utils.mapHeaders(headers)[field];
+        return column !== undefined ? headers[column] : null;
+    }
+
+    /**
+     * Open the transfers view with a catechumen selected
+     * @param {number} id - Catechumen id
+     */
+    startTransfer(id) {
+        this.views.transfers?.select(id);
+        this.switchView('transfers');
+    }
+
+    /**
+     * Transfer history read from the Transferências sheet of the loaded workbook
+     * @returns {TransferHistory} History (empty if the sheet does not exist yet)
+     */
+    getTransferHistory() {
+        if (!this.transferHistory) {
+            const sheet = (this.currentData?.sheets || []).find(s => window.utils.key(s.name) === 'transferencias');
+            this.transferHistory = TransferHistory.fromSheet(sheet?.data || []);
+        }
+        return this.transferHistory;
+    }
+
+    /**
+     * Write the transfer history back into the Transferências sheet, creating it if needed
+     */
+    writeTransferSheet() {
+        const rows = this.getTransferHistory().toRows();
+        const sheet = this.currentData.sheets.find(s => window.utils.key(s.name) === 'transferencias');
+        if (sheet) {
+            sheet.data = rows;
+        } else {
+            this.currentData.sheets.push({ name: TransferHistory.FOLHA, data: rows });
+        }
+    }
+
     /**
      * Show notification
      */
@@ -806,11 +1963,11 @@ class DataManager {
                 }
             }
 
-            // Update catechumens (assign to remaining catechists or leave empty)
+            // Update catechumens (assign to remaining catechists or leave empty), tracked like any other edit
             const remainingCatechists = Array.from(this.catechists.get(className) || []);
             this.catechumens.forEach(catechumen => {
                 if (catechumen.class === className && catechumen.catechist === catechist) {
-                    catechumen.catechist = remainingCatechists[0] || '';
+                    this.setCatechumenField(catechumen, 'catechist', remainingCatechists[0] || '');
                 }
             });
 
@@ -822,7 +1979,9 @@ class DataManager {
     removeCatechumen(id) {
         const catechumen = this.catechumens.find(c => c.id === id);
         if (catechumen && confirm(`Remover catecúmeno "${catechumen.name}"?`)) {
+            this.recordRowChange(catechumen, 'removido');
             this.catechumens = this.catechumens.filter(c => c.id !== id);
+            this.removedRows.add(catechumen.rowIndex);
             this.refreshCurrentView();
             this.updateStats();
         }
@@ -0,0 +1,79 @@
+/**
+ * Data View
+ * Base of the tabs of the data manager that draw themselves: each one owns
+ * its container, reads and edits the roster through the DataManager and
+ * handles its buttons through data-action attributes
+ */
+class DataView {
+    /**
+     * @param {HTMLElement} container - Element the view is drawn in
+     * @param {DataManager} dataManager - Owner of the catechumens shown
+     */
+    constructor(container, dataManager) {
+        this.container = container;
+        this.dataManager = dataManager;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Build the interface once, then render
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.isInitialized) {
+            this.createInterface();
+            this.setupEventListeners();
+            this.isInitialized = true;
+        }
+        await this.render();
+    }
+
+    /**
+     * Draw the header, toolbar and empty content areas
+     */
+    createInterface() {}
+
+    /**
+     * Route clicks on [data-action] elements to handleAction (event delegation)
+     */
+    setupEventListeners() {
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            if (!target || target.disabled || !this.container.contains(target)) return;
+            this.handleAction(target.dataset.action, target.dataset, e);
+        });
+    }
+
+    /**
+     * Handle a click on a [data-action] element
+     * @param {string} action - data-action value
+     * @param {DOMStringMap} data - Dataset of the clicked element
+     * @param {Event} event - Click event
+     */
+    handleAction(action, data, event) {}
+
+    /**
+     * Draw the content from the current roster
+     */
+    async render() {}
+
+    /**
+     * First element of the view matching a selector
+     * @param {string} selector - CSS selector
+     * @returns {HTMLElement|null} Element
+     */
+    $(selector) {
+        return this.container.querySelector(selector);
+    }
+
+    /**
+     * Escape a value for the view's HTML templates (HelperUtils.escapeHtml)
+     * @param {*} value - Value
+     * @returns {string} Escaped text
+     */
+    esc(value) {
+        return window.HelperUtils.escapeHtml(value);
+    }
+}
+
+window.DataView = DataView;
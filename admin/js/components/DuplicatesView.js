@@ -0,0 +1,209 @@
+/**
+ * Duplicates View
+ * Likely duplicate catecúmenos side by side, merged into one row with the
+ * value chosen per column or kept as distinct records
+ */
+class DuplicatesView extends DataView {
+    constructor(container, dataManager) {
+        super(container, dataManager);
+        this.finder = window.DuplicateFinder ? new DuplicateFinder() : null;
+        this.pairs = [];
+        this.keptKey = 'admin_duplicates_kept';
+    }
+
+    createInterface() {
+        this.container.innerHTML = `
+            <div class="catechists-header">
+                <h3>Possíveis Duplicados</h3>
+                <button class="btn btn-secondary" data-action="reset">↺ Rever pares mantidos</button>
+            </div>
+            <div class="duplicates-list"></div>
+        `;
+    }
+
+    handleAction(action, data) {
+        switch (action) {
+            case 'merge':
+                this.merge(Number(data.index));
+                break;
+            case 'keep':
+                this.keep(Number(data.index));
+                break;
+            case 'reset':
+                this.resetKept();
+                break;
+        }
+    }
+
+    /**
+     * Load the pair keys an editor already decided to keep
+     * @returns {Set<string>} Kept pair keys
+     */
+    loadKept() {
+        try {
+            return new Set(JSON.parse(localStorage.getItem(this.keptKey) || '[]'));
+        } catch (error) {
+            console.error('Error loading kept duplicates:', error);
+            return new Set();
+        }
+    }
+
+    /**
+     * Render the likely duplicate pairs side by side
+     */
+    async render() {
+        const container = this.$('.duplicates-list');
+        const dm = this.dataManager;
+
+        if (!this.finder) {
+            container.innerHTML = '<p>Detetor de duplicados indisponível (duplicate-finder.js não carregado).</p>';
+            return;
+        }
+
+        if (dm.catechumens.length === 0) {
+            container.innerHTML = '<p>Carregue um arquivo Excel para procurar duplicados.</p>';
+            return;
+        }
+
+        const kept = this.loadKept();
+        this.pairs = this.finder.find(dm.getCatechumenRecords())
+            .filter(pair => !kept.has(pair.chave));
+
+        if (this.pairs.length === 0) {
+            container.innerHTML = `<p>✅ Nenhum duplicado provável encontrado${kept.size ? ` (${kept.size} pares mantidos anteriormente)` : ''}.</p>`;
+            return;
+        }
+
+        const fields = dm.getCatechumenFields();
+
+        container.innerHTML = `
+            <p>${this.pairs.length} pares encontrados. Escolha o valor a manter em cada coluna e una os registos, ou mantenha ambos.</p>
+            ${this.pairs.map((pair, index) => {
+                const a = dm.catechumens.find(c => c.id === pair.a.id);
+                const b = dm.catechumens.find(c => c.id === pair.b.id);
+
+                return `
+                    <div class="stat-card duplicate-pair">
+                        <h4>${pair.nivel === 'provavel' ? '🔴 Provável' : '🟡 Possível'} duplicado — ${pair.score}%</h4>
+                        <p><small>${this.esc(pair.motivos.join(' • '))}</small></p>
+                        <div class="catechumens-table-wrapper">
+                            <table class="catechumens-table">
+                                <thead>
+                                    <tr>
+                                        <th>Coluna</th>
+                                        <th>Linha ${pair.a.linha}</th>
+                                        <th>Linha ${pair.b.linha}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${fields.map(([field, label], fieldIndex) => {
+                                        const valueA = dm.getCatechumenField(a, field) ?? '';
+                                        const valueB = dm.getCatechumenField(b, field) ?? '';
+                                        const differs = String(valueA) !== String(valueB);
+                                        const pickB = differs && String(valueA).trim() === '';
+                                        const option = (side, value, checked) => differs
+                                            ? `<label><input type="radio" name="dup-${index}-${fieldIndex}" value="${side}" ${checked ? 'checked' : ''}> ${this.esc(value) || '<em>(vazio)</em>'}</label>`
+                                            : this.esc(value);
+
+                                        return `
+                                            <tr>
+                                                <td>${differs ? `<strong>${this.esc(label)}</strong>` : this.esc(label)}</td>
+                                                <td>${option('a', valueA, !pickB)}</td>
+                                                <td>${option('b', valueB, pickB)}</td>
+                                            </tr>
+                                        `;
+                                    }).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div class="data-actions">
+                            <button class="btn btn-sm btn-primary" data-action="merge" data-index="${index}">🔗 Unir registos</button>
+                            <button class="btn btn-sm btn-secondary" data-action="keep" data-index="${index}">✋ Manter ambos</button>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    /**
+     * Merge a duplicate pair into the first row, using the values chosen per column
+     * @param {number} index - Pair index in the rendered list
+     */
+    merge(index) {
+        const dm = this.dataManager;
+        const pair = this.pairs[index];
+        if (!pair) return;
+
+        const kept = dm.catechumens.find(c => c.id === pair.a.id);
+        const removed = dm.catechumens.find(c => c.id === pair.b.id);
+        if (!kept || !removed) return;
+
+        if (!confirm(`Unir "${removed.name}" (linha ${pair.b.linha}) em "${kept.name}" (linha ${pair.a.linha})? A linha ${pair.b.linha} será removida.`)) {
+            return;
+        }
+
+        const changes = {};
+        dm.getCatechumenFields().forEach(([field, label], fieldIndex) => {
+            const choice = this.container.querySelector(`input[name="dup-${index}-${fieldIndex}"]:checked`);
+            if (choice && choice.value === 'b') {
+                changes[label] = { de: dm.getCatechumenField(kept, field), para: dm.getCatechumenField(removed, field) };
+                dm.setCatechumenField(kept, field, dm.getCatechumenField(removed, field));
+            }
+        });
+
+        dm.recordRowChange(removed, 'removido');
+        dm.catechumens = dm.catechumens.filter(c => c.id !== removed.id);
+        dm.removedRows.add(removed.rowIndex);
+        dm.rebuildCatechists();
+
+        window.adminApp?.logManager?.logSuccess('data', `Duplicado unido: ${kept.name}`, {
+            action: 'merge',
+            score: pair.score,
+            keptRow: pair.a.linha,
+            removedRow: pair.b.linha,
+            changes
+        });
+
+        dm.refreshCurrentView();
+        dm.updateStats();
+        dm.showNotification('Registos unidos. Guarde o Excel para aplicar a alteração.', 'success');
+    }
+
+    /**
+     * Keep both records of a pair and stop proposing it
+     * @param {number} index - Pair index in the rendered list
+     */
+    keep(index) {
+        const pair = this.pairs[index];
+        if (!pair) return;
+
+        const kept = this.loadKept();
+        kept.add(pair.chave);
+        localStorage.setItem(this.keptKey, JSON.stringify(Array.from(kept)));
+
+        window.adminApp?.logManager?.logInfo('data', `Registos mantidos como distintos: ${pair.a.nome} / ${pair.b.nome}`, {
+            action: 'keep',
+            score: pair.score,
+            rows: [pair.a.linha, pair.b.linha]
+        });
+
+        this.render();
+    }
+
+    /**
+     * Forget the "keep both" decisions so those pairs are proposed again
+     */
+    resetKept() {
+        const kept = this.loadKept();
+        if (kept.size === 0) return;
+
+        if (confirm(`Voltar a rever ${kept.size} pares mantidos anteriormente?`)) {
+            localStorage.removeItem(this.keptKey);
+            window.adminApp?.logManager?.logInfo('data', 'Decisões de duplicados mantidos reiniciadas', { pairs: kept.size });
+            this.render();
+        }
+    }
+}
+
+window.DuplicatesView = DuplicatesView;
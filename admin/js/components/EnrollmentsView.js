@@ -0,0 +1,309 @@
+/**
+ * Enrollments View
+ * Queue of enrollment requests (inscrições) with the etapa suggested by age
+ * and the classes that fit each one, approved into the roster or rejected
+ */
+class EnrollmentsView extends DataView {
+    constructor(container, dataManager) {
+        super(container, dataManager);
+        this.store = null;
+        this.requests = []; // Requests in the rendered list
+        this.classes = []; // Classes offered for each rendered request
+        // Requests placed in the roster but still pending until the workbook is saved: id -> {nome, placement, row}
+        this.placed = new Map();
+    }
+
+    createInterface() {
+        this.container.innerHTML = `
+            <div class="catechists-header">
+                <h3>Pedidos de Inscrição</h3>
+                <div class="data-actions">
+                    <select class="enrollments-filter">
+                        <option value="pendente">Pendentes</option>
+                        <option value="aprovada">Aprovados</option>
+                        <option value="rejeitada">Rejeitados</option>
+                        <option value="">Todos</option>
+                    </select>
+                    <button class="btn btn-secondary" data-action="refresh">🔄 Atualizar</button>
+                </div>
+            </div>
+            <div class="enrollments-list"></div>
+        `;
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+        this.$('.enrollments-filter').addEventListener('change', () => this.refresh());
+    }
+
+    handleAction(action, data) {
+        switch (action) {
+            case 'refresh':
+                this.refresh();
+                break;
+            case 'approve':
+                this.approve(Number(data.index));
+                break;
+            case 'reject':
+                this.reject(Number(data.index));
+                break;
+        }
+    }
+
+    refresh() {
+        this.render().catch(error => {
+            console.error('Error rendering enrollment requests:', error);
+        });
+    }
+
+    /**
+     * Enrollment store committing data/inscricoes.json through GitHub, or through
+     * the local stand-in repository when no real token is configured
+     * @returns {Promise<EnrollmentStore>} Store instance
+     */
+    async getStore() {
+        if (this.store) return this.store;
+
+        const settings = await this.dataManager.getSettings();
+        this.store = new EnrollmentStore({
+            repository: this.dataManager.getRepository(),
+            path: settings.arquivos?.inscricoes || 'data/inscricoes.json'
+        });
+        return this.store;
+    }
+
+    /**
+     * Render the enrollment requests, with the suggested etapa and class for pending ones
+     */
+    async render() {
+        const dm = this.dataManager;
+        const container = this.$('.enrollments-list');
+
+        const store = await this.getStore();
+        await store.load();
+
+        const status = this.$('.enrollments-filter').value;
+        this.requests = store.list(status || null);
+        this.classes = [];
+
+        if (this.requests.length === 0) {
+            container.innerHTML = `<p>${status === 'pendente' ? '✅ Nenhum pedido de inscrição pendente.' : 'Nenhum pedido de inscrição.'}</p>`;
+            return;
+        }
+
+        const settings = await dm.getSettings();
+        const etapas = (await dm.fetchConfigFile('centros-etapas.json'))?.etapas || [];
+        const reference = window.utils.parseDate(settings.paroquia?.data_inicio) || new Date();
+        const classes = ScheduleConflicts.turmas(dm.getCatechumenPlacements());
+        const hasPending = this.requests.some(request => request.estado === 'pendente');
+
+        container.innerHTML = `
+            <p>${this.requests.length} pedido(s).
+                ${hasPending && dm.catechumens.length === 0 ? '⚠️ Carregue o Excel para colocar os catecúmenos numa turma.' : ''}
+                ${store.repository instanceof LocalRepository ? '<small>(sem GitHub configurado: os pedidos são lidos e gravados neste navegador)</small>' : ''}</p>
+            ${this.requests.map((request, index) => {
+                const data = request.dados;
+                const suggestion = EnrollmentStore.suggestEtapa(data.nascimento, etapas, reference);
+                const candidates = request.estado === 'pendente' ? this.getClasses(data, suggestion.etapa, classes) : [];
+                this.classes[index] = candidates;
+
+                const sacraments = Object.entries(SACRAMENTOS)
+                    .filter(([type]) => data[type])
+                    .map(([type, info]) => `${info.nome}: ${this.esc(data[type])}${data[`${type}_paroquia`] ? ` (${this.esc(data[`${type}_paroquia`])})` : ''}`);
+                const contacts = window.utils.parseContactos(data)
+                    .map(c => `${c.preferido ? '⭐ ' : ''}${this.esc(c.relacao)}${c.nome ? ` ${this.esc(c.nome)}` : ''}: ${this.esc(c.telefone) || '-'}`);
+
+                return `
+                    <div class="stat-card enrollment-request">
+                        <h4>${EnrollmentStore.ESTADOS[request.estado].nome} — ${this.esc(data.nome)}</h4>
+                        <p><small>Pedido de ${window.utils.fmtDate(new Date(request.submetida_em))}
+                            • Nascimento: ${this.esc(data.nascimento)}${suggestion.idade !== null ? ` (${suggestion.idade} anos)` : ''}
+                            • Etapa pela idade: <strong>${suggestion.etapa ? this.esc(suggestion.etapa.nome) : 'sem faixa'}</strong>
+                            • Etapa anterior: ${this.esc(data.etapa_anterior) || 'nenhuma'}
+                            • Centro pretendido: ${this.esc(data.centro) || '-'} • Horário pretendido: ${this.esc(data.horario) || '-'}</small></p>
+                        <p><small>Sacramentos: ${sacraments.join(' • ') || 'sem informação'}</small></p>
+                        <p><small>Família: ${contacts.join(' • ') || '-'}</small></p>
+                        ${data.observacoes ? `<p><small>Observações: ${this.esc(data.observacoes)}</small></p>` : ''}
+                        ${request.estado === 'pendente' && this.getPlaced(request.id) ? `
+                            <p>📌 Colocado em ${this.esc(EnrollmentsView.describe(this.getPlaced(request.id).placement))}.
+                                <small>Fica aprovado quando o Excel for guardado (pode retirá-lo em Alterações).</small></p>
+                        ` : request.estado === 'pendente' ? `
+                            <div class="data-actions">
+                                <select class="enrollment-class" data-index="${index}" ${candidates.length ? '' : 'disabled'}>
+                                    ${candidates.length ? candidates.map((turma, classIndex) => `
+                                        <option value="${classIndex}">${this.esc(turma.centro)} • ${this.esc(turma.etapa)} • ${this.esc(turma.sala)} • ${this.esc(turma.horario)} (${turma.catecumenos})</option>
+                                    `).join('') : '<option>Sem turmas no Excel carregado</option>'}
+                                </select>
+                                <button class="btn btn-sm btn-primary" data-action="approve" data-index="${index}" ${candidates.length ? '' : 'disabled'}>✅ Aprovar</button>
+                                <button class="btn btn-sm btn-secondary" data-action="reject" data-index="${index}">❌ Rejeitar</button>
+                            </div>
+                        ` : request.estado === 'aprovada' ? `
+                            <p>Turma: ${this.esc(EnrollmentsView.describe(request.turma))}</p>
+                        ` : `
+                            <p>Motivo: ${this.esc(request.motivo) || '-'}</p>
+                        `}
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    /**
+     * Classes offered for a request: suggested etapa first, then the preferred
+     * centro and schedule, then the smallest classes
+     * @param {Object} data - Request fields
+     * @param {Object|null} etapa - Etapa suggested from the age (centros-etapas.json)
+     * @param {Array<Object>} classes - Classes from ScheduleConflicts.turmas
+     * @returns {Array<Object>} Sorted classes
+     */
+    getClasses(data, etapa, classes) {
+        const key = window.utils.key;
+        const etapaKeys = etapa ? [etapa.id, etapa.nome, ...(etapa.aliases || [])].filter(Boolean).map(key) : [];
+        const score = (turma) =>
+            (etapaKeys.includes(key(turma.etapa)) ? 4 : 0) +
+            (data.centro && key(turma.centro) === key(data.centro) ? 2 : 0) +
+            (data.horario && key(turma.horario) === key(data.horario) ? 1 : 0);
+
+        return classes
+            .map(turma => ({ ...turma, score: score(turma) }))
+            .sort((a, b) => b.score - a.score || a.catecumenos - b.catecumenos || a.chave.localeCompare(b.chave, 'pt'));
+    }
+
+    /**
+     * Class of a placement as "centro • etapa • sala • horário"
+     * @param {Object} turma - Placement or class
+     * @returns {string} Description
+     */
+    static describe(turma) {
+        return [turma.centro, turma.etapa, turma.sala, turma.horario].join(' • ');
+    }
+
+    /**
+     * Place a request's catechumen in the chosen class: the row is appended to the
+     * sheet and the request stays pending until the workbook is saved (approvePlaced)
+     * @param {number} index - Request index in the rendered list
+     */
+    approve(index) {
+        const dm = this.dataManager;
+        const request = this.requests[index];
+        const select = this.$(`.enrollment-class[data-index="${index}"]`);
+        const turma = this.classes[index]?.[Number(select?.value)];
+        if (!request || !turma || !dm.currentData || this.getPlaced(request.id)) return;
+
+        const placement = {
+            centro: turma.centro,
+            etapa: turma.etapa,
+            sala: turma.sala,
+            horario: turma.horario,
+            catequistas: turma.catequistas.join(' | ')
+        };
+
+        // Contact and sacrament columns the workbook lacks are added so the request data is kept
+        const rows = dm.currentData.sheets[0].data;
+        const values = { ...request.dados, ...placement };
+        rows[0].push(...EnrollmentStore.missingColumns(values, rows[0].map(h => String(h))));
+
+        const headers = rows[0].map(h => String(h));
+        const row = EnrollmentStore.toRow(values, headers);
+        rows.push(row);
+        const catechumen = dm.parseRow(headers, row, rows.length - 1);
+        if (catechumen) dm.recordRowChange(catechumen, 'adicionado');
+        this.placed.set(request.id, { nome: request.dados.nome, placement, row });
+
+        window.adminApp?.logManager?.logInfo('data', `Inscrição colocada em turma: ${request.dados.nome}`, {
+            action: 'enrollment-place',
+            id: request.id,
+            turma: placement
+        });
+
+        dm.updateStats();
+        dm.refreshCurrentView();
+        dm.showNotification(`${request.dados.nome} colocado em ${turma.etapa} (${turma.sala}). O pedido fica aprovado quando guardar o Excel.`, 'success');
+    }
+
+    /**
+     * Placement of a request still waiting for the workbook save; placements whose
+     * row was taken out again (Alterações) or dropped by a reload are forgotten
+     * @param {string} id - Request id
+     * @returns {Object|null} {nome, placement, row}
+     */
+    getPlaced(id) {
+        const entry = this.placed.get(id);
+        if (!entry) return null;
+
+        const rows = this.dataManager.currentData?.sheets?.[0]?.data || [];
+        const index = rows.indexOf(entry.row);
+        if (index < 0 || this.dataManager.removedRows.has(index)) {
+            this.placed.delete(id);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Mark as approved the requests whose rows went into the saved workbook
+     * (called by DataManager.saveToExcel after the workbook commit)
+     * @returns {Promise<Array<string>>} Names of the requests that are still pending
+     */
+    async approvePlaced() {
+        if (this.placed.size === 0) return [];
+
+        const store = await this.getStore();
+        const logManager = window.adminApp?.logManager;
+        const failed = [];
+
+        for (const id of Array.from(this.placed.keys())) {
+            const entry = this.getPlaced(id);
+            if (!entry) continue;
+
+            try {
+                await store.approve(id, entry.placement);
+                this.placed.delete(id);
+                logManager?.logSuccess('data', `Inscrição aprovada: ${entry.nome}`, {
+                    action: 'enrollment-approve',
+                    id,
+                    turma: entry.placement
+                });
+            } catch (error) {
+                // A request decided elsewhere in the meantime is not retried
+                if (store.data.inscricoes.find(i => i.id === id)?.estado !== 'pendente') {
+                    this.placed.delete(id);
+                }
+                failed.push(entry.nome);
+                logManager?.logError('data', 'Erro ao aprovar a inscrição', { id, error: error.message });
+            }
+        }
+        return failed;
+    }
+
+    /**
+     * Reject a request, keeping the reason in the requests file
+     * @param {number} index - Request index in the rendered list
+     */
+    async reject(index) {
+        const dm = this.dataManager;
+        const request = this.requests[index];
+        if (!request) return;
+
+        const reason = prompt(`Motivo da rejeição da inscrição de ${request.dados.nome}:`);
+        if (reason === null) return;
+
+        const logManager = window.adminApp?.logManager;
+        try {
+            await this.store.reject(request.id, reason);
+            logManager?.logInfo('data', `Inscrição rejeitada: ${request.dados.nome}`, {
+                action: 'enrollment-reject',
+                id: request.id,
+                motivo: reason
+            });
+
+            dm.refreshCurrentView();
+            dm.showNotification(`Inscrição de ${request.dados.nome} rejeitada`, 'success');
+        } catch (error) {
+            logManager?.logError('data', 'Erro ao rejeitar a inscrição', { id: request.id, error: error.message });
+            dm.showNotification('Erro ao rejeitar a inscrição: ' + error.message, 'error');
+        }
+    }
+}
+
+window.EnrollmentsView = EnrollmentsView;
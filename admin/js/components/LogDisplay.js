@@ -74,6 +74,7 @@ class LogDisplay {
                                 <option value="github">GitHub</option>
                                 <option value="backup">Backup</option>
                                 <option value="export">Exportação</option>
+                                <option value="data">Dados</option>
                                 <option value="system">Sistema</option>
                             </select>
                         </div>
@@ -361,8 +362,8 @@ class LogDisplay {
                         </span>
                     </td>
                     <td class="col-message">
-                        <div class="log-message" title="${log.message}">
-                            ${this.truncateMessage(log.message, 80)}
+                        <div class="log-message" title="${HelperUtils.escapeHtml(log.message)}">
+                            ${HelperUtils.escapeHtml(this.truncateMessage(log.message, 80))}
                         </div>
                         ${log.files.length > 0 ? `
                             <div class="log-files">
@@ -581,7 +582,7 @@ class LogDisplay {
                         ` : ''}
                         <div class="detail-item">
                             <label>Usuário:</label>
-                            <span class="detail-value">${log.user}</span>
+                            <span class="detail-value">${HelperUtils.escapeHtml(log.user)}</span>
                         </div>
                     </div>
                 </div>
@@ -589,7 +590,7 @@ class LogDisplay {
                 <div class="detail-section">
                     <h4>Mensagem</h4>
                     <div class="detail-message">
-                        ${log.message}
+                        ${HelperUtils.escapeHtml(log.message)}
                     </div>
                 </div>
 
@@ -600,7 +601,7 @@ class LogDisplay {
                             ${log.files.map(file => `
                                 <div class="file-item">
                                     <i class="icon-file"></i>
-                                    <span>${file}</span>
+                                    <span>${HelperUtils.escapeHtml(file)}</span>
                                 </div>
                             `).join('')}
                         </div>
@@ -611,7 +612,7 @@ class LogDisplay {
                     <div class="detail-section">
                         <h4>Detalhes Técnicos</h4>
                         <div class="detail-json">
-                            <pre><code>${JSON.stringify(log.details, null, 2)}</code></pre>
+                            <pre><code>${HelperUtils.escapeHtml(JSON.stringify(log.details, null, 2))}</code></pre>
                         </div>
                     </div>
                 ` : ''}
@@ -0,0 +1,242 @@
+/**
+ * Rollover View
+ * Preview of the next catechetical year (who advances, stays or leaves)
+ * and generation of the new year's workbook
+ */
+class RolloverView extends DataView {
+    constructor(container, dataManager) {
+        super(container, dataManager);
+        this.plan = null; // { rollover, plan, workbook, current, next } of the last preview
+    }
+
+    createInterface() {
+        this.container.innerHTML = `
+            <div class="catechists-header">
+                <h3>Novo Ano Catequético</h3>
+                <div class="data-actions">
+                    <select class="rollover-filter">
+                        <option value="">Todas as alterações</option>
+                    </select>
+                    <button class="btn btn-primary" data-action="apply" disabled>🔄 Gerar novo ano</button>
+                </div>
+            </div>
+            <div class="rollover-preview"></div>
+        `;
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+        this.$('.rollover-filter').addEventListener('change', () => this.renderChanges());
+    }
+
+    handleAction(action) {
+        if (action === 'apply') this.apply();
+    }
+
+    /**
+     * Build the rollover plan for the loaded workbook and render the preview
+     */
+    async render() {
+        const dm = this.dataManager;
+        const container = this.$('.rollover-preview');
+        const applyBtn = this.$('[data-action="apply"]');
+
+        this.plan = null;
+        applyBtn.disabled = true;
+
+        if (dm.catechumens.length === 0) {
+            container.innerHTML = '<p>Carregue um arquivo Excel para preparar o novo ano.</p>';
+            return;
+        }
+
+        const [etapasConfig, coresConfig, settings] = await Promise.all([
+            dm.fetchConfigFile('centros-etapas.json'),
+            dm.fetchConfigFile('cores-resultados.json'),
+            dm.getSettings()
+        ]);
+
+        // The preview works on a copy, so opening the tab leaves the pending edits alone
+        const workbook = dm.getEditedWorkbook();
+        const rollover = new YearRollover({
+            etapas: etapasConfig?.etapas || [],
+            resultados: coresConfig?.resultados || {}
+        });
+
+        let plan;
+        try {
+            plan = rollover.plan(workbook.sheets[0].data);
+        } catch (error) {
+            container.innerHTML = `<p>⚠️ ${this.esc(error.message)}</p>`;
+            return;
+        }
+
+        const current = settings.paroquia?.ano_catequetico || '';
+        const next = YearRollover.nextYear(settings.paroquia);
+        this.plan = { rollover, plan, workbook, current, next };
+
+        const filter = this.$('.rollover-filter');
+        const selected = filter.value;
+        filter.innerHTML = '<option value="">Todas as alterações</option>' +
+            Object.entries(YearRollover.ACTIONS)
+                .filter(([action]) => plan.counts[action] > 0)
+                .map(([action, label]) => `<option value="${action}" ${action === selected ? 'selected' : ''}>${label} (${plan.counts[action]})</option>`)
+                .join('');
+
+        container.innerHTML = `
+            <p><strong>${this.esc(current) || 'Ano atual'}</strong> → <strong>${this.esc(next.ano_catequetico)}</strong>
+                (início a ${this.esc(next.data_inicio_formatada)})</p>
+            <div class="overview-stats">
+                ${Object.entries(YearRollover.ACTIONS).map(([action, label]) => `
+                    <div class="stat-card">
+                        <h3>${label}</h3>
+                        <span>${plan.counts[action]}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${plan.unmatchedEtapas.length > 0 ? `
+                <p>⚠️ Etapas sem correspondência em centros-etapas.json (os aprovados ficam por decidir):
+                    ${this.esc(plan.unmatchedEtapas.join(', '))}</p>
+            ` : ''}
+            ${plan.counts.pendente > 0 ? `
+                <p>⚠️ ${plan.counts.pendente} catecúmenos ficam na mesma etapa até o resultado ser resolvido.</p>
+            ` : ''}
+            <div class="rollover-changes"></div>
+        `;
+
+        this.renderChanges();
+        applyBtn.disabled = false;
+    }
+
+    /**
+     * Render the per-row diff of the rollover preview, honouring the action filter
+     */
+    renderChanges() {
+        const container = this.$('.rollover-changes');
+        if (!container || !this.plan) return;
+
+        const action = this.$('.rollover-filter').value;
+        const changes = this.plan.plan.changes.filter(change => !action || change.acao === action);
+
+        container.innerHTML = `
+            <div class="catechumens-table-wrapper">
+                <table class="catechumens-table">
+                    <thead>
+                        <tr>
+                            <th>Linha</th>
+                            <th>Nome</th>
+                            <th>Centro</th>
+                            <th>Etapa atual</th>
+                            <th>Resultado</th>
+                            <th>Novo ano</th>
+                            <th>Observação</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${changes.map(change => `
+                            <tr>
+                                <td>${change.linha}</td>
+                                <td>${this.esc(change.nome)}</td>
+                                <td>${this.esc(change.centro)}</td>
+                                <td>${this.esc(change.etapa)}</td>
+                                <td>${this.esc(change.resultado) || '-'}</td>
+                                <td>${change.novaEtapa && change.novaEtapa !== change.etapa
+                                    ? `<strong>${this.esc(change.novaEtapa)}</strong>`
+                                    : YearRollover.ACTIONS[change.acao]}</td>
+                                <td>${this.esc(change.motivo)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Commit the new year's workbook and, once it is in the repository, move the
+     * settings to the next year. Without GitHub the workbook is only downloaded and
+     * the settings stay on the current year, since the public pages could not read it
+     */
+    async apply() {
+        if (!this.plan) return;
+
+        const dm = this.dataManager;
+        const { rollover, plan, workbook, current, next } = this.plan;
+        const configManager = window.adminApp?.configManager;
+        const logManager = window.adminApp?.logManager;
+        const path = `data/dados-catequese-${next.ano_catequetico.replace('/', '-')}.xlsx`;
+        const repository = dm.getRepository();
+        const publish = !(repository instanceof LocalRepository);
+
+        const question = publish
+            ? `Gerar o ano ${next.ano_catequetico}? O novo Excel é publicado em ${path} e as configurações passam para o novo ano.`
+            : `Gerar o ano ${next.ano_catequetico}? Sem GitHub configurado, o novo Excel é apenas descarregado e as configurações continuam no ano atual.`;
+        if (!confirm(question)) {
+            return;
+        }
+
+        try {
+            const sheets = rollover.buildSheets(workbook, plan, current);
+
+            if (!publish) {
+                // Written by the FileManager, like the published workbook, so dates keep their format
+                const url = URL.createObjectURL(await dm.fileManager.exportToExcel({ sheets }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = path.split('/').pop();
+                link.click();
+                URL.revokeObjectURL(url);
+
+                logManager?.logInfo('data', `Excel do ano ${next.ano_catequetico} descarregado (sem GitHub)`, {
+                    action: 'rollover',
+                    counts: plan.counts
+                });
+                dm.showNotification(`Excel de ${next.ano_catequetico} descarregado. Publique-o em ${path} e só depois mude o ano nas configurações.`, 'warning');
+                return;
+            }
+
+            const operationId = `rollover-${Date.now()}`;
+            window.adminApp?.showProgressOverlay?.(operationId, `Novo ano ${next.ano_catequetico}`);
+            const saved = await dm.fileManager.saveExcelData({ sheets }, {
+                path,
+                message: `Novo ano catequético ${next.ano_catequetico} (a partir de ${current || 'ano atual'})`,
+                repository,
+                operationId
+            });
+
+            if (configManager) {
+                const settings = JSON.parse(JSON.stringify(await dm.getSettings()));
+                settings.paroquia = { ...settings.paroquia, ...next };
+                // Keep the previous year selectable on the public pages
+                settings.anos = { ...settings.anos };
+                if (current && !settings.anos[current]) {
+                    settings.anos[current] = settings.arquivos?.dados_principais;
+                }
+                settings.anos[next.ano_catequetico] = path;
+
+                const result = await configManager.updateSettings(settings);
+                if (!result.success) {
+                    throw new Error(`o Excel foi publicado em ${path}, mas as configurações não mudaram: ${result.message}`);
+                }
+            }
+
+            logManager?.logSuccess('data', `Ano catequético ${next.ano_catequetico} gerado a partir de ${current}`, {
+                action: 'rollover',
+                path,
+                commit: saved.commitSha || null,
+                counts: plan.counts,
+                unmatchedEtapas: plan.unmatchedEtapas
+            });
+
+            // Continue editing the new year's roster
+            dm.processExcelData({ sheets });
+            dm.resetChangeTracking();
+            dm.refreshCurrentView();
+            dm.showNotification(`Novo ano ${next.ano_catequetico} publicado em ${path}.`, 'success');
+        } catch (error) {
+            logManager?.logError('data', 'Erro ao gerar o novo ano catequético', { error: error.message });
+            dm.showNotification('Erro ao gerar o novo ano: ' + error.message, 'error');
+        }
+    }
+}
+
+window.RolloverView = RolloverView;
@@ -0,0 +1,368 @@
+/**
+ * Transfers View
+ * Moves a catecúmeno to another class or out of the parish, recording each
+ * move in the Transferências sheet, with the entries and exits per centro
+ */
+class TransfersView extends DataView {
+    constructor(container, dataManager) {
+        super(container, dataManager);
+        this.catechumenId = null;
+        this.classes = [];             // Destination classes of the selected catechumen
+        this.classSizes = new Map();   // Class key -> catechumens still in the parish
+        this.activeIds = new Set();    // Catechumens not marked as transferred out
+        this.transferredOutLabel = 'Transferido';
+    }
+
+    createInterface() {
+        this.container.innerHTML = `
+            <div class="catechists-header">
+                <h3>Transferências</h3>
+            </div>
+            <div class="catechumens-filters">
+                <select class="transfer-catechumen"></select>
+                <select class="transfer-destination"></select>
+                <input type="text" class="transfer-parish" placeholder="Paróquia de destino" style="display: none;">
+                <input type="date" class="transfer-date">
+                <input type="text" class="transfer-reason" placeholder="Motivo">
+                <button class="btn btn-primary" data-action="transfer" disabled>🔀 Transferir</button>
+            </div>
+            <div class="transfer-preview"></div>
+            <div class="transfers-list"></div>
+        `;
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+        this.$('.transfer-catechumen').addEventListener('change', (e) => {
+            this.catechumenId = Number(e.target.value);
+            this.render();
+        });
+        this.$('.transfer-destination').addEventListener('change', () => this.renderPreview());
+    }
+
+    handleAction(action) {
+        if (action === 'transfer') this.transfer();
+    }
+
+    /**
+     * Select the catechumen the form opens with
+     * @param {number} id - Catechumen id
+     */
+    select(id) {
+        this.catechumenId = id;
+    }
+
+    /**
+     * Placements of the catechumens still in the parish (resultado other than Transferido)
+     * @returns {Promise<Array<Object>>} Records from getCatechumenPlacements
+     */
+    async getActivePlacements() {
+        const dm = this.dataManager;
+        const transferred = await this.getTransferredOutResult();
+        const resultadoHeader = dm.getPlacementHeader('resultado');
+        const key = window.utils.key;
+        const keys = [transferred.nome, ...transferred.aliases].map(key);
+
+        return dm.getCatechumenPlacements().filter(placement => {
+            const catechumen = dm.catechumens.find(c => c.id === placement.id);
+            return !resultadoHeader || !keys.includes(key(catechumen.data[resultadoHeader]));
+        });
+    }
+
+    /**
+     * Resultado given to catechumens who leave the parish (cores-resultados.json › transferido)
+     * @returns {Promise<{nome: string, aliases: Array<string>}>} Label and aliases
+     */
+    async getTransferredOutResult() {
+        const resultado = (await this.dataManager.fetchConfigFile('cores-resultados.json'))?.resultados?.transferido;
+        return { nome: resultado?.nome || 'Transferido', aliases: resultado?.aliases || [] };
+    }
+
+    /**
+     * Render the transfer form, the selected catechumen's history and the per-centro summary
+     */
+    async render() {
+        const dm = this.dataManager;
+        const container = this.$('.transfers-list');
+        const select = this.$('.transfer-catechumen');
+
+        const dateInput = this.$('.transfer-date');
+        if (!dateInput.value) {
+            dateInput.value = new Date().toISOString().split('T')[0];
+        }
+
+        if (dm.catechumens.length === 0) {
+            select.innerHTML = '';
+            this.$('.transfer-destination').innerHTML = '';
+            this.$('.transfer-preview').innerHTML = '';
+            this.$('[data-action="transfer"]').disabled = true;
+            container.innerHTML = '<p>Carregue um arquivo Excel para registar transferências.</p>';
+            return;
+        }
+
+        const placements = new Map(dm.getCatechumenPlacements().map(p => [p.id, p]));
+        const active = await this.getActivePlacements();
+        this.activeIds = new Set(active.map(p => p.id));
+        this.transferredOutLabel = (await this.getTransferredOutResult()).nome;
+
+        const sorted = [...dm.catechumens].sort((a, b) => String(a.name).localeCompare(String(b.name), 'pt'));
+        if (!placements.has(this.catechumenId)) {
+            this.catechumenId = sorted[0].id;
+        }
+        select.innerHTML = sorted.map(catechumen => {
+            const placement = placements.get(catechumen.id);
+            const status = this.activeIds.has(catechumen.id) ? '' : ` [${this.esc(this.transferredOutLabel)}]`;
+            return `<option value="${catechumen.id}" ${catechumen.id === this.catechumenId ? 'selected' : ''}>${this.esc(catechumen.name)} — ${this.esc(placement.etapa)}${placement.centro ? ` (${this.esc(placement.centro)})` : ''}${status}</option>`;
+        }).join('');
+
+        // Destination classes: every other class of the workbook, plus leaving the parish
+        const current = placements.get(this.catechumenId);
+        const currentKey = `${current.centro}|${current.etapa}|${current.sala}|${current.horario}`;
+        const classes = ScheduleConflicts.turmas(active);
+        this.classSizes = new Map(classes.map(turma => [turma.chave, turma.catecumenos]));
+        this.classes = classes
+            .filter(turma => turma.chave !== currentKey)
+            .sort((a, b) => a.chave.localeCompare(b.chave, 'pt', { numeric: true }));
+
+        const destination = this.$('.transfer-destination');
+        destination.innerHTML = `
+            <option value="out">Fora da paróquia</option>
+            ${this.classes.map((turma, index) => `
+                <option value="${index}">${this.esc(TransferHistory.turma(turma))} (${turma.catecumenos})</option>
+            `).join('')}
+        `;
+        if (this.classes.length > 0) destination.value = '0';
+
+        const history = dm.getTransferHistory();
+        const summary = history.resumoPorCentro();
+        const recent = history.recentes(20);
+
+        container.innerHTML = `
+            <h4>Entradas e saídas por centro</h4>
+            ${summary.length === 0 ? '<p>Ainda não há transferências registadas.</p>' : `
+                <div class="catechumens-table-wrapper">
+                    <table class="catechumens-table">
+                        <thead>
+                            <tr>
+                                <th>Centro</th>
+                                <th>Entradas</th>
+                                <th>Saídas</th>
+                                <th>Saídas da paróquia</th>
+                                <th>Mudanças de turma</th>
+                                <th>Saldo</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${summary.map(centro => `
+                                <tr>
+                                    <td>${this.esc(centro.centro)}</td>
+                                    <td>${centro.entradas}</td>
+                                    <td>${centro.saidas}</td>
+                                    <td>${centro.saidasParoquia}</td>
+                                    <td>${centro.internas}</td>
+                                    <td><strong>${centro.saldo > 0 ? '+' : ''}${centro.saldo}</strong></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <h4>Últimas transferências</h4>
+                ${this.renderRows(recent)}
+            `}
+        `;
+
+        this.renderPreview();
+    }
+
+    /**
+     * Table of transfers
+     * @param {Array<Object>} transfers - Transfers from TransferHistory
+     * @returns {string} HTML
+     */
+    renderRows(transfers) {
+        return `
+            <div class="catechumens-table-wrapper">
+                <table class="catechumens-table">
+                    <thead>
+                        <tr>
+                            <th>Data</th>
+                            <th>Nome</th>
+                            <th>Tipo</th>
+                            <th>Origem</th>
+                            <th>Destino</th>
+                            <th>Motivo</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${transfers.map(transfer => `
+                            <tr>
+                                <td>${transfer.data ? window.utils.fmtDate(transfer.data) : '-'}</td>
+                                <td>${this.esc(transfer.nome)}</td>
+                                <td>${TransferHistory.TIPOS[transfer.tipo]}</td>
+                                <td>${this.esc(TransferHistory.turma(transfer.origem))}</td>
+                                <td>${this.esc(TransferHistory.destino(transfer))}</td>
+                                <td>${this.esc(transfer.motivo) || '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the class sizes before and after the selected transfer and the catechumen's history
+     */
+    renderPreview() {
+        const dm = this.dataManager;
+        const preview = this.$('.transfer-preview');
+        const button = this.$('[data-action="transfer"]');
+        const destination = this.$('.transfer-destination').value;
+
+        const current = dm.getCatechumenPlacements().find(p => p.id === this.catechumenId);
+        if (!current) {
+            preview.innerHTML = '';
+            button.disabled = true;
+            return;
+        }
+
+        const leaving = destination === 'out';
+        this.$('.transfer-parish').style.display = leaving ? '' : 'none';
+
+        const origin = this.getClassSize(current);
+        const counted = this.activeIds.has(current.id);
+        const target = leaving ? null : this.classes[Number(destination)];
+        const nascimentoHeader = dm.getPlacementHeader('nascimento');
+        const catechumen = dm.catechumens.find(c => c.id === current.id);
+        const history = dm.getTransferHistory().historico(current.nome, nascimentoHeader ? catechumen.data[nascimentoHeader] : '');
+
+        preview.innerHTML = `
+            <p>Turma atual: <strong>${this.esc(TransferHistory.turma(current))}</strong>
+                ${origin !== null ? `(${origin} → ${counted ? origin - 1 : origin})` : ''}
+                ${counted ? '' : `— já marcado como ${this.esc(this.transferredOutLabel)}`}
+                ${target ? `<br>Nova turma: <strong>${this.esc(TransferHistory.turma(target))}</strong> (${target.catecumenos} → ${target.catecumenos + 1})` : ''}
+                ${leaving ? `<br>Sai da paróquia: o resultado passa a ${this.esc(this.transferredOutLabel)}.` : ''}</p>
+            ${history.length > 0 ? `
+                <h4>Histórico de ${this.esc(current.nome)}</h4>
+                ${this.renderRows(history)}
+            ` : ''}
+        `;
+        button.disabled = false;
+    }
+
+    /**
+     * Number of catechumens still in the parish in the class of a placement
+     * @param {Object} placement - Placement from getCatechumenPlacements
+     * @returns {number|null} Class size, or null if the placement is not a full class
+     */
+    getClassSize(placement) {
+        return this.classSizes.get(`${placement.centro}|${placement.etapa}|${placement.sala}|${placement.horario}`) ?? null;
+    }
+
+    /**
+     * Move the selected catechumen to the chosen class, or out of the parish,
+     * and record the transfer in the Transferências sheet. Moving into a class whose
+     * catequista or sala clashes with another class asks or blocks as validacao.conflitos_horario says
+     */
+    async transfer() {
+        const dm = this.dataManager;
+        const catechumen = dm.catechumens.find(c => c.id === this.catechumenId);
+        const destination = this.$('.transfer-destination').value;
+        if (!catechumen || !dm.currentData) return;
+
+        const leaving = destination === 'out';
+        const target = leaving ? null : this.classes[Number(destination)];
+        if (!leaving && !target) return;
+
+        const parish = this.$('.transfer-parish').value.trim();
+        const reason = this.$('.transfer-reason').value.trim();
+        const date = this.$('.transfer-date').value || new Date().toISOString().split('T')[0];
+        const current = dm.getCatechumenPlacements().find(p => p.id === catechumen.id);
+        const before = this.getClassSize(current);
+        const counted = this.activeIds.has(catechumen.id);
+        const description = leaving ? (parish ? `a paróquia ${parish}` : 'fora da paróquia') : TransferHistory.turma(target);
+
+        if (!confirm(`Transferir ${catechumen.name} para ${description}?`)) {
+            return;
+        }
+
+        // Placement of the new class, checked for schedule clashes before anything changes
+        const edits = leaving ? [] : [
+            ...['centro', 'sala', 'horario']
+                .map(field => ({ id: catechumen.id, field: dm.getPlacementHeader(field), value: target[field] }))
+                .filter(edit => edit.field),
+            { id: catechumen.id, field: 'class', value: target.etapa },
+            { id: catechumen.id, field: 'catechist', value: target.catequistas.join(' | ') }
+        ];
+        if (!(await dm.checkScheduleEdits(edits, { includeDestination: true }))) {
+            return;
+        }
+
+        const logManager = window.adminApp?.logManager;
+        try {
+            const nascimentoHeader = dm.getPlacementHeader('nascimento');
+            const transfer = dm.getTransferHistory().add({
+                data: date,
+                nome: catechumen.name,
+                nascimento: nascimentoHeader ? catechumen.data[nascimentoHeader] : '',
+                origem_centro: current.centro,
+                origem_etapa: current.etapa,
+                origem_sala: current.sala,
+                origem_horario: current.horario,
+                destino_centro: target?.centro,
+                destino_etapa: target?.etapa,
+                destino_sala: target?.sala,
+                destino_horario: target?.horario,
+                paroquia_destino: leaving ? parish : '',
+                motivo: reason
+            });
+
+            if (leaving) {
+                // Keep the row so the family contacts stay on file; the resultado marks the departure
+                let resultadoHeader = dm.getPlacementHeader('resultado');
+                if (!resultadoHeader) {
+                    resultadoHeader = 'Resultado';
+                    dm.currentData.sheets[0].data[0].push(resultadoHeader);
+                }
+                dm.setCatechumenField(catechumen, resultadoHeader, this.transferredOutLabel);
+            } else {
+                // A catechumen coming back into a class is active again
+                const resultadoHeader = dm.getPlacementHeader('resultado');
+                if (!counted && resultadoHeader) {
+                    dm.setCatechumenField(catechumen, resultadoHeader, '');
+                }
+                edits.forEach(edit => dm.setCatechumenField(catechumen, edit.field, edit.value));
+                dm.rebuildCatechists();
+            }
+
+            dm.writeTransferSheet();
+
+            const counts = [
+                before !== null && counted ? `${TransferHistory.turma(current)}: ${before} → ${before - 1}` : null,
+                target ? `${TransferHistory.turma(target)}: ${target.catecumenos} → ${target.catecumenos + 1}` : null
+            ].filter(Boolean);
+
+            logManager?.logSuccess('data', `Transferência: ${catechumen.name} → ${TransferHistory.destino(transfer)}`, {
+                action: 'transfer',
+                linha: catechumen.rowIndex + 1,
+                tipo: transfer.tipo,
+                data: window.utils.fmtDate(transfer.data),
+                origem: transfer.origem,
+                destino: leaving ? transfer.paroquiaDestino : transfer.destino,
+                motivo: reason,
+                turmas: counts
+            });
+
+            this.$('.transfer-reason').value = '';
+            this.$('.transfer-parish').value = '';
+            dm.updateStats();
+            dm.refreshCurrentView();
+            dm.showNotification(`${catechumen.name} transferido (${counts.join('; ') || description}). Salve o Excel para publicar.`, 'success');
+        } catch (error) {
+            logManager?.logError('data', 'Erro ao registar a transferência', { nome: catechumen.name, error: error.message });
+            dm.showNotification('Erro ao registar a transferência: ' + error.message, 'error');
+        }
+    }
+}
+
+window.TransfersView = TransfersView;
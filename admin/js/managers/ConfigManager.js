@@ -178,8 +178,14 @@ class ConfigManager {
             arquivos: {
                 dados_principais: "data/dados-catequese.xlsx",
                 template_export: "data/template-export.xlsx",
+                presencas: "data/presencas.json",
+                inscricoes: "data/inscricoes.json",
+                historico_alteracoes: "data/historico-alteracoes.json",
                 logo: "assets/images/logo-paroquia.jpg"
             },
+            anos: {
+                [`${currentYear}/${nextYear}`]: "data/dados-catequese.xlsx"
+            },
             interface: {
                 tema: "claro",
                 idioma: "pt",
@@ -196,7 +202,19 @@ class ConfigManager {
                 campos_obrigatorios: ["nome", "centro", "etapa", "sala", "horario", "catequistas"],
                 formato_data: "DD/MM/YYYY",
                 idade_minima: 6,
-                idade_maxima: 99
+                idade_maxima: 99,
+                conflitos_horario: "avisar"
+            },
+            privacidade: {
+                codigo_catequistas: ""
+            },
+            inscricoes: {
+                endereco_envio: ""
+            },
+            certificados: {
+                titulo: "Certificado de Catequese",
+                texto: "Certifica-se que {nome}, nascido(a) a {nascimento}, concluiu com aproveitamento a {etapa} da catequese no ano catequético {ano_catequetico}, no centro {centro} da {paroquia}.",
+                local_data: "Luanda, {data}"
             },
             github: {
                 token: "ghp_mock_token_for_development_1234567890123456",
@@ -412,6 +430,22 @@ class ConfigManager {
                 }
             }
         }
+
+        // Validate anos section (ano catequético -> Excel desse ano)
+        if (config.anos !== undefined) {
+            if (!config.anos || typeof config.anos !== 'object' || Array.isArray(config.anos)) {
+                errors.push('Anos catequéticos deve ser um objeto (ano → ficheiro)');
+            } else {
+                for (const [ano, arquivo] of Object.entries(config.anos)) {
+                    if (!/^\d{4}\/\d{4}$/.test(ano)) {
+                        errors.push(`Ano catequético '${ano}' deve estar no formato AAAA/AAAA`);
+                    }
+                    if (typeof arquivo !== 'string' || arquivo.trim() === '') {
+                        errors.push(`Ficheiro do ano catequético '${ano}' é obrigatório`);
+                    }
+                }
+            }
+        }
         
         // Validate validacao section
         if (config.validacao) {
@@ -432,6 +466,11 @@ class ConfigManager {
                     errors.push('Idade máxima deve ser um número entre 0 e 150');
                 }
             }
+
+            if (config.validacao.conflitos_horario !== undefined &&
+                !['avisar', 'bloquear'].includes(config.validacao.conflitos_horario)) {
+                errors.push('Conflitos de horário deve ser "avisar" ou "bloquear"');
+            }
         }
         
         // Validate interface section if present
@@ -483,6 +522,9 @@ class ConfigManager {
                     logo: { type: 'string' }
                 }
             },
+            anos: {
+                type: 'object'
+            },
             interface: {
                 type: 'object',
                 properties: {
@@ -509,7 +551,28 @@ class ConfigManager {
                     campos_obrigatorios: { type: 'array', required: true },
                     formato_data: { type: 'string' },
                     idade_minima: { type: 'number', min: 0, max: 100 },
-                    idade_maxima: { type: 'number', min: 0, max: 150 }
+                    idade_maxima: { type: 'number', min: 0, max: 150 },
+                    conflitos_horario: { type: 'string', enum: ['avisar', 'bloquear'] }
+                }
+            },
+            privacidade: {
+                type: 'object',
+                properties: {
+                    codigo_catequistas: { type: 'string' }
+                }
+            },
+            inscricoes: {
+                type: 'object',
+                properties: {
+                    endereco_envio: { type: 'string' }
+                }
+            },
+            certificados: {
+                type: 'object',
+                properties: {
+                    titulo: { type: 'string' },
+                    texto: { type: 'string' },
+                    local_data: { type: 'string' }
                 }
             }
         };
@@ -22,6 +22,9 @@ class FileManager {
         
         // Progress tracker
         this.progressTracker = null;
+
+        // Repository used to commit saved workbooks (GitHubManager or anything with commitFile)
+        this.githubManager = null;
     }
 
     /**
@@ -32,6 +35,14 @@ class FileManager {
         this.progressTracker = progressTracker;
     }
 
+    /**
+     * Set the GitHub manager used to commit saved workbooks
+     * @param {GitHubManager} githubManager - GitHub manager instance
+     */
+    setGitHubManager(githubManager) {
+        this.githubManager = githubManager;
+    }
+
     /**
      * Validate file type and size
      * @param {File} file - File to validate
@@ -705,6 +716,277 @@ class FileManager {
         }
     }
 
+    /**
+     * Load the main data workbook published with the site
+     * @param {string} path - Repository path (settings arquivos.dados_principais)
+     * @returns {Promise<{sheets: Array<{name: string, data: Array<Array>}>}|null>} Parsed workbook, or null if not found
+     */
+    async loadExcelData(path = 'data/dados-catequese.xlsx') {
+        const response = await fetch(`../${path}?v=${Date.now()}`, { cache: 'no-cache' });
+        if (!response.ok) {
+            return null;
+        }
+
+        return this.parseWorkbook(await response.arrayBuffer());
+    }
+
+    /**
+     * Read a workbook chosen by the user
+     * @param {File} file - Excel file
+     * @returns {Promise<{sheets: Array<{name: string, data: Array<Array>}>}>} Parsed workbook
+     */
+    async readExcelData(file) {
+        const validation = this.validateFile(file, 'excel');
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join(', '));
+        }
+
+        return this.parseWorkbook(await file.arrayBuffer());
+    }
+
+    /**
+     * Parse workbook bytes into sheets of rows (first row holds the headers)
+     * @param {ArrayBuffer} buffer - Workbook bytes
+     * @returns {{sheets: Array<{name: string, data: Array<Array>}>}} Parsed workbook
+     */
+    parseWorkbook(buffer) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('Biblioteca XLSX não carregada');
+        }
+
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', cellNF: true });
+        return {
+            sheets: workbook.SheetNames.map(name => ({
+                name,
+                data: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' }),
+                layout: this.getSheetLayout(workbook.Sheets[name])
+            }))
+        };
+    }
+
+    /**
+     * Sheet details that the rows alone do not keep, so the workbook can be written back as it was
+     * @param {Object} worksheet - SheetJS worksheet
+     * @returns {{origin: string, cols: Array|null, merges: Array|null, formats: Object}} Layout
+     *          (formats maps a column offset to the number format of its numeric cells, e.g. dates)
+     */
+    getSheetLayout(worksheet) {
+        const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+        const formats = {};
+
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            for (let r = range.s.r; r <= range.e.r; r++) {
+                const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+                if (cell && cell.t === 'n') {
+                    if (cell.z && cell.z !== 'General') formats[c - range.s.c] = cell.z;
+                    break;
+                }
+            }
+        }
+
+        return {
+            origin: XLSX.utils.encode_cell(range.s),
+            cols: worksheet['!cols'] || null,
+            merges: worksheet['!merges'] || null,
+            formats
+        };
+    }
+
+    /**
+     * Serialise sheets back to XLSX, in the given order and with every column of each row
+     * @param {{sheets: Array<{name: string, data: Array<Array>, layout?: Object}>}} workbookData - Workbook as returned by parseWorkbook
+     * @returns {Uint8Array} Workbook bytes
+     */
+    buildWorkbook(workbookData) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('Biblioteca XLSX não carregada');
+        }
+
+        const workbook = XLSX.utils.book_new();
+        workbookData.sheets.forEach(sheet => {
+            const layout = sheet.layout || {};
+            // Empty cells are left out instead of being written as empty text
+            const rows = sheet.data.map(row => (row || []).map(value => value === '' || value === undefined ? null : value));
+            const worksheet = XLSX.utils.aoa_to_sheet(rows, { origin: layout.origin || 'A1' });
+
+            if (worksheet['!ref']) {
+                const range = XLSX.utils.decode_range(worksheet['!ref']);
+                Object.entries(layout.formats || {}).forEach(([offset, format]) => {
+                    for (let r = range.s.r; r <= range.e.r; r++) {
+                        const cell = worksheet[XLSX.utils.encode_cell({ r, c: range.s.c + Number(offset) })];
+                        if (cell && cell.t === 'n') cell.z = format;
+                    }
+                });
+            }
+            if (layout.cols) worksheet['!cols'] = layout.cols;
+            if (layout.merges) worksheet['!merges'] = layout.merges;
+
+            XLSX.utils.book_append_sheet(workbook, worksheet, sheet.name);
+        });
+
+        return new Uint8Array(XLSX.write(workbook, { bookType: 'xlsx', type: 'array', compression: true }));
+    }
+
+    /**
+     * Check that a workbook can be written: at least one sheet, valid and unique sheet names
+     * @param {Object} workbookData - Workbook as returned by parseWorkbook
+     * @throws {Error} Describing the first problem found
+     */
+    validateWorkbookData(workbookData) {
+        const sheets = workbookData?.sheets;
+        if (!Array.isArray(sheets) || sheets.length === 0) {
+            throw new Error('Não há folhas para guardar');
+        }
+
+        const names = new Set();
+        sheets.forEach((sheet, index) => {
+            const name = String(sheet?.name ?? '');
+            if (!name || name.length > 31 || /[\\/?*[\]:]/.test(name)) {
+                throw new Error(`Nome de folha inválido: "${name || index + 1}"`);
+            }
+            if (names.has(name.toLowerCase())) {
+                throw new Error(`Folha repetida: "${name}"`);
+            }
+            if (!Array.isArray(sheet.data)) {
+                throw new Error(`A folha "${name}" não tem linhas`);
+            }
+            names.add(name.toLowerCase());
+        });
+
+        if (!sheets[0].data[0]?.some(header => String(header ?? '').trim() !== '')) {
+            throw new Error(`A folha "${sheets[0].name}" não tem cabeçalhos`);
+        }
+    }
+
+    /**
+     * Read generated bytes back and compare them with the sheets that were written
+     * (sheet order, headers and number of non-empty rows)
+     * @param {Uint8Array} bytes - Workbook bytes from buildWorkbook
+     * @param {Object} workbookData - Workbook that was written
+     * @throws {Error} If the generated file does not match
+     */
+    verifyWorkbook(bytes, workbookData) {
+        const written = this.parseWorkbook(bytes).sheets;
+        const filled = (rows) => rows.filter(row => (row || []).some(value => String(value ?? '').trim() !== '')).length;
+        const headers = (rows) => (rows.find(row => (row || []).some(value => String(value ?? '').trim() !== '')) || [])
+            .map(value => String(value ?? '').trim())
+            .join('|')
+            .replace(/\|+$/, '');
+
+        const expectedNames = workbookData.sheets.map(sheet => sheet.name).join(', ');
+        if (written.map(sheet => sheet.name).join(', ') !== expectedNames) {
+            throw new Error(`Verificação do Excel falhou: folhas ${expectedNames} não foram escritas pela mesma ordem`);
+        }
+
+        workbookData.sheets.forEach((sheet, index) => {
+            const copy = written[index].data;
+            if (headers(copy) !== headers(sheet.data) || filled(copy) !== filled(sheet.data)) {
+                throw new Error(`Verificação do Excel falhou: a folha "${sheet.name}" não corresponde aos dados editados`);
+            }
+        });
+    }
+
+    /**
+     * Save the edited workbook: validate it, write it as XLSX and commit it through
+     * GitHubManager.commitFile, reporting each stage to the progress tracker
+     * @param {{sheets: Array<{name: string, data: Array<Array>}>}} workbookData - Workbook as returned by parseWorkbook
+     * @param {Object} options
+     * @param {string} options.path - File path in the repository
+     * @param {string} options.message - Commit message
+     * @param {Object} options.repository - Repository with commitFile (defaults to the GitHub manager)
+     * @param {string} options.operationId - Progress operation ID (lets the caller show it before the save starts)
+     * @returns {Promise<{success: boolean, sha: string, commitSha: string, commitUrl: string, message: string, size: number}>}
+     * @throws {Error} If the workbook is invalid, cannot be written or the commit fails
+     */
+    async saveExcelData(workbookData, {
+        path = 'data/dados-catequese.xlsx',
+        message = null,
+        repository = null,
+        operationId = `save-excel-${Date.now()}`
+    } = {}) {
+        const startTime = Date.now();
+        const tracker = this.progressTracker;
+        const logManager = window.adminApp?.logManager;
+        const target = repository || this.githubManager || window.adminApp?.githubManager;
+
+        tracker?.startOperation(operationId, 'Guardar Excel', 'Validando dados...');
+        tracker?.setOperationSteps(operationId, [
+            'Validando dados...',
+            'Gerando arquivo Excel...',
+            'Enviando para GitHub...',
+            'Finalizando...'
+        ]);
+
+        try {
+            if (!target || typeof target.commitFile !== 'function') {
+                throw new Error('GitHub não configurado');
+            }
+            this.validateWorkbookData(workbookData);
+
+            tracker?.nextStep(operationId);
+            const bytes = this.buildWorkbook(workbookData);
+            this.verifyWorkbook(bytes, workbookData);
+
+            tracker?.nextStep(operationId);
+            const result = await target.commitFile(
+                path,
+                this.bytesToBase64(bytes),
+                message || `Atualizar ${path}`,
+                true,
+                (percentage, text) => tracker?.updateProgress(operationId, 50 + percentage * 0.45, text)
+            );
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            const successMessage = `Excel guardado em ${path} (${this.formatFileSize(bytes.length)})`;
+            tracker?.completeOperation(operationId, successMessage);
+            logManager?.logSuccess('file', successMessage, {
+                targetPath: path,
+                fileSize: bytes.length,
+                sheets: workbookData.sheets.map(sheet => sheet.name),
+                commit: result.commitSha,
+                duration: Date.now() - startTime,
+                files: [path]
+            });
+
+            return { ...result, size: bytes.length };
+        } catch (error) {
+            tracker?.failOperation(operationId, error.message);
+            logManager?.logError('file', `Erro ao guardar o Excel em ${path}`, {
+                targetPath: path,
+                error: error.message,
+                duration: Date.now() - startTime
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Workbook as a downloadable XLSX file
+     * @param {Object} workbookData - Workbook as returned by parseWorkbook
+     * @returns {Promise<Blob>} XLSX file
+     */
+    async exportToExcel(workbookData) {
+        this.validateWorkbookData(workbookData);
+        return new Blob([this.buildWorkbook(workbookData)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+
+    /**
+     * Base64 of binary content, as commitFile expects for binary files
+     * @param {Uint8Array} bytes - Content
+     * @returns {string} Base64 string
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
     /**
      * Upload file to GitHub repository
      * @param {File} file - File to upload
@@ -826,14 +826,16 @@ class GitHubManager {
      * @param {string} message - Commit message
      * @param {boolean} isBinary - Whether content is binary (base64 encoded)
      * @param {Function} progressCallback - Optional progress callback
-     * @returns {Promise<{success: boolean, sha: string, message: string, commitUrl: string}>}
+     * @param {string|null} sha - SHA the content is based on (null for a new file); when given,
+     *        GitHub refuses the commit (409/422) if the file changed since it was read
+     * @returns {Promise<{success: boolean, sha: string, message: string, commitUrl: string, status: number|null}>}
      */
-    async commitFile(path, content, message, isBinary = false, progressCallback = null) {
+    async commitFile(path, content, message, isBinary = false, progressCallback = null, sha = undefined) {
         try {
             if (progressCallback) progressCallback(10, 'Verificando arquivo existente...');
             
             // Get current file SHA if it exists
-            const existing = await this.getFileContent(path);
+            const existing = sha === undefined ? await this.getFileContent(path) : { sha };
             
             if (progressCallback) progressCallback(30, 'Preparando conteúdo...');
             
@@ -893,6 +895,7 @@ class GitHubManager {
                 sha: null,
                 commitSha: null,
                 commitUrl: null,
+                status: error.status || null,
                 message: `Erro ao commitar arquivo: ${error.message}`
             };
         }
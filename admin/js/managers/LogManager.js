@@ -559,6 +559,7 @@ class LogManager {
             github: 'GitHub',
             backup: 'Backup',
             export: 'Exportação',
+            data: 'Dados',
             system: 'Sistema'
         };
         
@@ -0,0 +1,378 @@
+/**
+ * Change Tracker
+ * Records every edit made to the roster (who, when, old → new) and diffs
+ * the roster sheet against the workbook as it was loaded or last saved.
+ * ChangeHistory keeps the saved change sets in a JSON file of the repository
+ * so the history of each catechumen's record can be browsed later
+ */
+class ChangeTracker {
+    constructor() {
+        this.baseline = new Map(); // Row id -> {header: value} at load/save time
+        this.rowIds = new WeakMap(); // Sheet row array -> row id
+        this.nextId = 1;
+        this.edits = []; // Edit log since the baseline
+    }
+
+    /**
+     * Take the current rows as the saved state and clear the edit log
+     * Rows keep their id as long as the same row arrays stay in the sheet
+     * @param {Array<Array>} rows - Sheet rows, header first
+     */
+    setBaseline(rows = []) {
+        const headers = (rows[0] || []).map(h => String(h ?? ''));
+        this.baseline = new Map();
+        this.rowIds = new WeakMap();
+        this.edits = [];
+
+        rows.slice(1).forEach(row => {
+            this.baseline.set(this.idFor(row), ChangeTracker.rowValues(headers, row));
+        });
+    }
+
+    /**
+     * Id of a sheet row (rows added after the baseline get a new id on first sight)
+     * @param {Array} row - Sheet row
+     * @returns {string} Row id
+     */
+    idFor(row) {
+        if (!this.rowIds.has(row)) {
+            this.rowIds.set(row, `r${this.nextId++}`);
+        }
+        return this.rowIds.get(row);
+    }
+
+    /**
+     * Attach an existing id to a row (used when a removed row is put back)
+     */
+    assignId(row, id) {
+        this.rowIds.set(row, id);
+    }
+
+    /**
+     * Index of the row with a given id, or -1 if it is no longer in the sheet
+     */
+    indexOf(rows, id) {
+        return rows.findIndex(row => this.rowIds.get(row) === id);
+    }
+
+    /**
+     * Record one edit in the log; edits that do not change the value are ignored
+     * @param {Object} edit
+     * @param {string} edit.tipo - 'alterado', 'adicionado', 'removido' or 'reposto'
+     * @param {string} edit.linha - Row id
+     * @param {string} edit.nome - Catechumen name
+     * @param {string} edit.campo - Column header (alterado only)
+     * @param {*} edit.antes - Previous value
+     * @param {*} edit.depois - New value
+     * @param {string} edit.autor - Who made the edit
+     * @returns {Object|null} Logged edit
+     */
+    record({ tipo = 'alterado', linha, nome, campo = '', antes = '', depois = '', autor = 'admin' }) {
+        if (tipo === 'alterado' && ChangeTracker.same(antes, depois)) return null;
+
+        const edit = {
+            tipo,
+            linha,
+            nome: String(nome ?? ''),
+            campo,
+            antes: ChangeTracker.text(antes),
+            depois: ChangeTracker.text(depois),
+            autor,
+            em: new Date().toISOString()
+        };
+        this.edits.push(edit);
+        return edit;
+    }
+
+    /**
+     * Diff the current rows against the baseline
+     * @param {Array<Array>} rows - Current sheet rows, header first
+     * @param {Set<number>} removedIndexes - Indexes of rows that are dropped on save
+     * @returns {{added: Array, removed: Array, modified: Array}} Entries with linha (row id), index,
+     *          nome, nascimento and either valores (added/removed) or campos [{campo, antes, depois}]
+     */
+    diff(rows, removedIndexes = new Set()) {
+        const headers = (rows[0] || []).map(h => String(h ?? ''));
+        const columns = mapHeaders(headers);
+        const name = (values) => ChangeTracker.text(values[headers[columns.nome]] ?? '');
+        const birth = (values) => ChangeTracker.text(values[headers[columns.nascimento]] ?? '');
+        const result = { added: [], removed: [], modified: [] };
+        const seen = new Set();
+
+        rows.forEach((row, index) => {
+            if (index === 0 || removedIndexes.has(index)) return;
+
+            const linha = this.idFor(row);
+            const values = ChangeTracker.rowValues(headers, row);
+            const base = this.baseline.get(linha);
+            seen.add(linha);
+
+            if (!base) {
+                if (Object.values(values).some(v => ChangeTracker.text(v) !== '')) {
+                    result.added.push({ linha, index, nome: name(values), nascimento: birth(values), valores: values });
+                }
+                return;
+            }
+
+            const campos = [...new Set([...Object.keys(base), ...Object.keys(values)])]
+                .filter(campo => !ChangeTracker.same(base[campo], values[campo]))
+                .map(campo => ({ campo, antes: ChangeTracker.text(base[campo]), depois: ChangeTracker.text(values[campo]) }));
+            if (campos.length > 0) {
+                result.modified.push({ linha, index, nome: name(values), nascimento: birth(values), campos });
+            }
+        });
+
+        this.baseline.forEach((values, linha) => {
+            if (seen.has(linha)) return;
+            result.removed.push({
+                linha,
+                index: this.indexOf(rows, linha),
+                nome: name(values),
+                nascimento: birth(values),
+                valores: values
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Whether a diff has no changes
+     */
+    static isEmpty(diff) {
+        return diff.added.length === 0 && diff.removed.length === 0 && diff.modified.length === 0;
+    }
+
+    /**
+     * One-line summary of a diff, e.g. "2 adicionados, 1 removido, 5 modificados"
+     */
+    static summary(diff) {
+        const part = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+        return [
+            part(diff.added.length, 'adicionado', 'adicionados'),
+            part(diff.removed.length, 'removido', 'removidos'),
+            part(diff.modified.length, 'modificado', 'modificados')
+        ].join(', ');
+    }
+
+    /**
+     * Change set stored with the workbook commit
+     * @param {Object} diff - Result of diff()
+     * @param {Object} info - {autor, mensagem, ficheiro, commit: {sha, url}}
+     * @returns {Object} Change set
+     */
+    changeSet(diff, { autor = 'admin', mensagem = '', ficheiro = '', commit = null } = {}) {
+        const record = ({ nome, nascimento }) => ({ nome, nascimento });
+        return {
+            id: `alt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            em: new Date().toISOString(),
+            autor,
+            mensagem,
+            ficheiro,
+            commit,
+            resumo: {
+                adicionados: diff.added.length,
+                removidos: diff.removed.length,
+                modificados: diff.modified.length
+            },
+            adicionados: diff.added.map(entry => ({ ...record(entry), valores: entry.valores })),
+            removidos: diff.removed.map(entry => ({ ...record(entry), valores: entry.valores })),
+            modificados: diff.modified.map(entry => ({ ...record(entry), campos: entry.campos })),
+            edicoes: this.edits.map(({ linha, ...edit }) => edit)
+        };
+    }
+
+    /**
+     * Header -> value map of a row (columns without a header are skipped)
+     */
+    static rowValues(headers, row) {
+        const values = {};
+        headers.forEach((header, index) => {
+            if (header) values[header] = row[index] ?? '';
+        });
+        return values;
+    }
+
+    static text(value) {
+        return String(value ?? '').trim();
+    }
+
+    static same(a, b) {
+        return ChangeTracker.text(a) === ChangeTracker.text(b);
+    }
+}
+
+/**
+ * Saved change sets, one JSON file per month (historico-alteracoes-AAAA-MM.json)
+ * listed in the configured file, read and written through a repository with
+ * the GitHubManager interface (getFileContent / commitFile). Monthly files keep
+ * each one well under the 1 MB the contents API can read, and every commit is
+ * made against the sha that was read, so a concurrent save is re-read and
+ * appended again instead of overwritten
+ */
+class ChangeHistory {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - GitHubManager or LocalRepository
+     * @param {string} options.path - Index JSON file in the repository (arquivos.historico_alteracoes)
+     */
+    constructor({ repository, path = 'data/historico-alteracoes.json' }) {
+        this.repository = repository;
+        this.path = path;
+        this.data = { atualizado_em: null, ficheiros: [], alteracoes: [] };
+    }
+
+    /**
+     * File holding the change sets saved in a month, next to the index
+     * @param {Date|string} date - Any moment of the month
+     * @returns {string} Path, e.g. data/historico-alteracoes-2025-03.json
+     */
+    monthPath(date = new Date()) {
+        const d = new Date(date);
+        const month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+        return this.path.replace(/(\.json)?$/, `-${month}.json`);
+    }
+
+    /**
+     * Read the index and every monthly file (an empty history if none exists yet)
+     * @returns {Promise<Object>} {atualizado_em, ficheiros, alteracoes}
+     */
+    async load() {
+        const index = (await this.readFile(this.path)).content;
+        const files = Array.isArray(index.ficheiros) ? index.ficheiros : [];
+        const months = await Promise.all(files.map(path => this.readFile(path)));
+
+        this.data = {
+            atualizado_em: index.atualizado_em || null,
+            ficheiros: files,
+            // Change sets saved in the index itself, before the monthly files
+            alteracoes: [index, ...months.map(month => month.content)]
+                .flatMap(content => Array.isArray(content.alteracoes) ? content.alteracoes : [])
+        };
+        return this.data;
+    }
+
+    /**
+     * Append a change set to its month's file, listing a new file in the index
+     * @param {Object} changeSet - From ChangeTracker.changeSet
+     * @returns {Promise<Object>} commitFile result of the monthly file
+     */
+    async append(changeSet) {
+        const path = this.monthPath(changeSet.em || new Date());
+
+        const result = await this.update(path, (content) => {
+            content.alteracoes = [...(Array.isArray(content.alteracoes) ? content.alteracoes : []), changeSet];
+        }, `Histórico de alterações: ${changeSet.mensagem || changeSet.id}`);
+
+        await this.update(this.path, (content) => {
+            const files = Array.isArray(content.ficheiros) ? content.ficheiros : [];
+            if (files.includes(path)) return false;
+            content.ficheiros = [...files, path];
+        }, `Histórico de alterações: novo ficheiro ${path}`);
+
+        this.data.alteracoes.push(changeSet);
+        return result;
+    }
+
+    /**
+     * Read, change and commit a JSON file against the sha that was read; when someone
+     * else committed it in between (409/422), start again from their version
+     * @param {string} path - File in the repository
+     * @param {Function} change - Edits the content in place; returning false skips the commit
+     * @param {string} message - Commit message
+     * @returns {Promise<Object|null>} commitFile result, or null if nothing changed
+     */
+    async update(path, change, message) {
+        for (let attempt = 1; ; attempt++) {
+            const { content, sha } = await this.readFile(path);
+            if (change(content) === false) return null;
+            content.atualizado_em = new Date().toISOString();
+
+            const result = await this.repository.commitFile(path, JSON.stringify(content, null, 2), message, false, null, sha);
+            if (result.success) return result;
+            if (!ChangeHistory.isConflict(result) || attempt >= ChangeHistory.MAX_ATTEMPTS) {
+                throw new Error(result.message);
+            }
+            await new Promise(resolve => setTimeout(resolve, 500 * attempt));
+        }
+    }
+
+    /**
+     * Parsed JSON file and its sha ({} and null if it does not exist yet)
+     * @param {string} path - File in the repository
+     * @returns {Promise<{content: Object, sha: string|null}>} File
+     */
+    async readFile(path) {
+        const file = await this.repository.getFileContent(path);
+        // Over 1 MB the contents API returns no content; writing would wipe the file
+        if (!file.content && file.size > 0) {
+            throw new Error(`${path} tem ${Math.round(file.size / 1024)} KB, mais do que a API do GitHub consegue ler`);
+        }
+        return {
+            content: file.content ? JSON.parse(ChangeHistory.utf8(file.content)) : {},
+            sha: file.sha || null
+        };
+    }
+
+    /**
+     * Whether a failed commit was refused because the file changed since it was read
+     * @param {Object} result - commitFile result
+     * @returns {boolean} True for a sha conflict
+     */
+    static isConflict(result) {
+        return [409, 422].includes(result.status) || /\b(409|422)\b|conflict|does not match|wasn't supplied/i.test(result.message || '');
+    }
+
+    /**
+     * Every saved change to one catechumen, most recent first
+     * A record matches by name (current or previous) and, when given, birth date
+     * @param {string} nome - Catechumen name
+     * @param {string} nascimento - Birth date (optional)
+     * @returns {Array<{em, autor, mensagem, commit, tipo, campos, valores}>} Entries
+     */
+    forRecord(nome, nascimento = '') {
+        const wanted = key(nome);
+        const birth = parseDate(nascimento);
+        const sameBirth = (value) => !birth || !parseDate(value) || fmtDate(parseDate(value)) === fmtDate(birth);
+        const matches = (entry) => sameBirth(entry.nascimento) && (
+            key(entry.nome) === wanted ||
+            (entry.campos || []).some(campo => key(campo.antes) === wanted || key(campo.depois) === wanted)
+        );
+
+        const entries = [];
+        this.data.alteracoes.forEach(changeSet => {
+            [['adicionado', changeSet.adicionados], ['removido', changeSet.removidos], ['modificado', changeSet.modificados]]
+                .forEach(([tipo, list]) => (list || []).filter(matches).forEach(entry => entries.push({
+                    em: changeSet.em,
+                    autor: changeSet.autor,
+                    mensagem: changeSet.mensagem,
+                    commit: changeSet.commit,
+                    tipo,
+                    nome: entry.nome,
+                    campos: entry.campos || [],
+                    valores: entry.valores || null
+                })));
+        });
+
+        return entries.sort((a, b) => String(b.em).localeCompare(String(a.em)));
+    }
+
+    // File content comes as bytes (atob); turn it back into UTF-8 text
+    static utf8(bytes) {
+        try {
+            return decodeURIComponent(escape(bytes));
+        } catch (error) {
+            return bytes;
+        }
+    }
+}
+
+ChangeHistory.MAX_ATTEMPTS = 3;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChangeTracker, ChangeHistory };
+} else {
+    window.ChangeTracker = ChangeTracker;
+    window.ChangeHistory = ChangeHistory;
+}
@@ -99,8 +99,14 @@ class ExcelManager {
             if (!header) return;
             
             const normalized = header.toLowerCase().trim();
+            const sacrament = this.mapSacramentColumn(normalized);
+            const guardian = this.mapGuardianColumn(normalized);
             
-            if (normalized.includes('nome')) map.name = index;
+            // Sacrament and guardian columns first: "Data do Batismo" is not the
+            // birthdate and "Nome do Pai" is not the catechumen's name
+            if (sacrament) map[sacrament] = index;
+            else if (guardian) map[guardian] = index;
+            else if (normalized.includes('nome')) map.name = index;
             else if (normalized.includes('nascimento') || normalized.includes('data')) map.birthdate = index;
             else if (normalized.includes('centro')) map.center = index;
             else if (normalized.includes('etapa')) map.stage = index;
@@ -110,13 +116,77 @@ class ExcelManager {
             else if (normalized.includes('resultado')) map.result = index;
             else if (normalized.includes('telefone')) map.phone = index;
             else if (normalized.includes('endereço') || normalized.includes('endereco')) map.address = index;
-            else if (normalized.includes('pai')) map.father = index;
-            else if (normalized.includes('mãe') || normalized.includes('mae')) map.mother = index;
         });
 
         return map;
     }
 
+    /**
+     * Map an optional sacrament header (date or yes/no, plus the parish where it was received)
+     * @param {string} normalized - Lower-cased header
+     * @returns {string|null} Field name or null when the header is not a sacrament column
+     */
+    mapSacramentColumn(normalized) {
+        const parish = normalized.includes('paróquia') || normalized.includes('paroquia') || normalized.includes('local');
+
+        if (normalized.includes('batismo') || normalized.includes('baptismo') || normalized.includes('batizado') || normalized.includes('baptizado')) {
+            return parish ? 'baptismParish' : 'baptism';
+        }
+        if (normalized.includes('comunhão') || normalized.includes('comunhao')) {
+            return parish ? 'firstCommunionParish' : 'firstCommunion';
+        }
+        if (normalized.includes('crisma') || normalized.includes('confirmação') || normalized.includes('confirmacao')) {
+            return parish ? 'confirmationParish' : 'confirmation';
+        }
+        return null;
+    }
+
+    /**
+     * Map a guardian contact header (father, mother or guardian, each with a phone)
+     * @param {string} normalized - Lower-cased header
+     * @returns {string|null} Field name or null when the header is not a guardian column
+     */
+    mapGuardianColumn(normalized) {
+        const phone = /telefone|telem[oó]vel|contac?to/.test(normalized);
+
+        if (normalized.includes('preferid') || normalized.includes('preferencial')) return 'preferredContact';
+        if (normalized.includes('parentesco')) return 'guardianRelationship';
+        if (normalized.includes('encarregado')) return phone ? 'guardianPhone' : 'guardian';
+        if (/\bpai\b/.test(normalized)) return phone ? 'fatherPhone' : 'father';
+        if (/\bm[ãa]e\b/.test(normalized)) return phone ? 'motherPhone' : 'mother';
+        return null;
+    }
+
+    /**
+     * Build the guardian list of a catechumen (father, mother, guardian and the general phone)
+     * The preferred contact is named by the "Contacto preferido" column, or the first one with a phone
+     * @param {Object} catechumen - Catechumen with the guardian fields
+     * @returns {Array<{type: string, name: string, relationship: string, phone: string, preferred: boolean}>}
+     */
+    buildGuardians(catechumen) {
+        const guardians = [
+            { type: 'father', name: catechumen.father, relationship: 'Pai', phone: catechumen.fatherPhone },
+            { type: 'mother', name: catechumen.mother, relationship: 'Mãe', phone: catechumen.motherPhone },
+            { type: 'guardian', name: catechumen.guardian, relationship: catechumen.guardianRelationship || 'Encarregado de educação', phone: catechumen.guardianPhone }
+        ].filter(g => g.name || g.phone).map(g => ({ ...g, preferred: false }));
+
+        if (catechumen.phone && !guardians.some(g => g.phone === catechumen.phone)) {
+            const withoutPhone = guardians.find(g => !g.phone);
+            if (withoutPhone) withoutPhone.phone = catechumen.phone;
+            else guardians.push({ type: 'general', name: '', relationship: 'Contacto', phone: catechumen.phone, preferred: false });
+        }
+
+        const preference = catechumen.preferredContact.toLowerCase();
+        const aliases = { father: ['pai'], mother: ['mãe', 'mae'], guardian: ['encarregado'] };
+        const preferred = (preference && guardians.find(g =>
+            (aliases[g.type] || []).some(alias => preference.includes(alias)) ||
+            (g.name && g.name.toLowerCase() === preference) || (g.phone && g.phone === catechumen.preferredContact)))
+            || guardians.find(g => g.phone);
+        if (preferred) preferred.preferred = true;
+
+        return guardians;
+    }
+
     /**
      * Check if row has required data
      */
@@ -143,8 +213,21 @@ class ExcelManager {
             address: this.cleanValue(row[columnMap.address]),
             father: this.cleanValue(row[columnMap.father]),
             mother: this.cleanValue(row[columnMap.mother]),
+            fatherPhone: this.cleanValue(row[columnMap.fatherPhone]),
+            motherPhone: this.cleanValue(row[columnMap.motherPhone]),
+            guardian: this.cleanValue(row[columnMap.guardian]),
+            guardianRelationship: this.cleanValue(row[columnMap.guardianRelationship]),
+            guardianPhone: this.cleanValue(row[columnMap.guardianPhone]),
+            preferredContact: this.cleanValue(row[columnMap.preferredContact]),
+            baptism: this.cleanValue(row[columnMap.baptism]),
+            baptismParish: this.cleanValue(row[columnMap.baptismParish]),
+            firstCommunion: this.cleanValue(row[columnMap.firstCommunion]),
+            firstCommunionParish: this.cleanValue(row[columnMap.firstCommunionParish]),
+            confirmation: this.cleanValue(row[columnMap.confirmation]),
+            confirmationParish: this.cleanValue(row[columnMap.confirmationParish]),
             additionalData: {}
         };
+        catechumen.guardians = this.buildGuardians(catechumen);
 
         // Add any additional columns
         row.forEach((value, index) => {
@@ -0,0 +1,195 @@
+/**
+ * Year Rollover
+ * Builds next catechetical year's roster from this year's resultados
+ */
+class YearRollover {
+    /**
+     * @param {Object} options
+     * @param {Array} options.etapas - Etapas in progression order (centros-etapas.json)
+     * @param {Object} options.resultados - Result definitions with aliases (cores-resultados.json)
+     */
+    constructor({ etapas = [], resultados = {} } = {}) {
+        this.etapas = etapas.filter(etapa => etapa.ativo !== false);
+        this.etapaIndex = {};
+        this.etapas.forEach((etapa, position) => {
+            [etapa.id, etapa.nome, ...(etapa.aliases || [])].forEach(name => {
+                if (name) this.etapaIndex[key(name)] = position;
+            });
+        });
+
+        this.resultadoIndex = {};
+        Object.entries(resultados).forEach(([resultKey, info]) => {
+            [resultKey, info.nome, ...(info.aliases || [])].forEach(name => {
+                if (name && !this.resultadoIndex[key(name)]) this.resultadoIndex[key(name)] = resultKey;
+            });
+        });
+    }
+
+    /**
+     * Plan the rollover of a roster sheet
+     * @param {Array<Array>} rows - Sheet rows, header first
+     * @returns {Object} Plan with per-row changes, counts and the sheets to write
+     */
+    plan(rows) {
+        const headers = (rows[0] || []).map(h => String(h));
+        const columns = mapHeaders(headers);
+        if (columns.etapa === undefined || columns.resultado === undefined) {
+            throw new Error('A planilha precisa das colunas etapa e resultado');
+        }
+
+        const changes = [];
+        const roster = [headers];
+        const concluidos = [headers];
+        const arquivo = [headers];
+        const transferidos = [headers];
+        const unmatchedEtapas = new Set();
+
+        rows.slice(1).forEach((row, index) => {
+            if (!row.some(value => String(value).trim() !== '')) return;
+
+            const etapa = String(row[columns.etapa] ?? '').trim();
+            const resultado = String(row[columns.resultado] ?? '').trim();
+            const change = {
+                linha: index + 2,
+                nome: columns.nome !== undefined ? row[columns.nome] : '',
+                centro: columns.centro !== undefined ? row[columns.centro] : '',
+                etapa,
+                resultado,
+                novaEtapa: etapa,
+                acao: 'pendente',
+                motivo: ''
+            };
+
+            const next = [...row];
+            switch (this.resolveResultado(resultado)) {
+                case 'aprovado': {
+                    const position = this.etapaIndex[key(etapa)];
+                    if (position === undefined) {
+                        unmatchedEtapas.add(etapa || '(sem etapa)');
+                        change.motivo = 'Etapa não configurada em centros-etapas.json';
+                        roster.push(next);
+                    } else if (position === this.etapas.length - 1) {
+                        change.acao = 'concluiu';
+                        change.novaEtapa = '';
+                        concluidos.push(next);
+                    } else {
+                        change.acao = 'avanca';
+                        change.novaEtapa = this.etapas[position + 1].nome;
+                        next[columns.etapa] = change.novaEtapa;
+                        next[columns.resultado] = '';
+                        roster.push(next);
+                    }
+                    break;
+                }
+                case 'reprovado':
+                    change.acao = 'repete';
+                    next[columns.resultado] = '';
+                    roster.push(next);
+                    break;
+                case 'desistente':
+                    change.acao = 'arquivado';
+                    change.novaEtapa = '';
+                    arquivo.push(next);
+                    break;
+                case 'transferido':
+                    change.acao = 'removido';
+                    change.novaEtapa = '';
+                    transferidos.push(next);
+                    break;
+                default:
+                    change.motivo = resultado ? `Resultado "${resultado}" não permite decidir` : 'Sem resultado';
+                    roster.push(next);
+            }
+
+            changes.push(change);
+        });
+
+        const counts = Object.fromEntries(Object.keys(YearRollover.ACTIONS).map(action => [action, 0]));
+        changes.forEach(change => counts[change.acao]++);
+
+        return {
+            changes,
+            counts,
+            unmatchedEtapas: Array.from(unmatchedEtapas),
+            sheets: { roster, concluidos, arquivo, transferidos }
+        };
+    }
+
+    /**
+     * Resolve a result value (key, name or alias) to its result key
+     * @param {string} value - Result as written in the sheet
+     * @returns {string|null} Result key or null when unknown
+     */
+    resolveResultado(value) {
+        return this.resultadoIndex[key(value)] || null;
+    }
+
+    /**
+     * Build the workbook sheets for the new year
+     * Keeps every other sheet of the current workbook in place and appends
+     * the graduated, archived and transferred rows as their own sheets, which
+     * share the roster's columns and so take its layout (date formats, widths)
+     * @param {{sheets: Array<{name: string, data: Array<Array>, layout?: Object}>}} workbook - Current workbook
+     * @param {Object} plan - Result of plan()
+     * @param {string} anoAnterior - Year being closed (e.g. "2024/2025")
+     * @returns {Array<{name: string, data: Array<Array>, layout?: Object}>} Sheets in order
+     */
+    buildSheets(workbook, plan, anoAnterior) {
+        const suffix = String(anoAnterior || '').replace('/', '-');
+        const named = (name) => (suffix ? `${name} ${suffix}` : name).slice(0, 31);
+
+        const withLayout = (sheet, layout) => (layout ? { ...sheet, layout } : sheet);
+        const rosterLayout = workbook.sheets[0]?.layout;
+
+        const sheets = workbook.sheets.map((sheet, index) => withLayout({
+            name: sheet.name,
+            data: index === 0 ? plan.sheets.roster : sheet.data
+        }, sheet.layout));
+
+        [
+            [named('Concluídos'), plan.sheets.concluidos],
+            [named('Arquivo'), plan.sheets.arquivo],
+            [named('Transferidos'), plan.sheets.transferidos]
+        ].forEach(([name, data]) => {
+            if (data.length > 1) sheets.push(withLayout({ name, data }, rosterLayout));
+        });
+
+        return sheets;
+    }
+
+    /**
+     * Compute the next catechetical year settings
+     * @param {Object} paroquia - Current paroquia settings
+     * @returns {{ano_catequetico: string, data_inicio: string, data_inicio_formatada: string}}
+     */
+    static nextYear(paroquia = {}) {
+        const match = String(paroquia.ano_catequetico || '').match(/(\d{4})\s*\/\s*(\d{4})/);
+        const start = parseDate(paroquia.data_inicio) || new Date(new Date().getFullYear(), 9, 1);
+        const firstYear = match ? parseInt(match[1], 10) + 1 : start.getFullYear() + 1;
+        const next = new Date(firstYear, start.getMonth(), start.getDate());
+        const month = next.toLocaleDateString('pt-PT', { month: 'long' });
+
+        return {
+            ano_catequetico: `${firstYear}/${firstYear + 1}`,
+            data_inicio: `${firstYear}-${String(next.getMonth() + 1).padStart(2, '0')}-${String(next.getDate()).padStart(2, '0')}`,
+            data_inicio_formatada: `${next.getDate()} de ${month.charAt(0).toUpperCase()}${month.slice(1)} de ${firstYear}`
+        };
+    }
+}
+
+// Rollover actions, in display order
+YearRollover.ACTIONS = {
+    avanca: 'Avança de etapa',
+    repete: 'Repete a etapa',
+    concluiu: 'Concluiu a última etapa',
+    arquivado: 'Arquivado (desistente)',
+    removido: 'Removido (transferido)',
+    pendente: 'Por decidir'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = YearRollover;
+} else {
+    window.YearRollover = YearRollover;
+}
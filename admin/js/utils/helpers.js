@@ -82,14 +82,13 @@ window.HelperUtils = {
     },
 
     /**
-     * Escape HTML to prevent XSS
-     * @param {string} text - Text to escape
+     * Escape HTML to prevent XSS, in element content and in quoted attribute values
+     * @param {*} text - Text to escape (null and undefined give an empty string)
      * @returns {string} Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
     },
 
     /**
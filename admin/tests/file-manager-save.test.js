@@ -0,0 +1,184 @@
+/**
+ * FileManager.saveExcelData against a stubbed repository: what reaches commitFile
+ * and which progress steps the editor sees
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const XLSX = require('xlsx');
+
+const SCRIPTS = [
+    'js/utils/FileOptimizer.js',
+    'js/utils/GitHubOptimizer.js',
+    'js/managers/FileManager.js'
+];
+
+/**
+ * Load the browser scripts into a fresh context, as the admin page does
+ * @returns {Object} Context window with FileManager
+ */
+function loadScripts() {
+    const context = vm.createContext({ console, XLSX, btoa, atob, setTimeout, clearTimeout });
+    context.window = context;
+    SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * Progress tracker that records every call
+ * @returns {{calls: Array<Array>}} Tracker
+ */
+function recordingTracker() {
+    const calls = [];
+    const record = (name) => (...args) => calls.push([name, ...args]);
+    return {
+        calls,
+        startOperation: record('startOperation'),
+        setOperationSteps: record('setOperationSteps'),
+        nextStep: record('nextStep'),
+        updateProgress: record('updateProgress'),
+        completeOperation: record('completeOperation'),
+        failOperation: record('failOperation')
+    };
+}
+
+const WORKBOOK = {
+    sheets: [
+        {
+            name: 'Catecúmenos',
+            data: [
+                ['Nome', 'Centro', 'Etapa', 'Sala'],
+                ['Ana Silva', 'Igreja', '1º Ano', 'Sala 1'],
+                ['Bruno Costa', 'Capela', '2º Ano', '']
+            ]
+        },
+        {
+            name: 'Transferências',
+            data: [
+                ['Data', 'Nome', 'De', 'Para'],
+                ['2024-10-01', 'Carla Dias', 'Igreja', 'Capela']
+            ]
+        }
+    ]
+};
+
+test('commits the workbook as base64 XLSX at the given path and message', async () => {
+    const window = loadScripts();
+    const fileManager = new window.FileManager();
+    const tracker = recordingTracker();
+    const commits = [];
+    fileManager.setProgressTracker(tracker);
+
+    const result = await fileManager.saveExcelData(WORKBOOK, {
+        path: 'data/dados-catequese.xlsx',
+        message: 'Atualizar dados (Joana)',
+        operationId: 'save-test',
+        repository: {
+            async commitFile(...args) {
+                commits.push(args);
+                args[4](50, 'A enviar...');
+                args[4](100, 'Enviado');
+                return { success: true, sha: 'blob123', commitSha: 'commit456' };
+            }
+        }
+    });
+
+    assert.strictEqual(commits.length, 1);
+    const [filePath, content, message, isBinary] = commits[0];
+    assert.strictEqual(filePath, 'data/dados-catequese.xlsx');
+    assert.strictEqual(message, 'Atualizar dados (Joana)');
+    assert.strictEqual(isBinary, true);
+    assert.match(content, /^[A-Za-z0-9+/]+=*$/);
+
+    const written = XLSX.read(Buffer.from(content, 'base64'), { type: 'buffer' });
+    assert.deepStrictEqual(written.SheetNames, ['Catecúmenos', 'Transferências']);
+    const rows = XLSX.utils.sheet_to_json(written.Sheets['Catecúmenos'], { header: 1, defval: '' });
+    assert.deepStrictEqual(rows, WORKBOOK.sheets[0].data);
+
+    assert.strictEqual(result.commitSha, 'commit456');
+    assert.strictEqual(result.size, Buffer.from(content, 'base64').length);
+
+    assert.deepStrictEqual(tracker.calls.map(([name]) => name), [
+        'startOperation',
+        'setOperationSteps',
+        'nextStep',
+        'nextStep',
+        'updateProgress',
+        'updateProgress',
+        'completeOperation'
+    ]);
+    assert.deepStrictEqual([...tracker.calls[1][2]], [
+        'Validando dados...',
+        'Gerando arquivo Excel...',
+        'Enviando para GitHub...',
+        'Finalizando...'
+    ]);
+    assert.ok(tracker.calls.every(([, operationId]) => operationId === 'save-test'));
+    assert.deepStrictEqual(tracker.calls.filter(([name]) => name === 'updateProgress').map(call => call[2]), [72.5, 95]);
+    assert.match(tracker.calls.at(-1)[2], /^Excel guardado em data\/dados-catequese\.xlsx/);
+});
+
+test('uses a default commit message', async () => {
+    const window = loadScripts();
+    const fileManager = new window.FileManager();
+    let message = null;
+
+    await fileManager.saveExcelData(WORKBOOK, {
+        path: 'data/outro.xlsx',
+        repository: {
+            async commitFile(filePath, content, commitMessage) {
+                message = commitMessage;
+                return { success: true };
+            }
+        }
+    });
+
+    assert.strictEqual(message, 'Atualizar data/outro.xlsx');
+});
+
+test('fails the operation and throws when the commit is refused', async () => {
+    const window = loadScripts();
+    const fileManager = new window.FileManager();
+    const tracker = recordingTracker();
+    fileManager.setProgressTracker(tracker);
+
+    await assert.rejects(
+        fileManager.saveExcelData(WORKBOOK, {
+            operationId: 'save-fail',
+            repository: { commitFile: async () => ({ success: false, status: 409, message: 'Conflito' }) }
+        }),
+        /Conflito/
+    );
+
+    assert.deepStrictEqual(tracker.calls.at(-1), ['failOperation', 'save-fail', 'Conflito']);
+    assert.ok(!tracker.calls.some(([name]) => name === 'completeOperation'));
+});
+
+test('does not commit an invalid workbook', async () => {
+    const window = loadScripts();
+    const fileManager = new window.FileManager();
+    const tracker = recordingTracker();
+    let committed = false;
+    fileManager.setProgressTracker(tracker);
+
+    await assert.rejects(
+        fileManager.saveExcelData({ sheets: [{ name: 'Folha/1', data: [['Nome']] }] }, {
+            repository: { commitFile: async () => { committed = true; return { success: true }; } }
+        }),
+        /Nome de folha inválido/
+    );
+
+    assert.strictEqual(committed, false);
+    assert.strictEqual(tracker.calls.at(-1)[0], 'failOperation');
+});
+
+test('refuses to save without a repository', async () => {
+    const window = loadScripts();
+    const fileManager = new window.FileManager();
+
+    await assert.rejects(fileManager.saveExcelData(WORKBOOK), /GitHub não configurado/);
+});
@@ -0,0 +1,352 @@
+/**
+ * Registo de Presenças
+ * Sessões e marcações (presente / falta / justificada) por turma
+ * (centro + etapa + sala + horário), guardadas em data/presencas.json
+ * (arquivos.presencas). As marcações feitas no navegador ficam em
+ * localStorage até o ficheiro atualizado ser exportado e publicado
+ *
+ * Requer assets/js/utils.js e assets/js/config-manager.js
+ */
+
+// Estados de presença, pela ordem dos botões
+const ESTADOS_PRESENCA = {
+  P: { nome: 'Presente', cor: '#16a34a' },
+  F: { nome: 'Falta', cor: '#dc2626' },
+  J: { nome: 'Justificada', cor: '#f59e0b' }
+};
+
+class AttendanceStore {
+  constructor() {
+    this.data = { ano_catequetico: null, atualizado_em: null, turmas: {} };
+    this.pending = {};
+    this.loaded = false;
+    this.loadPromise = null;
+    this.listeners = [];
+    this.storagePrefix = 'catequesePresencas:';
+    this.limiarBaixo = 0.75; // Abaixo desta taxa a presença é considerada baixa
+  }
+
+  /**
+   * Carrega o ficheiro de presenças publicado e junta as marcações locais
+   */
+  async load({ force = false } = {}) {
+    if (this.loadPromise && !force) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._load();
+    return this.loadPromise;
+  }
+
+  async _load() {
+    const config = await this._getConfig();
+    const url = config.getFilePaths().presencas || 'data/presencas.json';
+    const ano = config.get('settings.paroquia.ano_catequetico') || '';
+
+    let data = null;
+    try {
+      const response = await fetch(url + '?v=' + Date.now(), { cache: 'no-cache' });
+      if (response.ok) data = await response.json();
+    } catch (error) {
+      console.warn('⚠️ Ficheiro de presenças indisponível:', error);
+    }
+
+    // Presenças de outro ano catequético (ex.: ao ver um ano anterior no seletor de ano)
+    if (data && data.ano_catequetico && ano && data.ano_catequetico !== ano) {
+      data = null;
+    }
+
+    this.data = {
+      ano_catequetico: (data && data.ano_catequetico) || ano,
+      atualizado_em: (data && data.atualizado_em) || null,
+      turmas: (data && data.turmas) || {}
+    };
+    this.pending = this._readPending();
+    this._mergePending();
+
+    this.loaded = true;
+    this.notifyListeners('change', { source: data ? 'ficheiro' : 'vazio' });
+    return this;
+  }
+
+  /**
+   * Chave da turma: centro + etapa + sala + horário
+   */
+  turmaKey(registo) {
+    return [registo.centro, registo.etapa, registo.sala, registo.horario].join('§');
+  }
+
+  /**
+   * Chave do catecúmeno: nome normalizado + data de nascimento
+   * (estável mesmo que a linha mude de posição no Excel)
+   */
+  alunoKey(registo) {
+    return `${key(registo.nome)}:${registo.nascimento_fmt || registo.nascimento || ''}`;
+  }
+
+  /**
+   * Dia da semana (0 = domingo) de um horário
+   * Usa o dia_semana de config/centros-etapas.json e, se o horário não
+   * estiver configurado, o próprio texto (ex.: "5ª Feira | Noite 19h")
+   */
+  getWeekday(horario) {
+    const configurado = window.configManager.getHorarios()
+      .find(h => key(h.nome) === key(horario) || key(h.id) === key(horario));
+    return this._parseWeekday(configurado ? configurado.dia_semana : horario);
+  }
+
+  /**
+   * Datas de sessão possíveis para a turma, da mais recente para a mais antiga
+   * (de paroquia.data_inicio até hoje ou ao fim do ano catequético, mais as
+   * datas já registadas)
+   * @returns {Array<string>} Datas AAAA-MM-DD
+   */
+  getSessionDates(turma, hoje = new Date()) {
+    const datas = new Set(Object.keys(this._getTurma(turma).sessoes));
+    const dia = this.getWeekday(turma.horario);
+    const inicio = parseDate(window.configManager.get('settings.paroquia.data_inicio'));
+
+    if (dia !== null && inicio) {
+      const fim = new Date(inicio.getFullYear() + 1, inicio.getMonth(), inicio.getDate() - 1);
+      const ultimo = hoje < fim ? hoje : fim;
+      const data = new Date(ultimo.getFullYear(), ultimo.getMonth(), ultimo.getDate());
+      data.setDate(data.getDate() - ((data.getDay() - dia + 7) % 7));
+      while (data >= inicio) {
+        datas.add(this._isoDate(data));
+        data.setDate(data.getDate() - 7);
+      }
+    }
+
+    return Array.from(datas).sort().reverse();
+  }
+
+  /**
+   * Marcações de uma sessão: chave do aluno → 'P' | 'F' | 'J'
+   */
+  getMarks(turma, data) {
+    return this._getTurma(turma).sessoes[data] || {};
+  }
+
+  /**
+   * Regista (ou remove, com estado = null) a presença de um catecúmeno
+   */
+  setMark(turma, data, aluno, estado) {
+    if (estado && !ESTADOS_PRESENCA[estado]) {
+      throw new Error(`Estado de presença inválido: ${estado}`);
+    }
+
+    const turmaKey = this.turmaKey(turma);
+    this._apply(this.data.turmas, turma, data, aluno, estado);
+
+    this.pending[turmaKey] = this.pending[turmaKey] || { ...this._turmaInfo(turma), sessoes: {} };
+    this.pending[turmaKey].sessoes[data] = this.pending[turmaKey].sessoes[data] || {};
+    this.pending[turmaKey].sessoes[data][aluno] = estado || null;
+    this._writePending();
+
+    this.notifyListeners('mark', { turma: turmaKey, data, aluno, estado });
+  }
+
+  /**
+   * Contagens e taxa de presença de um catecúmeno na sua turma
+   * A taxa é presenças / (presenças + faltas); faltas justificadas não contam
+   */
+  getStats(registo) {
+    const aluno = this.alunoKey(registo);
+    const stats = { P: 0, F: 0, J: 0, sessoes: 0, taxa: null };
+
+    for (const marcas of Object.values(this._getTurma(registo).sessoes)) {
+      const estado = marcas[aluno];
+      if (!estado) continue;
+      stats[estado]++;
+      stats.sessoes++;
+    }
+
+    if (stats.P + stats.F > 0) stats.taxa = stats.P / (stats.P + stats.F);
+    return stats;
+  }
+
+  /**
+   * Resumo de presenças de um conjunto de registos
+   */
+  getResumo(registos) {
+    const total = { P: 0, F: 0, J: 0 };
+    const centros = new Map();
+    const alunos = [];
+
+    for (const registo of registos) {
+      const stats = this.getStats(registo);
+      if (!stats.sessoes) continue;
+
+      alunos.push({ registo, ...stats });
+      const centro = registo.centro || '(sem centro)';
+      if (!centros.has(centro)) centros.set(centro, { centro, P: 0, F: 0, J: 0, alunos: 0 });
+      const resumo = centros.get(centro);
+      resumo.alunos++;
+
+      for (const estado of Object.keys(ESTADOS_PRESENCA)) {
+        total[estado] += stats[estado];
+        resumo[estado] += stats[estado];
+      }
+    }
+
+    const taxa = (c) => (c.P + c.F > 0 ? c.P / (c.P + c.F) : null);
+    const turmas = new Set(registos.map(r => this.turmaKey(r)));
+    const sessoes = Object.entries(this.data.turmas)
+      .filter(([turmaKey]) => turmas.has(turmaKey))
+      .reduce((soma, [, turma]) => soma + Object.keys(turma.sessoes).length, 0);
+
+    return {
+      ...total,
+      taxa: taxa(total),
+      sessoes,
+      alunos: alunos.length,
+      porCentro: Array.from(centros.values())
+        .map(c => ({ ...c, taxa: taxa(c) }))
+        .sort((a, b) => a.centro.localeCompare(b.centro, 'pt')),
+      baixa: alunos
+        .filter(a => a.taxa !== null && a.taxa < this.limiarBaixo)
+        .sort((a, b) => a.taxa - b.taxa || a.registo.nome.localeCompare(b.registo.nome, 'pt'))
+    };
+  }
+
+  /**
+   * Número de marcações locais ainda não publicadas
+   */
+  pendingCount() {
+    return Object.values(this.pending)
+      .reduce((soma, turma) => soma + Object.values(turma.sessoes)
+        .reduce((s, marcas) => s + Object.keys(marcas).length, 0), 0);
+  }
+
+  /**
+   * Descarrega o ficheiro de presenças atualizado para publicar em data/
+   */
+  exportFile() {
+    const conteudo = { ...this.data, atualizado_em: new Date().toISOString() };
+    const blob = new Blob([JSON.stringify(conteudo, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'presencas.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Adiciona um ouvinte de eventos ('change', 'mark')
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+    }
+  }
+
+  /**
+   * Remove um ouvinte de eventos
+   */
+  removeListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  notifyListeners(event, data = null) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Erro num ouvinte de presenças:', error);
+      }
+    });
+  }
+
+  _getTurma(turma) {
+    return this.data.turmas[this.turmaKey(turma)] || { sessoes: {} };
+  }
+
+  _turmaInfo(turma) {
+    return { centro: turma.centro, etapa: turma.etapa, sala: turma.sala, horario: turma.horario };
+  }
+
+  _apply(turmas, turma, data, aluno, estado) {
+    const turmaKey = this.turmaKey(turma);
+    turmas[turmaKey] = turmas[turmaKey] || { ...this._turmaInfo(turma), sessoes: {} };
+    const sessoes = turmas[turmaKey].sessoes;
+
+    if (estado) {
+      sessoes[data] = sessoes[data] || {};
+      sessoes[data][aluno] = estado;
+    } else if (sessoes[data]) {
+      delete sessoes[data][aluno];
+      if (Object.keys(sessoes[data]).length === 0) delete sessoes[data];
+    }
+  }
+
+  // Aplica as marcações locais e descarta as que o ficheiro publicado já tem
+  _mergePending() {
+    for (const [turmaKey, turma] of Object.entries(this.pending)) {
+      for (const [data, marcas] of Object.entries(turma.sessoes)) {
+        for (const [aluno, estado] of Object.entries(marcas)) {
+          const publicado = this.data.turmas[turmaKey]?.sessoes[data]?.[aluno] || null;
+          if (publicado === estado) {
+            delete marcas[aluno];
+          } else {
+            this._apply(this.data.turmas, turma, data, aluno, estado);
+          }
+        }
+        if (Object.keys(marcas).length === 0) delete turma.sessoes[data];
+      }
+      if (Object.keys(turma.sessoes).length === 0) delete this.pending[turmaKey];
+    }
+    this._writePending();
+  }
+
+  _storageKey() {
+    return this.storagePrefix + (this.data.ano_catequetico || '');
+  }
+
+  _readPending() {
+    try {
+      return JSON.parse(localStorage.getItem(this._storageKey()) || '{}');
+    } catch (error) {
+      console.warn('⚠️ Marcações locais de presença inválidas, a ignorar:', error);
+      return {};
+    }
+  }
+
+  _writePending() {
+    try {
+      if (Object.keys(this.pending).length) {
+        localStorage.setItem(this._storageKey(), JSON.stringify(this.pending));
+      } else {
+        localStorage.removeItem(this._storageKey());
+      }
+    } catch (error) {
+      console.warn('⚠️ Não foi possível guardar as marcações de presença:', error);
+    }
+  }
+
+  _parseWeekday(texto) {
+    return parseDiaSemana(texto);
+  }
+
+  _isoDate(data) {
+    return `${data.getFullYear()}-${String(data.getMonth() + 1).padStart(2, '0')}-${String(data.getDate()).padStart(2, '0')}`;
+  }
+
+  async _getConfig() {
+    try {
+      return await window.waitForConfig();
+    } catch (error) {
+      return window.configManager;
+    }
+  }
+}
+
+AttendanceStore.ESTADOS = ESTADOS_PRESENCA;
+
+// Instância global do registo de presenças
+window.attendanceStore = new AttendanceStore();
@@ -0,0 +1,147 @@
+/**
+ * Calendário de Aniversários
+ * Grelha mensal dos aniversários e exportação iCalendar (.ics) com eventos
+ * que se repetem todos os anos, para importar no calendário do telemóvel
+ *
+ * Requer assets/js/utils.js
+ */
+
+// Dias da semana da grelha, a começar à segunda-feira
+const DIAS_CALENDARIO = ['Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb', 'Dom'];
+
+class BirthdayCalendar {
+  /**
+   * Semanas de um mês com os aniversariantes de cada dia
+   * @param {Array} registos - Registos normalizados (com nascimento_data)
+   * @param {number} ano
+   * @param {number} mes - 0 = janeiro
+   * @returns {Array<Array<{dia: number, data: Date, aniversariantes: Array}|null>>}
+   */
+  static monthGrid(registos, ano, mes) {
+    const diasNoMes = new Date(ano, mes + 1, 0).getDate();
+    const porDia = Array.from({ length: diasNoMes + 1 }, () => []);
+
+    for (const registo of registos) {
+      const nascimento = registo.nascimento_data;
+      if (!nascimento || nascimento.getMonth() !== mes) continue;
+      // 29 de fevereiro nos anos comuns fica no último dia do mês
+      porDia[Math.min(nascimento.getDate(), diasNoMes)].push(registo);
+    }
+
+    const celulas = Array((new Date(ano, mes, 1).getDay() + 6) % 7).fill(null);
+    for (let dia = 1; dia <= diasNoMes; dia++) {
+      celulas.push({
+        dia,
+        data: new Date(ano, mes, dia),
+        aniversariantes: porDia[dia].sort((a, b) => a.nome.localeCompare(b.nome, 'pt'))
+      });
+    }
+    while (celulas.length % 7) celulas.push(null);
+
+    return Array.from({ length: celulas.length / 7 }, (_, i) => celulas.slice(i * 7, i * 7 + 7));
+  }
+
+  /**
+   * Conteúdo iCalendar (RFC 5545) com um evento anual por catecúmeno
+   * @param {Array} registos - Registos normalizados (com nascimento_data)
+   * @param {Object} options
+   * @param {string} options.nome - Nome do calendário
+   */
+  static toICS(registos, { nome = 'Aniversários da Catequese', agora = new Date() } = {}) {
+    const dtstamp = agora.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const linhas = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Secretariado da Catequese//Aniversarios//PT',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${BirthdayCalendar._escape(nome)}`
+    ];
+
+    for (const registo of registos) {
+      const nascimento = registo.nascimento_data;
+      if (!nascimento) continue;
+
+      const inicio = BirthdayCalendar._dataICS(nascimento);
+      const fim = BirthdayCalendar._dataICS(new Date(nascimento.getFullYear(), nascimento.getMonth(), nascimento.getDate() + 1));
+      // Nos anos comuns, quem nasceu a 29 de fevereiro festeja no último dia de fevereiro
+      const bissexto = nascimento.getMonth() === 1 && nascimento.getDate() === 29;
+      const detalhes = [
+        `Nascimento: ${registo.nascimento_fmt}`,
+        [registo.centro, registo.etapa, registo.sala, registo.horario].filter(Boolean).join(' • '),
+        registo.catequistas_lista.length ? `Catequistas: ${registo.catequistas_lista.join(', ')}` : ''
+      ].filter(Boolean).join('\n');
+
+      linhas.push(
+        'BEGIN:VEVENT',
+        `UID:aniversario-${key(registo.nome) || registo.id}-${inicio}@catequese`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${inicio}`,
+        `DTEND;VALUE=DATE:${fim}`,
+        bissexto ? 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'RRULE:FREQ=YEARLY',
+        `SUMMARY:${BirthdayCalendar._escape(`🎂 ${registo.nome}`)}`,
+        `DESCRIPTION:${BirthdayCalendar._escape(detalhes)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    }
+
+    linhas.push('END:VCALENDAR');
+    return linhas.map(BirthdayCalendar._fold).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Descarrega o ficheiro .ics
+   * @returns {boolean} false se não houver aniversários
+   */
+  static exportICS(registos, { nome, ficheiro = 'aniversarios' } = {}) {
+    const validos = registos.filter(r => r.nascimento_data);
+    if (!validos.length) return false;
+
+    const blob = new Blob([BirthdayCalendar.toICS(validos, { nome })], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${ficheiro}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return true;
+  }
+
+  static _dataICS(data) {
+    return `${data.getFullYear()}${String(data.getMonth() + 1).padStart(2, '0')}${String(data.getDate()).padStart(2, '0')}`;
+  }
+
+  static _escape(texto) {
+    return String(texto)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Linhas com mais de 75 octetos continuam na linha seguinte, começada por espaço
+  static _fold(linha) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(linha).length <= 75) return linha;
+
+    const partes = [];
+    let atual = '';
+    for (const caracter of linha) {
+      const limite = partes.length ? 74 : 75;
+      if (encoder.encode(atual + caracter).length > limite) {
+        partes.push(atual);
+        atual = '';
+      }
+      atual += caracter;
+    }
+    partes.push(atual);
+    return partes.join('\r\n ');
+  }
+}
+
+BirthdayCalendar.DIAS = DIAS_CALENDARIO;
+
+window.BirthdayCalendar = BirthdayCalendar;
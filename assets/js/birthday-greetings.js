@@ -0,0 +1,195 @@
+/**
+ * Postais e Mensagens de Aniversário
+ * Gera um postal por catecúmeno (nome, idade que faz e logótipo da paróquia),
+ * exportável em PNG com html2canvas, e um texto por catequista com os
+ * catecúmenos que fazem anos, pronto a colar em aplicações de mensagens
+ *
+ * Requer assets/js/utils.js, assets/js/config-manager.js, assets/js/birthdays.js
+ * e html2canvas
+ */
+
+// Períodos disponíveis: dias a contar de hoje (inclusive) e texto da mensagem
+const PERIODOS_ANIVERSARIO = {
+  hoje: { dias: 1, nome: 'Hoje', texto: 'fazem anos hoje' },
+  semana: { dias: 7, nome: 'Próximos 7 dias', texto: 'fazem anos esta semana' }
+};
+
+class BirthdayGreetings {
+  /**
+   * @param {Object} options
+   * @param {Object} options.paroquia - Informações da paróquia (settings.paroquia)
+   * @param {string} options.logo - Caminho do logótipo
+   */
+  constructor({ paroquia = {}, logo = '' } = {}) {
+    this.paroquia = paroquia;
+    this.logo = logo;
+  }
+
+  /**
+   * Cria o gerador a partir do ConfigManager público
+   */
+  static fromConfig(config) {
+    return new BirthdayGreetings({
+      paroquia: config.getParoquiaInfo(),
+      logo: config.getFilePaths().logo
+    });
+  }
+
+  /**
+   * Aniversariantes de um período, por data e nome
+   * @param {Array|BirthdayIndex} registos - Registos normalizados ou índice já construído
+   * @param {string} periodo - Chave de PERIODOS_ANIVERSARIO
+   * @returns {Array<{registo, data: Date, dias: number, idade: number}>}
+   */
+  aniversariantes(registos, periodo = 'hoje', hoje = new Date()) {
+    const { dias } = PERIODOS_ANIVERSARIO[periodo] || PERIODOS_ANIVERSARIO.hoje;
+    const indice = registos instanceof BirthdayIndex ? registos : new BirthdayIndex(registos);
+    const inicio = BirthdayIndex.startOfDay(hoje);
+    return indice.between(inicio, new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + dias - 1), hoje);
+  }
+
+  /**
+   * Agrupa os aniversariantes por catequista (um catecúmeno pode aparecer
+   * em vários catequistas da mesma turma)
+   * @returns {Array<{catequista: string, aniversariantes: Array}>}
+   */
+  porCatequista(aniversariantes) {
+    const grupos = new Map();
+
+    for (const item of aniversariantes) {
+      const catequistas = item.registo.catequistas_lista.length ? item.registo.catequistas_lista : [''];
+      catequistas.forEach(catequista => {
+        if (!grupos.has(catequista)) grupos.set(catequista, []);
+        grupos.get(catequista).push(item);
+      });
+    }
+
+    return Array.from(grupos.entries())
+      .map(([catequista, lista]) => ({ catequista, aniversariantes: lista }))
+      .sort((a, b) => (!a.catequista) - (!b.catequista) || a.catequista.localeCompare(b.catequista, 'pt'));
+  }
+
+  /**
+   * Texto das mensagens, um bloco por catequista
+   */
+  mensagens(aniversariantes, periodo = 'hoje') {
+    const { texto } = PERIODOS_ANIVERSARIO[periodo] || PERIODOS_ANIVERSARIO.hoje;
+    const assinatura = this.paroquia.secretariado || this.paroquia.nome || '';
+
+    return this.porCatequista(aniversariantes).map(({ catequista, aniversariantes: lista }) => {
+      const linhas = lista.map(({ registo, data, dias, idade }) => {
+        const quando = dias === 0 ? 'hoje' : data.toLocaleDateString('pt-PT', { weekday: 'long', day: 'numeric', month: 'long' });
+        const turma = [registo.etapa, registo.sala, registo.centro].filter(Boolean).join(', ');
+        return `• ${registo.nome} — ${idade} anos, ${quando} (${turma})`;
+      });
+
+      const mensagem = [
+        catequista ? `Olá, ${catequista}! 🎂` : '🎂 Catecúmenos sem catequista atribuído',
+        `Os teus catecúmenos que ${texto}:`,
+        ...linhas,
+        '',
+        'Não te esqueças de lhes dar os parabéns em nome da catequese! 🙏'
+      ];
+      if (assinatura) mensagem.push(`— ${assinatura}`);
+      return mensagem.join('\n');
+    }).join('\n\n————————————\n\n');
+  }
+
+  /**
+   * Descarrega as mensagens num ficheiro de texto
+   * @returns {boolean} false se não houver aniversariantes
+   */
+  exportMensagens(aniversariantes, periodo = 'hoje') {
+    if (!aniversariantes.length) return false;
+
+    const blob = new Blob([this.mensagens(aniversariantes, periodo) + '\n'], { type: 'text/plain;charset=utf-8' });
+    this._download(URL.createObjectURL(blob), `mensagens_aniversario_${periodo}_${this._hoje()}.txt`);
+    return true;
+  }
+
+  /**
+   * HTML do postal de um catecúmeno
+   */
+  cardHTML({ registo, dias, idade }, index) {
+    return `
+      <div class="postal-aniversario" data-postal="${index}">
+        ${this.logo ? `<img class="postal-logo" src="${this.logo}" alt="" onerror="this.style.display='none'">` : ''}
+        <div class="postal-festa">🎉🎂🎈</div>
+        <div class="postal-parabens">Parabéns!</div>
+        <div class="postal-nome">${registo.nome}</div>
+        <div class="postal-idade">${dias === 0 ? 'Faz hoje' : 'Vai fazer'} <strong>${idade}</strong> anos</div>
+        <div class="postal-votos">Que Deus te abençoe e acompanhe sempre!</div>
+        <div class="postal-paroquia">${this.paroquia.nome || ''}<br>${this.paroquia.secretariado || ''}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Mostra os postais num contentor (a pré-visualização é o próprio postal exportado)
+   */
+  render(container, aniversariantes) {
+    this._ensureStyles();
+    container.innerHTML = aniversariantes.map((item, index) => this.cardHTML(item, index)).join('');
+  }
+
+  /**
+   * Exporta um postal já mostrado na página como PNG
+   */
+  async exportCard(elemento, item) {
+    const canvas = await html2canvas(elemento, { backgroundColor: null, scale: 2, useCORS: true });
+    this._download(canvas.toDataURL('image/png'), `parabens_${key(item.registo.nome) || 'catecumeno'}_${this._hoje()}.png`);
+  }
+
+  /**
+   * Exporta todos os postais mostrados num contentor, um PNG de cada vez
+   * @returns {Promise<number>} Número de postais exportados
+   */
+  async exportCards(container, aniversariantes) {
+    const postais = container.querySelectorAll('[data-postal]');
+    for (const postal of postais) {
+      await this.exportCard(postal, aniversariantes[postal.dataset.postal]);
+      // Pausa curta para o navegador não bloquear as transferências seguidas
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+    return postais.length;
+  }
+
+  _download(href, nome) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = nome;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    if (href.startsWith('blob:')) URL.revokeObjectURL(href);
+  }
+
+  _hoje() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  _ensureStyles() {
+    if (document.getElementById('postal-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'postal-styles';
+    style.textContent = `
+      .postais-aniversario { display: flex; flex-wrap: wrap; gap: 16px; }
+      .postal-aniversario { box-sizing: border-box; width: 300px; min-height: 360px; padding: 24px 20px; border-radius: 16px; text-align: center; display: flex; flex-direction: column; align-items: center; gap: 8px; color: #1b1a17; background: linear-gradient(160deg, #fef3c7 0%, #fffdf6 55%, #fde68a 100%); border: 3px solid #d97706; cursor: pointer; font-family: system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; }
+      .postal-aniversario:hover { box-shadow: 0 6px 16px rgba(217, 119, 6, 0.3); }
+      .postal-logo { height: 56px; }
+      .postal-festa { font-size: 34px; }
+      .postal-parabens { font-size: 30px; font-weight: 800; color: #b45309; }
+      .postal-nome { font-size: 20px; font-weight: 700; }
+      .postal-idade { font-size: 16px; }
+      .postal-idade strong { font-size: 22px; color: #b45309; }
+      .postal-votos { font-style: italic; color: #6b7280; }
+      .postal-paroquia { margin-top: auto; font-size: 12px; color: #6b7280; }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+BirthdayGreetings.PERIODOS = PERIODOS_ANIVERSARIO;
+
+window.BirthdayGreetings = BirthdayGreetings;
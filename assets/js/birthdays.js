@@ -0,0 +1,207 @@
+/**
+ * Motor de Aniversários
+ * Índice dos catecúmenos por mês/dia de nascimento, com janelas de
+ * aniversários (próximos 7/14/30 dias ou semana da catequese de cada turma)
+ * que atravessam corretamente a passagem de ano. Quem nasceu a 29 de
+ * fevereiro faz anos a 28 de fevereiro nos anos comuns
+ *
+ * Requer assets/js/utils.js (e assets/js/attendance.js para a semana da catequese)
+ */
+
+// Janelas disponíveis: número de dias a seguir a hoje ou semana da catequese
+const JANELAS_ANIVERSARIO = {
+  7: 'Próximos 7 dias',
+  14: 'Próximos 14 dias',
+  30: 'Próximos 30 dias',
+  semana: 'Semana da catequese'
+};
+
+const DIA_MS = 86400000;
+
+class BirthdayIndex {
+  /**
+   * @param {Array} registos - Registos normalizados (nascimento_data ou nascimento)
+   */
+  constructor(registos = []) {
+    this.porDia = new Map();
+    this.total = 0;
+
+    for (const registo of registos) {
+      const nascimento = BirthdayIndex.nascimento(registo);
+      if (!nascimento) continue;
+
+      const chave = BirthdayIndex.diaKey(nascimento.getMonth(), nascimento.getDate());
+      if (!this.porDia.has(chave)) this.porDia.set(chave, []);
+      this.porDia.get(chave).push(registo);
+      this.total++;
+    }
+  }
+
+  static nascimento(registo) {
+    return registo.nascimento_data || parseDate(registo.nascimento);
+  }
+
+  static diaKey(mes, dia) {
+    return `${mes + 1}-${dia}`;
+  }
+
+  static isLeapYear(ano) {
+    return (ano % 4 === 0 && ano % 100 !== 0) || ano % 400 === 0;
+  }
+
+  /**
+   * Data do aniversário num ano (29/02 passa a 28/02 nos anos comuns)
+   */
+  static birthdayIn(nascimento, ano) {
+    const bissexto = nascimento.getMonth() === 1 && nascimento.getDate() === 29;
+    const dia = bissexto && !BirthdayIndex.isLeapYear(ano) ? 28 : nascimento.getDate();
+    return new Date(ano, nascimento.getMonth(), dia);
+  }
+
+  /**
+   * Próximo aniversário a partir de uma data (inclusive)
+   */
+  static nextBirthday(nascimento, desde = new Date()) {
+    const inicio = BirthdayIndex.startOfDay(desde);
+    const data = BirthdayIndex.birthdayIn(nascimento, inicio.getFullYear());
+    return data < inicio ? BirthdayIndex.birthdayIn(nascimento, inicio.getFullYear() + 1) : data;
+  }
+
+  /**
+   * Idade que o catecúmeno faz no aniversário de uma data
+   */
+  static turningAge(nascimento, data) {
+    return data.getFullYear() - nascimento.getFullYear();
+  }
+
+  static startOfDay(data) {
+    return new Date(data.getFullYear(), data.getMonth(), data.getDate());
+  }
+
+  /**
+   * Diferença em dias de calendário (imune à mudança de hora)
+   */
+  static daysBetween(de, ate) {
+    const utc = (d) => Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+    return Math.round((utc(ate) - utc(de)) / DIA_MS);
+  }
+
+  /**
+   * Catecúmenos que fazem anos numa data
+   */
+  onDate(data) {
+    const registos = this.porDia.get(BirthdayIndex.diaKey(data.getMonth(), data.getDate())) || [];
+    if (data.getMonth() === 1 && data.getDate() === 28 && !BirthdayIndex.isLeapYear(data.getFullYear())) {
+      return registos.concat(this.porDia.get(BirthdayIndex.diaKey(1, 29)) || []);
+    }
+    return registos;
+  }
+
+  /**
+   * Aniversários entre duas datas (inclusive), por data e nome
+   * @param {Date} inicio
+   * @param {Date} fim
+   * @param {Date} hoje - Referência para o campo dias (negativo se já passou)
+   * @returns {Array<{registo, data: Date, dias: number, idade: number}>}
+   */
+  between(inicio, fim, hoje = new Date()) {
+    const lista = [];
+    const data = BirthdayIndex.startOfDay(inicio);
+    const ultimo = BirthdayIndex.startOfDay(fim);
+
+    while (data <= ultimo) {
+      const dia = new Date(data);
+      for (const registo of this.onDate(dia)) {
+        lista.push(this._item(registo, dia, hoje));
+      }
+      data.setDate(data.getDate() + 1);
+    }
+
+    return this._sort(lista);
+  }
+
+  /**
+   * Aniversários de hoje
+   */
+  today(hoje = new Date()) {
+    return this.between(hoje, hoje, hoje);
+  }
+
+  /**
+   * Aniversários dos próximos dias, sem contar com hoje
+   */
+  upcoming(dias = 7, hoje = new Date()) {
+    const inicio = BirthdayIndex.startOfDay(hoje);
+    return this.between(
+      new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + 1),
+      new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + dias),
+      hoje
+    );
+  }
+
+  /**
+   * Aniversários de um mês (0 = janeiro), num ano
+   */
+  month(mes, ano = new Date().getFullYear()) {
+    return this.between(new Date(ano, mes, 1), new Date(ano, mes + 1, 0));
+  }
+
+  /**
+   * Semana da catequese de uma turma: começa no dia da sessão do horário
+   * (ou ao domingo, se o dia não for conhecido) e inclui hoje
+   * @returns {{inicio: Date, fim: Date}}
+   */
+  static catechesisWeek(horario, hoje = new Date()) {
+    const dia = window.attendanceStore ? window.attendanceStore.getWeekday(horario) : null;
+    const inicio = BirthdayIndex.startOfDay(hoje);
+    inicio.setDate(inicio.getDate() - ((inicio.getDay() - (dia ?? 0) + 7) % 7));
+    return { inicio, fim: new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + 6) };
+  }
+
+  /**
+   * Aniversários na semana da catequese da turma de cada catecúmeno
+   */
+  catechesisWeek(hoje = new Date()) {
+    const semanas = new Map();
+    const semanaDe = (horario) => {
+      if (!semanas.has(horario)) semanas.set(horario, BirthdayIndex.catechesisWeek(horario, hoje));
+      return semanas.get(horario);
+    };
+
+    // Qualquer semana da catequese que inclua hoje está entre hoje - 6 e hoje + 6
+    const inicio = BirthdayIndex.startOfDay(hoje);
+    return this.between(
+      new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() - 6),
+      new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + 6),
+      hoje
+    ).filter(item => {
+      const semana = semanaDe(item.registo.horario);
+      return item.data >= semana.inicio && item.data <= semana.fim;
+    });
+  }
+
+  /**
+   * Aniversários de uma janela de JANELAS_ANIVERSARIO
+   */
+  window(janela = 7, hoje = new Date()) {
+    return janela === 'semana' ? this.catechesisWeek(hoje) : this.upcoming(parseInt(janela, 10) || 7, hoje);
+  }
+
+  _item(registo, data, hoje) {
+    const nascimento = BirthdayIndex.nascimento(registo);
+    return {
+      registo,
+      data,
+      dias: BirthdayIndex.daysBetween(hoje, data),
+      idade: BirthdayIndex.turningAge(nascimento, data)
+    };
+  }
+
+  _sort(lista) {
+    return lista.sort((a, b) => a.data - b.data || a.registo.nome.localeCompare(b.registo.nome, 'pt'));
+  }
+}
+
+BirthdayIndex.JANELAS = JANELAS_ANIVERSARIO;
+
+window.BirthdayIndex = BirthdayIndex;
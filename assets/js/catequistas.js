@@ -0,0 +1,244 @@
+/**
+ * Registo de Catequistas
+ * Lê a folha opcional "Catequistas" do Excel (id, nome, contacto, centro,
+ * anos de serviço, formação) e liga-a aos nomes da coluna catequistas dos
+ * catecúmenos (separados por |). Nomes sem ficha no registo continuam a
+ * aparecer, marcados como não registados
+ *
+ * Requer assets/js/utils.js e assets/js/data-store.js
+ */
+
+// Cabeçalhos aceites na folha "Catequistas" (comparados sem acentos nem espaços)
+const CAMPOS_CATEQUISTA = {
+  id: ['id', 'codigo', 'numero', 'n'],
+  nome: ['nome', 'nomecompleto', 'catequista'],
+  telefone: ['telefone', 'contacto', 'telemovel', 'celular'],
+  email: ['email', 'correioeletronico'],
+  centro: ['centro'],
+  ano_inicio: ['anodeinicio', 'inicio', 'desde', 'catequistadesde'],
+  anos_servico: ['anosdeservico', 'anosservico', 'anos'],
+  formacao: ['formacao', 'niveldeformacao', 'nivel'],
+  outros_nomes: ['outrosnomes', 'tambemconhecidocomo', 'aliases']
+};
+
+class CatequistaRegistry {
+  constructor() {
+    this.catequistas = [];
+    this.registos = [];
+    this.porNome = new Map(); // Nome como aparece na coluna catequistas → ficha
+    this.porId = new Map(); // Id da ficha → catecúmenos
+  }
+
+  /**
+   * Reconstrói o registo a partir da folha e dos catecúmenos
+   * @param {Array<Array>} folha - Linhas da folha "Catequistas" (cabeçalho primeiro)
+   * @param {Array} registos - Registos normalizados
+   */
+  load(folha = [], registos = [], hoje = new Date()) {
+    this.registos = registos;
+    this.catequistas = this._parseFolha(folha, hoje);
+    this.porNome = new Map();
+
+    for (const nome of uniq(registos.flatMap(r => r.catequistas_lista))) {
+      let ficha = this.match(nome);
+      if (!ficha) {
+        ficha = this._ficha({ id: `n-${key(nome)}`, nome }, false);
+        this.catequistas.push(ficha);
+      }
+      ficha.variantes.add(nome);
+      this.porNome.set(nome, ficha);
+    }
+
+    this.porId = new Map();
+    for (const r of registos) {
+      for (const id of new Set(r.catequistas_lista.map(nome => this.porNome.get(nome).id))) {
+        if (!this.porId.has(id)) this.porId.set(id, []);
+        this.porId.get(id).push(r);
+      }
+    }
+
+    this.catequistas.sort((a, b) => a.nome.localeCompare(b.nome, 'pt'));
+    return this;
+  }
+
+  /**
+   * Procura a ficha de um nome da coluna catequistas
+   * Primeiro pelo nome exato (ou outros nomes da ficha) e depois por um nome
+   * mais curto contido no completo (ex.: "Maria José" → "Maria José Fernandes"),
+   * só quando há um único candidato
+   */
+  match(nome) {
+    const chave = key(nome);
+    if (!chave) return null;
+
+    const exata = this.catequistas.find(c => c.registado && c.chaves.includes(chave));
+    if (exata) return exata;
+
+    const palavras = CatequistaRegistry.palavras(nome);
+    if (palavras.length < 2) return null;
+
+    const candidatos = this.catequistas.filter(c => c.registado && [c.nome, ...c.outrosNomes].some(outro => {
+      const outras = CatequistaRegistry.palavras(outro);
+      const [curtas, longas] = palavras.length <= outras.length ? [palavras, outras] : [outras, palavras];
+      return curtas.every(p => longas.includes(p));
+    }));
+    return candidatos.length === 1 ? candidatos[0] : null;
+  }
+
+  /**
+   * Ficha de um nome tal como aparece na coluna catequistas
+   */
+  resolve(nome) {
+    return this.porNome.get(nome) || this.match(nome);
+  }
+
+  /**
+   * Nome da ficha de um nome da coluna catequistas (o próprio nome se não houver ficha)
+   */
+  canonical(nome) {
+    return this.resolve(nome)?.nome || nome;
+  }
+
+  get(id) {
+    return this.catequistas.find(c => c.id === id) || null;
+  }
+
+  all() {
+    return this.catequistas;
+  }
+
+  /**
+   * Catecúmenos de um catequista (em qualquer centro ou horário)
+   */
+  registosDe(id) {
+    return this.porId.get(id) || [];
+  }
+
+  /**
+   * Turmas de um catequista, com os catecúmenos e os outros catequistas de cada uma
+   */
+  turmas(id) {
+    const turmas = new Map();
+
+    for (const r of this.registosDe(id)) {
+      const chave = [r.centro, r.etapa, r.sala, r.horario].join('§');
+      if (!turmas.has(chave)) {
+        turmas.set(chave, { chave, centro: r.centro, etapa: r.etapa, sala: r.sala, horario: r.horario, colegas: new Set(), alunos: [] });
+      }
+      const turma = turmas.get(chave);
+      r.catequistas_lista.forEach(nome => {
+        const ficha = this.resolve(nome);
+        if (ficha && ficha.id !== id) turma.colegas.add(ficha.nome);
+      });
+      turma.alunos.push(r);
+    }
+
+    return Array.from(turmas.values())
+      .map(t => ({
+        ...t,
+        colegas: Array.from(t.colegas).sort((a, b) => a.localeCompare(b, 'pt')),
+        alunos: t.alunos.sort((a, b) => a.nome.localeCompare(b.nome, 'pt'))
+      }))
+      .sort((a, b) => a.horario.localeCompare(b.horario, 'pt') ||
+        a.centro.localeCompare(b.centro, 'pt') ||
+        a.etapa.localeCompare(b.etapa, 'pt', { numeric: true }));
+  }
+
+  /**
+   * Carga de um catequista: turmas, catecúmenos, centros, horários e
+   * sobreposições (duas ou mais turmas no mesmo horário)
+   */
+  workload(id) {
+    const turmas = this.turmas(id);
+    const porHorario = new Map();
+    turmas.forEach(t => {
+      const chave = key(t.horario);
+      if (!porHorario.has(chave)) porHorario.set(chave, []);
+      porHorario.get(chave).push(t);
+    });
+
+    return {
+      turmas: turmas.length,
+      catecumenos: new Set(turmas.flatMap(t => t.alunos.map(a => a.id))).size,
+      centros: uniq(turmas.map(t => t.centro)),
+      horarios: uniq(turmas.map(t => t.horario)),
+      conflitos: Array.from(porHorario.values())
+        .filter(lista => lista.length > 1)
+        .map(lista => ({ horario: lista[0].horario, turmas: lista }))
+    };
+  }
+
+  /**
+   * Todos os catequistas com a respetiva carga, para o diretório
+   */
+  resumo() {
+    return this.catequistas.map(ficha => ({ ...ficha, carga: this.workload(ficha.id) }));
+  }
+
+  static palavras(nome) {
+    return norm(nome).split(/[^a-z0-9]+/).filter(p => p && !CatequistaRegistry.PARTICULAS.includes(p));
+  }
+
+  _parseFolha(folha, hoje) {
+    if (!folha.length) return [];
+
+    const cabecalhos = folha[0].map(h => key(h));
+    const colunas = {};
+    for (const [campo, nomes] of Object.entries(CAMPOS_CATEQUISTA)) {
+      const coluna = cabecalhos.findIndex(h => nomes.includes(h));
+      if (coluna !== -1) colunas[campo] = coluna;
+    }
+    if (colunas.nome === undefined) {
+      console.warn('⚠️ Folha "Catequistas" sem coluna nome, a ignorar');
+      return [];
+    }
+
+    const texto = (linha, campo) => colunas[campo] === undefined ? '' : String(linha[colunas[campo]] ?? '').trim();
+    const vistos = new Set();
+
+    return folha.slice(1).filter(linha => texto(linha, 'nome')).map((linha, i) => {
+      let id = texto(linha, 'id') || `c${i + 1}`;
+      if (vistos.has(id)) id = `${id}-${i + 1}`;
+      vistos.add(id);
+
+      const inicio = parseInt(texto(linha, 'ano_inicio'), 10);
+      const anos = parseInt(texto(linha, 'anos_servico'), 10);
+
+      return this._ficha({
+        id,
+        nome: texto(linha, 'nome'),
+        telefone: texto(linha, 'telefone'),
+        email: texto(linha, 'email'),
+        centro: texto(linha, 'centro'),
+        anoInicio: inicio || null,
+        anosServico: inicio ? Math.max(0, hoje.getFullYear() - inicio) : (Number.isNaN(anos) ? null : anos),
+        formacao: texto(linha, 'formacao'),
+        outrosNomes: texto(linha, 'outros_nomes').split('|').map(n => n.trim()).filter(Boolean)
+      }, true);
+    });
+  }
+
+  _ficha(dados, registado) {
+    const ficha = {
+      telefone: '', email: '', centro: '', anoInicio: null, anosServico: null, formacao: '', outrosNomes: [],
+      ...dados,
+      registado,
+      variantes: new Set()
+    };
+    ficha.chaves = [ficha.nome, ...ficha.outrosNomes].map(key);
+    return ficha;
+  }
+}
+
+// Partículas ignoradas ao comparar nomes
+CatequistaRegistry.PARTICULAS = ['de', 'da', 'do', 'das', 'dos', 'e'];
+CatequistaRegistry.CAMPOS = CAMPOS_CATEQUISTA;
+
+window.CatequistaRegistry = CatequistaRegistry;
+
+// Instância global, reconstruída sempre que o conjunto de dados muda
+window.catequistaRegistry = new CatequistaRegistry();
+window.dataStore.addListener((event, data) => {
+  if (event !== 'change') return;
+  window.catequistaRegistry.load(window.dataStore.catequistasSheet, data.records);
+});
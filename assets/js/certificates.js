@@ -0,0 +1,191 @@
+/**
+ * Certificados de Fim de Ano
+ * Gera, no navegador, um certificado A4 por catecúmeno aprovado a partir do
+ * modelo de texto de settings.json (certificados.texto), pronto a imprimir
+ * em lote por turma ou por centro
+ *
+ * Requer assets/js/utils.js e assets/js/config-manager.js
+ */
+
+// Campos que o modelo pode usar entre chavetas, ex.: {nome}
+const CAMPOS_CERTIFICADO = {
+  nome: 'Nome do catecúmeno',
+  nascimento: 'Data de nascimento',
+  etapa: 'Etapa concluída',
+  centro: 'Centro',
+  sala: 'Sala',
+  horario: 'Horário',
+  catequistas: 'Catequistas da turma',
+  paroquia: 'Nome da paróquia',
+  secretariado: 'Secretariado',
+  ano_catequetico: 'Ano catequético',
+  data: 'Data de emissão'
+};
+
+// Modelo usado quando settings.json não tem a secção certificados
+const MODELO_CERTIFICADO = {
+  titulo: 'Certificado de Catequese',
+  texto: 'Certifica-se que {nome}, nascido(a) a {nascimento}, concluiu com aproveitamento a {etapa} da catequese no ano catequético {ano_catequetico}, no centro {centro} da {paroquia}.',
+  local_data: 'Luanda, {data}'
+};
+
+class CertificateGenerator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.modelo - titulo, texto e local_data (com campos entre chavetas)
+   * @param {Object} options.paroquia - Informações da paróquia (settings.paroquia)
+   * @param {string} options.logo - Caminho do logótipo
+   */
+  constructor({ modelo = {}, paroquia = {}, logo = '' } = {}) {
+    this.modelo = { ...MODELO_CERTIFICADO, ...modelo };
+    this.paroquia = paroquia;
+    this.logo = logo;
+  }
+
+  /**
+   * Cria o gerador a partir do ConfigManager público
+   */
+  static fromConfig(config) {
+    return new CertificateGenerator({
+      modelo: config.get('settings.certificados') || {},
+      paroquia: config.getParoquiaInfo(),
+      logo: config.getFilePaths().logo
+    });
+  }
+
+  /**
+   * Catecúmenos aprovados (resultado configurado como "aprovado"), ordenados
+   * por centro, etapa, sala e nome
+   */
+  static aprovados(registos) {
+    return registos
+      .filter(r => r.resultado_key === 'aprovado')
+      .sort((a, b) => a.centro.localeCompare(b.centro, 'pt') ||
+        a.etapa.localeCompare(b.etapa, 'pt', { numeric: true }) ||
+        String(a.sala).localeCompare(String(b.sala), 'pt', { numeric: true }) ||
+        a.nome.localeCompare(b.nome, 'pt'));
+  }
+
+  /**
+   * Valores dos campos do modelo para um catecúmeno
+   */
+  valores(registo, data = new Date()) {
+    const catequistas = registo.catequistas_lista || [];
+    return {
+      nome: registo.nome,
+      nascimento: registo.nascimento_fmt || '',
+      etapa: registo.etapa,
+      centro: registo.centro,
+      sala: registo.sala,
+      horario: registo.horario,
+      catequistas: catequistas.length > 1
+        ? `${catequistas.slice(0, -1).join(', ')} e ${catequistas[catequistas.length - 1]}`
+        : catequistas.join(''),
+      paroquia: this.paroquia.nome || '',
+      secretariado: this.paroquia.secretariado || '',
+      ano_catequetico: this.paroquia.ano_catequetico || '',
+      data: data.toLocaleDateString('pt-PT', { day: 'numeric', month: 'long', year: 'numeric' })
+    };
+  }
+
+  /**
+   * Substitui os campos {campo} de um texto; campos desconhecidos ficam como estão
+   */
+  fill(texto, registo, data) {
+    const valores = this.valores(registo, data);
+    return String(texto || '').replace(/\{(\w+)\}/g, (original, campo) =>
+      Object.prototype.hasOwnProperty.call(valores, campo) ? valores[campo] : original);
+  }
+
+  /**
+   * HTML dos certificados (um por folha)
+   */
+  buildHTML(registos, { data = new Date() } = {}) {
+    return registos.map(registo => `
+      <section class="certificado-page">
+        <div class="certificado-moldura">
+          <header class="certificado-header">
+            ${this.logo ? `<img src="${this.logo}" alt="" onerror="this.style.display='none'">` : ''}
+            <div class="certificado-paroquia">${this.paroquia.nome || ''}</div>
+            <div>${this.paroquia.secretariado || ''}</div>
+          </header>
+          <h1 class="certificado-titulo">${this.fill(this.modelo.titulo, registo, data)}</h1>
+          <p class="certificado-texto">${this.fill(this.modelo.texto, registo, data)}</p>
+          <p class="certificado-local">${this.fill(this.modelo.local_data, registo, data)}</p>
+          <footer class="certificado-assinaturas">
+            <div>
+              <div class="certificado-linha"></div>
+              ${(registo.catequistas_lista || []).join(' / ') || 'O(A) Catequista'}
+            </div>
+            <div>
+              <div class="certificado-linha"></div>
+              ${this.paroquia.secretariado || 'Secretariado da Catequese'}
+            </div>
+          </footer>
+        </div>
+      </section>
+    `).join('');
+  }
+
+  /**
+   * Imprime os certificados: só as folhas ficam visíveis durante a impressão
+   * @returns {boolean} false se não houver certificados
+   */
+  print(registos, options) {
+    if (!registos.length) return false;
+    this._ensureStyles();
+
+    let container = document.getElementById('certificadoPrint');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'certificadoPrint';
+      container.className = 'certificado-print';
+      document.body.appendChild(container);
+    }
+
+    container.innerHTML = this.buildHTML(registos, options);
+    document.body.classList.add('imprimir-certificados');
+
+    const limpar = () => {
+      document.body.classList.remove('imprimir-certificados');
+      container.innerHTML = '';
+      window.removeEventListener('afterprint', limpar);
+    };
+    window.addEventListener('afterprint', limpar);
+    window.print();
+    return true;
+  }
+
+  _ensureStyles() {
+    if (document.getElementById('certificado-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'certificado-styles';
+    style.textContent = `
+      .certificado-print { display: none; }
+      @media print {
+        @page { size: A4 landscape; margin: 10mm; }
+        body.imprimir-certificados > *:not(.certificado-print) { display: none !important; }
+        body.imprimir-certificados { background: #fff; }
+        body.imprimir-certificados .certificado-print { display: block; }
+      }
+      .certificado-page { page-break-after: always; break-after: page; height: 185mm; color: #000; font-family: Georgia, 'Times New Roman', serif; }
+      .certificado-page:last-child { page-break-after: auto; break-after: auto; }
+      .certificado-moldura { box-sizing: border-box; height: 100%; border: 3px double #c28402; padding: 12mm 18mm; display: flex; flex-direction: column; text-align: center; }
+      .certificado-header img { height: 60px; }
+      .certificado-paroquia { font-size: 18px; font-weight: 700; }
+      .certificado-titulo { font-size: 30px; margin: 10mm 0 8mm; letter-spacing: 1px; text-transform: uppercase; color: #7a5200; }
+      .certificado-texto { font-size: 18px; line-height: 1.6; margin: 0 10mm; }
+      .certificado-local { margin-top: 8mm; font-size: 15px; }
+      .certificado-assinaturas { margin-top: auto; display: flex; justify-content: space-around; gap: 20mm; font-size: 13px; }
+      .certificado-assinaturas > div { flex: 1; }
+      .certificado-linha { border-top: 1px solid #000; margin-bottom: 4px; }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+CertificateGenerator.CAMPOS = CAMPOS_CERTIFICADO;
+CertificateGenerator.MODELO = MODELO_CERTIFICADO;
+
+window.CertificateGenerator = CertificateGenerator;
@@ -8,6 +8,9 @@ class ConfigManager {
     this.config = {};
     this.loaded = false;
     this.loadPromise = null;
+    this.anoAtual = null; // paroquia.ano_catequetico de settings.json, antes de escolher outro ano
+    this.arquivoAtual = null; // Excel do ano atual
+    this.anoStorageKey = 'catequeseAno';
   }
 
   /**
@@ -37,8 +40,10 @@ class ConfigManager {
         coresConfig: cores.configuracao,
         centros: centrosEtapas.centros.filter(c => c.ativo),
         etapas: centrosEtapas.etapas.filter(e => e.ativo),
-        horarios: centrosEtapas.horarios.filter(h => h.ativo)
+        horarios: centrosEtapas.horarios.filter(h => h.ativo),
+        capacidade_salas: centrosEtapas.capacidade_salas || {}
       };
+      this._aplicarAno();
 
       this.loaded = true;
       console.log('✅ Configurações carregadas com sucesso');
@@ -73,19 +78,54 @@ class ConfigManager {
         arquivos: {
           dados_principais: "data/dados-catequese.xlsx",
           template_export: "data/template-export.xlsx",
+          presencas: "data/presencas.json",
+          inscricoes: "data/inscricoes.json",
+          historico_alteracoes: "data/historico-alteracoes.json",
           logo: "assets/images/logo-paroquia.jpg"
+        },
+        interface: {
+          items_por_pagina: 50
+        },
+        exportacao: {
+          template_start_cell: "B8",
+          template_date_cell: "B6",
+          nome_arquivo_padrao: "catequistas_filtrado"
+        },
+        validacao: {
+          campos_obrigatorios: ["nome", "centro", "etapa", "sala", "horario", "catequistas"],
+          idade_minima: 6,
+          idade_maxima: 99,
+          conflitos_horario: "avisar"
+        },
+        privacidade: {
+          codigo_catequistas: ""
+        },
+        inscricoes: {
+          endereco_envio: ""
+        },
+        certificados: {
+          titulo: "Certificado de Catequese",
+          texto: "Certifica-se que {nome}, nascido(a) a {nascimento}, concluiu com aproveitamento a {etapa} da catequese no ano catequético {ano_catequetico}, no centro {centro} da {paroquia}.",
+          local_data: "Luanda, {data}"
         }
       },
       cores: {
         aprovado: { cor: "#16a34a", nome: "Aprovado" },
         reprovado: { cor: "#dc2626", nome: "Reprovado" },
-        desistente: { cor: "#6b7280", nome: "Desistente" },
-        transferido: { cor: "#2563eb", nome: "Transferido" }
+        desistente: { cor: "#6b7280", nome: "Desistente", aliases: ["desistiu"] },
+        transferido: { cor: "#2563eb", nome: "Transferido" },
+        em_avaliacao: { cor: "#f59e0b", nome: "Em Avaliação" }
+      },
+      coresConfig: {
+        mostrar_legenda: true,
+        cor_padrao: "#374151"
       },
       centros: [],
       etapas: [],
-      horarios: []
+      horarios: [],
+      capacidade_salas: {}
     };
+    this._aplicarAno();
     this.loaded = true;
   }
 
@@ -119,6 +159,53 @@ class ConfigManager {
     return this.get('settings.paroquia') || {};
   }
 
+  /**
+   * Anos catequéticos com Excel próprio (secção "anos" de settings.json: ano → Excel),
+   * do mais recente para o mais antigo. O ano atual está sempre incluído e, sem
+   * entrada própria, usa arquivos.dados_principais
+   * @returns {Array<{ano: string, arquivo: string, atual: boolean}>}
+   */
+  getAnos() {
+    const settings = this.config.settings || {};
+    const atual = this.anoAtual || settings.paroquia?.ano_catequetico || '';
+    const anos = { ...(settings.anos || {}) };
+    if (atual && !anos[atual]) anos[atual] = this.arquivoAtual || settings.arquivos?.dados_principais || '';
+
+    return Object.entries(anos)
+      .filter(([ano, arquivo]) => ano && arquivo)
+      .map(([ano, arquivo]) => ({ ano, arquivo, atual: ano === atual }))
+      .sort((a, b) => b.ano.localeCompare(a.ano, 'pt', { numeric: true }));
+  }
+
+  /**
+   * Ano catequético em vista (o atual ou o escolhido no seletor de ano)
+   */
+  getAnoSelecionado() {
+    return this.get('settings.paroquia.ano_catequetico') || this.anoAtual || '';
+  }
+
+  /**
+   * Ano catequético atual de settings.json
+   */
+  getAnoAtual() {
+    return this.anoAtual || this.getAnoSelecionado();
+  }
+
+  /**
+   * Guarda o ano escolhido (no navegador e no endereço da página)
+   * As páginas recarregam para lerem o Excel desse ano
+   */
+  selecionarAno(ano) {
+    const atual = ano === this.getAnoAtual();
+    try {
+      if (atual) localStorage.removeItem(this.anoStorageKey);
+      else localStorage.setItem(this.anoStorageKey, ano);
+    } catch (error) {
+      console.warn('⚠️ Não foi possível guardar o ano escolhido:', error);
+    }
+    window.utils.writeQueryState({ ano: atual ? '' : ano });
+  }
+
   /**
    * Obtém caminhos dos arquivos
    */
@@ -128,19 +215,79 @@ class ConfigManager {
 
   /**
    * Obtém cores dos resultados
+   * Inclui chaves, nomes e aliases normalizados para consulta direta
    */
   getResultadoCores() {
-    const cores = this.get('cores') || {};
     const colorMap = {};
-    
-    for (const [key, config] of Object.entries(cores)) {
-      const normalizedKey = key.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
-      colorMap[normalizedKey] = config.cor || '#6b7280';
+
+    for (const [key, info] of Object.entries(this._getResultadoIndex())) {
+      colorMap[key] = info.cor;
+      colorMap[key.replace(/_/g, ' ')] = info.cor;
     }
-    
+
     return colorMap;
   }
 
+  /**
+   * Resolve um valor de resultado (chave, nome ou alias) para a sua configuração
+   * Valores desconhecidos devolvem key = null e a cor padrão
+   */
+  getResultado(valor) {
+    const texto = (valor === null || valor === undefined) ? '' : String(valor).trim();
+    const info = this._getResultadoIndex()[this._resultadoKey(texto)];
+
+    if (info) return info;
+
+    return {
+      key: null,
+      nome: texto,
+      cor: this.get('coresConfig.cor_padrao') || '#6b7280',
+      descricao: ''
+    };
+  }
+
+  /**
+   * Obtém a lista de resultados configurados, pela ordem do ficheiro
+   */
+  getResultados() {
+    const cores = this.get('cores') || {};
+    return Object.keys(cores).map(key => this.getResultado(key));
+  }
+
+  _resultadoKey(valor) {
+    return String(valor || '')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase().trim()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  _getResultadoIndex() {
+    const cores = this.get('cores') || {};
+    if (this._resultadoIndex && this._resultadoIndexSource === cores) {
+      return this._resultadoIndex;
+    }
+
+    const index = {};
+    for (const [key, config] of Object.entries(cores)) {
+      const info = {
+        key,
+        nome: config.nome || key,
+        cor: config.cor || '#6b7280',
+        descricao: config.descricao || ''
+      };
+
+      [key, info.nome, ...(config.aliases || [])].forEach(alias => {
+        const k = this._resultadoKey(alias);
+        if (k && !index[k]) index[k] = info;
+      });
+    }
+
+    this._resultadoIndex = index;
+    this._resultadoIndexSource = cores;
+    return index;
+  }
+
   /**
    * Obtém lista de centros ativos
    */
@@ -162,6 +309,13 @@ class ConfigManager {
     return this.get('horarios') || [];
   }
 
+  /**
+   * Obtém a capacidade padrão das salas e a ocupação mínima das turmas
+   */
+  getCapacidadeSalas() {
+    return this.get('capacidade_salas') || {};
+  }
+
   /**
    * Valida se os campos obrigatórios estão presentes
    */
@@ -194,6 +348,43 @@ class ConfigManager {
     return this.get('settings.interface.auto_backup') || false;
   }
 
+  /**
+   * Aplica o ano escolhido (?ano= ou o último escolhido neste navegador):
+   * paroquia.ano_catequetico, data de início e arquivos.dados_principais
+   * passam a ser os desse ano, para todas as páginas lerem o Excel certo
+   */
+  _aplicarAno() {
+    const settings = this.config.settings;
+    if (!settings || !settings.paroquia) return;
+
+    this.anoAtual = settings.paroquia.ano_catequetico || '';
+    this.arquivoAtual = settings.anos?.[this.anoAtual] || settings.arquivos?.dados_principais || '';
+
+    let pedido = '';
+    try {
+      pedido = new URLSearchParams(window.location.search).get('ano') || localStorage.getItem(this.anoStorageKey) || '';
+    } catch (error) {
+      pedido = '';
+    }
+
+    const escolhido = this.getAnos().find(a => a.ano === pedido) || this.getAnos().find(a => a.atual);
+    if (!escolhido) return;
+
+    settings.arquivos = { ...settings.arquivos, dados_principais: escolhido.arquivo };
+    if (escolhido.atual) return;
+
+    // Data de início do ano escolhido: o mesmo dia e mês, no primeiro ano de "2023/2024"
+    const inicio = parseInt(escolhido.ano, 10);
+    const paroquia = { ...settings.paroquia, ano_catequetico: escolhido.ano };
+    if (inicio && /^\d{4}-/.test(paroquia.data_inicio || '')) {
+      paroquia.data_inicio = `${inicio}${paroquia.data_inicio.slice(4)}`;
+    }
+    if (inicio && paroquia.data_inicio_formatada) {
+      paroquia.data_inicio_formatada = paroquia.data_inicio_formatada.replace(/\d{4}$/, String(inicio));
+    }
+    settings.paroquia = paroquia;
+  }
+
   /**
    * Obtém intervalo de backup em horas
    */
@@ -0,0 +1,135 @@
+/**
+ * Contactos das Famílias
+ * Os contactos (pai, mãe, encarregado de educação) vêm das colunas opcionais
+ * do Excel e só são mostrados na vista de turma dos catequistas, depois de
+ * introduzido o código de acesso definido no painel administrativo
+ * (settings.privacidade.codigo_catequistas guarda apenas o SHA-256 do código)
+ *
+ * ATENÇÃO: isto é ocultação, não controlo de acesso. O site é estático: o
+ * resumo do código está no settings.json público (e pode ser testado offline
+ * com códigos curtos), o desbloqueio é só uma marca no sessionStorage e os
+ * contactos estão no Excel publicado, que qualquer pessoa pode descarregar.
+ * Enquanto o código não é introduzido, a camada de dados (data-store.js) não
+ * lê os contactos nem os guarda na cache da sessão; para os proteger a sério,
+ * tire as colunas de contactos do Excel público
+ *
+ * Requer assets/js/utils.js e assets/js/config-manager.js
+ */
+
+class ContactAccess {
+  constructor() {
+    this.storageKey = 'catequeseContactos';
+  }
+
+  /**
+   * Resumo SHA-256 (hexadecimal) de um código de acesso
+   */
+  static async hash(codigo) {
+    const bytes = new TextEncoder().encode(String(codigo || '').trim());
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Indica se o secretariado definiu um código de acesso
+   */
+  isConfigured() {
+    return !!this._codigo();
+  }
+
+  /**
+   * Indica se o código já foi introduzido nesta sessão do navegador
+   */
+  isUnlocked() {
+    if (!this.isConfigured()) return false;
+    try {
+      return sessionStorage.getItem(this.storageKey) === this._codigo();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Verifica o código e, se estiver certo, desbloqueia os contactos na sessão
+   * @returns {Promise<boolean>} true se o código estiver correto
+   */
+  async unlock(codigo) {
+    if (!this.isConfigured() || !String(codigo || '').trim()) return false;
+
+    const resumo = await ContactAccess.hash(codigo);
+    if (resumo !== this._codigo()) return false;
+
+    try {
+      sessionStorage.setItem(this.storageKey, resumo);
+    } catch (error) {
+      console.warn('⚠️ Não foi possível guardar o acesso aos contactos:', error);
+    }
+    return true;
+  }
+
+  /**
+   * Volta a esconder os contactos e retira-os dos registos carregados
+   */
+  lock() {
+    try {
+      sessionStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // sessionStorage indisponível: nada a limpar
+    }
+    if (window.dataStore) window.dataStore.clearContactos();
+  }
+
+  _codigo() {
+    return String(window.configManager.get('settings.privacidade.codigo_catequistas') || '').trim().toLowerCase();
+  }
+}
+
+/**
+ * Ficha de contactos de uma turma (com cabeçalho), um contacto por linha
+ * @param {Array} registos - Catecúmenos com nome, nascimento_fmt e contactos
+ */
+function contactSheetRows(registos) {
+  const linhas = [['Catecúmeno', 'Nascimento', 'Contacto', 'Parentesco', 'Telefone', 'Preferido']];
+
+  for (const r of registos) {
+    const contactos = r.contactos && r.contactos.length ? r.contactos : [null];
+    contactos.forEach((c, i) => {
+      linhas.push([
+        i === 0 ? r.nome : '',
+        i === 0 ? (r.nascimento_fmt || '') : '',
+        c ? c.nome : '(sem contactos)',
+        c ? c.relacao : '',
+        c ? c.telefone : '',
+        c && c.preferido ? 'Sim' : ''
+      ]);
+    });
+  }
+
+  return linhas;
+}
+
+/**
+ * Descarrega a ficha de contactos de uma turma em XLSX
+ * @param {Object} turma - centro, etapa, sala, horario e (opcional) catequista
+ * @param {Array} registos - Catecúmenos da turma
+ */
+function exportContactSheet(turma, registos) {
+  const titulo = [turma.catequista, turma.centro, turma.etapa, turma.sala && `Sala ${turma.sala}`, turma.horario]
+    .filter(Boolean).join(' • ');
+  const linhas = [[`Contactos — ${titulo}`], [`Gerado em ${nowStamp()} — uso reservado ao catequista`], [], ...contactSheetRows(registos)];
+
+  const ws = XLSX.utils.aoa_to_sheet(linhas);
+  ws['!cols'] = [{ wch: 32 }, { wch: 12 }, { wch: 28 }, { wch: 22 }, { wch: 16 }, { wch: 10 }];
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Contactos');
+
+  const nome = [turma.centro, turma.etapa, turma.sala].map(key).filter(Boolean).join('_') || 'turma';
+  XLSX.writeFile(wb, `contactos_${nome}.xlsx`);
+}
+
+window.ContactAccess = ContactAccess;
+window.contactSheetRows = contactSheetRows;
+window.exportContactSheet = exportContactSheet;
+
+// Instância global do controlo de acesso aos contactos
+window.contactAccess = new ContactAccess();
@@ -0,0 +1,177 @@
+/**
+ * Verificação de Qualidade dos Dados
+ * Compara a idade de cada catecúmeno com a faixa etária da sua etapa
+ * (config/centros-etapas.json) e com os limites gerais de settings.json
+ * (validacao.idade_minima / idade_maxima)
+ *
+ * Requer assets/js/utils.js
+ */
+
+// Tipos de problema detetados, pela ordem em que são apresentados
+const TIPOS_QUALIDADE = {
+  sem_data: { nome: 'Data de nascimento em falta', cor: '#dc2626' },
+  data_invalida: { nome: 'Data de nascimento inválida', cor: '#b45309' },
+  fora_limite_global: { nome: 'Idade fora dos limites gerais', cor: '#7c3aed' },
+  fora_faixa_etapa: { nome: 'Idade fora da faixa da etapa', cor: '#2563eb' }
+};
+
+class DataQualityChecker {
+  /**
+   * @param {Object} options
+   * @param {Array} options.etapas - Etapas com idade_minima/idade_maxima
+   * @param {number} options.idadeMinima - Limite geral mínimo
+   * @param {number} options.idadeMaxima - Limite geral máximo
+   * @param {Date} options.referencia - Data a que as idades são calculadas
+   */
+  constructor({ etapas = [], idadeMinima = null, idadeMaxima = null, referencia = new Date() } = {}) {
+    this.etapas = etapas;
+    this.idadeMinima = idadeMinima;
+    this.idadeMaxima = idadeMaxima;
+    this.referencia = referencia;
+    this.etapaIndex = this._buildEtapaIndex(etapas);
+  }
+
+  /**
+   * Cria o verificador a partir do ConfigManager público
+   * As idades são calculadas à data de início do ano catequético
+   */
+  static fromConfig(config) {
+    return new DataQualityChecker({
+      etapas: config.getEtapas(),
+      idadeMinima: config.get('settings.validacao.idade_minima'),
+      idadeMaxima: config.get('settings.validacao.idade_maxima'),
+      referencia: parseDate(config.get('settings.paroquia.data_inicio')) || new Date()
+    });
+  }
+
+  /**
+   * Obtém a etapa configurada correspondente ao valor da planilha
+   * (compara nome, id e aliases normalizados)
+   */
+  findEtapa(valor) {
+    return this.etapaIndex[key(valor)] || null;
+  }
+
+  /**
+   * Verifica um conjunto de registos
+   * @param {Array} records - Registos com linha, nome, nascimento, centro e etapa
+   * @returns {Object} Relatório com problemas, contagens por tipo e por centro
+   */
+  check(records) {
+    const problemas = [];
+    const porTipo = Object.fromEntries(Object.keys(TIPOS_QUALIDADE).map(t => [t, 0]));
+    const centros = new Map();
+    const etapasSemFaixa = new Map();
+
+    for (const record of records) {
+      const centro = record.centro || '(sem centro)';
+      if (!centros.has(centro)) {
+        centros.set(centro, { centro, total: 0, afetados: 0, tipos: { ...porTipo } });
+      }
+      const resumo = centros.get(centro);
+      resumo.total++;
+
+      const encontrados = this.checkRecord(record);
+      if (encontrados.length) resumo.afetados++;
+
+      for (const problema of encontrados) {
+        porTipo[problema.tipo]++;
+        resumo.tipos[problema.tipo]++;
+        problemas.push(problema);
+      }
+
+      const etapa = this.findEtapa(record.etapa);
+      if (record.etapa && !this._hasFaixa(etapa)) {
+        etapasSemFaixa.set(record.etapa, (etapasSemFaixa.get(record.etapa) || 0) + 1);
+      }
+    }
+
+    return {
+      referencia: this.referencia,
+      verificados: records.length,
+      afetados: new Set(problemas.map(p => p.linha)).size,
+      problemas,
+      porTipo,
+      porCentro: Array.from(centros.values()).sort((a, b) => b.afetados - a.afetados || a.centro.localeCompare(b.centro, 'pt')),
+      etapasSemFaixa: Array.from(etapasSemFaixa, ([etapa, total]) => ({ etapa, total }))
+        .sort((a, b) => b.total - a.total)
+    };
+  }
+
+  /**
+   * Verifica um único registo
+   * @returns {Array} Problemas encontrados (vazio se estiver tudo certo)
+   */
+  checkRecord(record) {
+    const bruto = record.nascimento === null || record.nascimento === undefined ? '' : String(record.nascimento).trim();
+    const base = {
+      linha: record.linha,
+      nome: record.nome,
+      centro: record.centro,
+      etapa: record.etapa,
+      nascimento: bruto,
+      idade: null
+    };
+
+    if (!bruto) {
+      return [{ ...base, tipo: 'sem_data', detalhe: 'Preencher a data de nascimento' }];
+    }
+
+    const data = record.nascimento_data !== undefined ? record.nascimento_data : parseDate(bruto);
+    if (!data || data > this.referencia) {
+      return [{ ...base, tipo: 'data_invalida', detalhe: `Valor "${bruto}" não é uma data válida` }];
+    }
+
+    const idade = calculateAge(data, this.referencia);
+    const problemas = [];
+    base.idade = idade;
+
+    const min = this.idadeMinima;
+    const max = this.idadeMaxima;
+    if ((min !== null && min !== undefined && idade < min) || (max !== null && max !== undefined && idade > max)) {
+      problemas.push({ ...base, tipo: 'fora_limite_global', detalhe: `${idade} anos; limites gerais ${min}–${max}` });
+    }
+
+    const etapa = this.findEtapa(record.etapa);
+    if (this._hasFaixa(etapa) && (idade < etapa.idade_minima || idade > etapa.idade_maxima)) {
+      problemas.push({
+        ...base,
+        tipo: 'fora_faixa_etapa',
+        detalhe: `${idade} anos; ${etapa.nome} é para ${etapa.idade_minima}–${etapa.idade_maxima}`
+      });
+    }
+
+    return problemas;
+  }
+
+  /**
+   * Converte os problemas numa tabela para exportação (com cabeçalho)
+   */
+  toExportRows(problemas) {
+    return [
+      ['Linha', 'Nome', 'Centro', 'Etapa', 'Nascimento', 'Idade', 'Problema', 'Detalhe'],
+      ...problemas.map(p => [
+        p.linha, p.nome, p.centro, p.etapa, p.nascimento, p.idade ?? '',
+        TIPOS_QUALIDADE[p.tipo].nome, p.detalhe
+      ])
+    ];
+  }
+
+  _hasFaixa(etapa) {
+    return !!etapa && Number.isFinite(etapa.idade_minima) && Number.isFinite(etapa.idade_maxima);
+  }
+
+  _buildEtapaIndex(etapas) {
+    const index = {};
+    for (const etapa of etapas) {
+      for (const nome of [etapa.id, etapa.nome, ...(etapa.aliases || [])]) {
+        if (nome) index[key(nome)] = etapa;
+      }
+    }
+    return index;
+  }
+}
+
+DataQualityChecker.TIPOS = TIPOS_QUALIDADE;
+
+window.DataQualityChecker = DataQualityChecker;
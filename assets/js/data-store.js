@@ -0,0 +1,504 @@
+/**
+ * Camada de Dados Partilhada
+ * Carrega o Excel principal, normaliza os registos de catecúmenos
+ * e mantém o resultado em cache durante a sessão
+ *
+ * Requer assets/js/utils.js e assets/js/config-manager.js
+ */
+
+// Dados de exemplo usados quando o Excel não está disponível
+const SAMPLE_DATA = [
+  {
+    nome: "João Silva Santos", nascimento: "15/03/2010", centro: "Centro Principal",
+    etapa: "1ª Etapa", sala: "101", horario: "Sábado Manhã",
+    catequistas: "Maria José|Pedro Costa", resultado: "Aprovado"
+  },
+  {
+    nome: "Ana Maria Fernandes", nascimento: "22/07/2009", centro: "Centro Norte",
+    etapa: "2ª Etapa", sala: "205", horario: "Domingo Tarde",
+    catequistas: "Carlos Silva", resultado: "Aprovado"
+  },
+  {
+    nome: "Miguel António Lopes", nascimento: "08/11/2011", centro: "Centro Sul",
+    etapa: "1ª Etapa", sala: "102", horario: "Sábado Tarde",
+    catequistas: "Isabel Santos|João Pereira", resultado: "Em Avaliação"
+  },
+  {
+    nome: "Beatriz Costa Rodrigues", nascimento: "14/05/2008", centro: "Centro Principal",
+    etapa: "3ª Etapa", sala: "301", horario: "Domingo Manhã",
+    catequistas: "António Silva", resultado: "Aprovado"
+  },
+  {
+    nome: "Francisco Manuel Sousa", nascimento: "30/09/2010", centro: "Centro Norte",
+    etapa: "2ª Etapa", sala: "203", horario: "Sábado Manhã",
+    catequistas: "Teresa Lopes|Manuel Costa", resultado: "Reprovado"
+  },
+  {
+    nome: "Luísa Pereira Gomes", nascimento: "12/01/2009", centro: "Centro Sul",
+    etapa: "2ª Etapa", sala: "204", horario: "Domingo Tarde",
+    catequistas: "Fernanda Lima", resultado: "Aprovado"
+  },
+  {
+    nome: "Carlos Eduardo Martins", nascimento: "03/08/2007", centro: "Centro Principal",
+    etapa: "4ª Etapa", sala: "401", horario: "Sábado Manhã",
+    catequistas: "Rosa Silva", resultado: "Aprovado"
+  },
+  {
+    nome: "Mariana Santos Oliveira", nascimento: "28/12/2012", centro: "Centro Norte",
+    etapa: "1ª Etapa", sala: "103", horario: "Domingo Manhã",
+    catequistas: "Paulo Mendes", resultado: "Aprovado"
+  },
+  {
+    nome: "Ricardo Pereira Lima", nascimento: "17/04/2009", centro: "Centro Sul",
+    etapa: "3ª Etapa", sala: "302", horario: "Sábado Tarde",
+    catequistas: "Lucia Costa|André Silva", resultado: "Reprovado"
+  },
+  {
+    nome: "Sofia Rodrigues Alves", nascimento: "09/06/2011", centro: "Centro Principal",
+    etapa: "2ª Etapa", sala: "202", horario: "Domingo Tarde",
+    catequistas: "Helena Santos", resultado: "Aprovado"
+  }
+];
+
+class DataStore {
+  constructor() {
+    this.records = [];
+    this.headers = [];
+    this.catequistasSheet = [];
+    this.transferenciasSheet = [];
+    this.source = null;
+    this.loadedAt = null;
+    this.loaded = false;
+    this.loadPromise = null;
+    this.listeners = [];
+    this.cachePrefix = 'catequeseData:';
+    this.contactosCarregados = false; // Os registos têm os contactos das famílias
+    this._upload = null; // Excel escolhido no computador, para ler os contactos depois do desbloqueio
+    this.anos = new Map(); // Registos de outros anos catequéticos (comparação), por ano
+  }
+
+  /**
+   * Carrega o Excel configurado em arquivos.dados_principais
+   * Reutiliza a cache da sessão, a menos que force = true
+   */
+  async load({ force = false } = {}) {
+    if (this.loadPromise && !force) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._load(force);
+    return this.loadPromise;
+  }
+
+  async _load(force) {
+    const config = await this._getConfig();
+    const url = this._dataUrl(config);
+
+    if (!force) {
+      const cached = this._readCache(url);
+      if (cached) {
+        this.catequistasSheet = cached.catequistasSheet || [];
+        this.transferenciasSheet = cached.transferenciasSheet || [];
+        this.contactosCarregados = false;
+        this._upload = null;
+        this._setRecords(cached.records, 'cache', cached.headers, new Date(cached.loadedAt));
+        console.log(`✅ ${this.records.length} registos carregados da cache da sessão`);
+        return this.records;
+      }
+    }
+
+    this.notifyListeners('loading', { url });
+
+    try {
+      console.log('🔄 Carregando Excel:', url);
+
+      const buffer = await this._fetchWorkbook(url);
+      this.loadFromBuffer(buffer, 'excel');
+      this._writeCache(url);
+
+      console.log(`✅ ${this.records.length} registos carregados do Excel`);
+      return this.records;
+    } catch (error) {
+      console.error('❌ Erro ao carregar Excel:', error);
+      this.loadPromise = null;
+      this.notifyListeners('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registos de um ano catequético (secção "anos" de settings.json), sem
+   * substituir o conjunto de dados da página. Usado na comparação entre anos
+   * @returns {Promise<Array>} Registos normalizados desse ano
+   */
+  async loadAno(ano) {
+    if (this.anos.has(ano)) return this.anos.get(ano);
+
+    const config = await this._getConfig();
+    const entrada = config.getAnos().find(a => a.ano === ano);
+    if (!entrada) throw new Error(`Ano catequético sem Excel configurado: ${ano}`);
+
+    const promise = (async () => {
+      if (entrada.arquivo === config.getFilePaths().dados_principais && ['excel', 'cache'].includes(this.source)) {
+        return this.records;
+      }
+
+      const cached = this._readCache(entrada.arquivo);
+      if (cached) return cached.records;
+
+      const dados = this.parseWorkbook(await this._fetchWorkbook(entrada.arquivo));
+      this._writeCache(entrada.arquivo, { ...dados, loadedAt: new Date() });
+      return dados.records;
+    })();
+
+    this.anos.set(ano, promise);
+    promise.catch(() => this.anos.delete(ano));
+    return promise;
+  }
+
+  /**
+   * Lê um workbook (ArrayBuffer/Uint8Array) e substitui o conjunto de dados
+   */
+  loadFromBuffer(buffer, source = 'upload') {
+    const { records, headers, catequistasSheet, transferenciasSheet, contactos } = this.parseWorkbook(buffer);
+    this.catequistasSheet = catequistasSheet;
+    this.transferenciasSheet = transferenciasSheet;
+    this.contactosCarregados = contactos;
+    this._upload = source === 'upload' ? buffer : null;
+    this._setRecords(records, source, headers);
+    return this.records;
+  }
+
+  /**
+   * Lê um workbook sem alterar o conjunto de dados
+   * @returns {{records: Array, headers: Array<string>, catequistasSheet: Array<Array>, transferenciasSheet: Array<Array>}}
+   */
+  parseWorkbook(buffer) {
+    const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const workbook = XLSX.read(data, { type: 'array' });
+
+    if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+      throw new Error('Excel não contém planilhas');
+    }
+
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const json = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+
+    if (!json.length) throw new Error('Planilha vazia');
+
+    const headers = json[0].map(String);
+    const idx = window.utils.mapHeaders(headers);
+    const required = this._requiredFields();
+    const missing = required.filter(k => !(k in idx));
+    if (missing.length) throw new Error('Cabeçalhos ausentes: ' + missing.join(', '));
+
+    const contactos = this._contactosPermitidos();
+    const raw = [];
+    json.slice(1).forEach((r, i) => {
+      if (!r.some(v => String(v).trim() !== '')) return;
+      const row = { linha: i + 2 };
+      for (const [field, col] of Object.entries(idx)) {
+        row[field] = r[col] ?? '';
+      }
+      raw.push(row);
+    });
+
+    if (raw.length === 0) {
+      throw new Error('Nenhum dado válido encontrado no Excel');
+    }
+
+    // Folha opcional "Catequistas" com o registo de catequistas (assets/js/catequistas.js)
+    const folha = nomeChave => {
+      const nome = workbook.SheetNames.slice(1).find(n => key(n) === nomeChave);
+      return nome ? XLSX.utils.sheet_to_json(workbook.Sheets[nome], { header: 1, defval: '' }) : [];
+    };
+    const catequistasSheet = folha('catequistas');
+
+    // Folha opcional "Transferências" com o histórico de transferências (assets/js/transfers.js)
+    const transferenciasSheet = folha('transferencias');
+
+    return { records: raw.map(r => this.normalizeRecord(r, contactos)), headers, catequistasSheet, transferenciasSheet, contactos };
+  }
+
+  /**
+   * Substitui o conjunto de dados por registos já em formato de objeto
+   */
+  loadFromRows(rows, source = 'sample') {
+    this.catequistasSheet = [];
+    this.transferenciasSheet = [];
+    this.contactosCarregados = this._contactosPermitidos();
+    this._upload = null;
+    this._setRecords(rows.map((r, i) => this.normalizeRecord({ linha: i + 2, ...r }, this.contactosCarregados)), source);
+    return this.records;
+  }
+
+  /**
+   * Carrega os dados de exemplo
+   */
+  loadSample() {
+    return this.loadFromRows(SAMPLE_DATA, 'sample');
+  }
+
+  /**
+   * Normaliza uma linha num registo de catecúmeno
+   * Os contactos das famílias só são lidos com o acesso dos catequistas desbloqueado
+   */
+  normalizeRecord(row, contactos = this._contactosPermitidos()) {
+    const text = (v) => (v === null || v === undefined) ? '' : String(v).trim();
+    const data = window.utils.parseDate(row.nascimento);
+    const nascimento = data ? window.utils.fmtDate(data) : text(row.nascimento);
+    const catequistas = text(row.catequistas);
+    const resultado = text(row.resultado);
+
+    return {
+      id: `r${row.linha}`,
+      linha: row.linha,
+      nome: text(row.nome),
+      nascimento,
+      nascimento_fmt: nascimento,
+      nascimento_data: data,
+      idade: data ? window.utils.calculateAge(data) : null,
+      centro: text(row.centro),
+      etapa: text(row.etapa),
+      sala: text(row.sala),
+      horario: text(row.horario),
+      catequistas,
+      catequistas_lista: catequistas.split('|').map(c => c.trim()).filter(Boolean),
+      resultado,
+      resultado_key: window.configManager.getResultado(resultado).key,
+      sacramentos: Object.fromEntries(Object.keys(SACRAMENTOS).map(tipo =>
+        [tipo, window.utils.parseSacramento(row[tipo], row[`${tipo}_paroquia`])])),
+      // Dados pessoais: só a vista de turma dos catequistas (assets/js/contacts.js) os mostra
+      contactos: contactos ? window.utils.parseContactos(row) : []
+    };
+  }
+
+  /**
+   * Obtém todos os registos
+   */
+  getAll() {
+    return this.records;
+  }
+
+  /**
+   * Converte registos em linhas simples para exportação (sem campos derivados nem contactos)
+   * As colunas de sacramentos só são incluídas se existirem no Excel
+   */
+  toExportRows(records = this.records) {
+    const sacramentos = this.getSacramentosPresentes();
+
+    return records.map(r => {
+      const row = {
+        nome: r.nome,
+        nascimento: r.nascimento,
+        centro: r.centro,
+        etapa: r.etapa,
+        sala: r.sala,
+        horario: r.horario,
+        catequistas: r.catequistas,
+        resultado: r.resultado
+      };
+
+      for (const tipo of sacramentos) {
+        const info = r.sacramentos[tipo];
+        row[tipo] = info.data || (info.recebido ? 'Sim' : 'Não');
+        row[`${tipo}_paroquia`] = info.paroquia;
+      }
+
+      return row;
+    });
+  }
+
+  /**
+   * Sacramentos com coluna no Excel carregado (ex.: ['batismo', 'crisma'])
+   */
+  getSacramentosPresentes() {
+    return Object.keys(SACRAMENTOS).filter(tipo =>
+      this.records.some(r => r.sacramentos && r.sacramentos[tipo].recebido !== null));
+  }
+
+  /**
+   * Obtém a lista única e ordenada de catequistas
+   */
+  getCatequistas() {
+    return window.utils.uniq(this.records.flatMap(r => r.catequistas_lista));
+  }
+
+  /**
+   * Acrescenta os contactos das famílias aos registos carregados, depois de
+   * introduzido o código dos catequistas. Volta a ler o Excel, porque nem a
+   * cache da sessão nem os registos carregados sem o código os têm
+   * @returns {Promise<boolean>} true se os registos ficaram com contactos
+   */
+  async loadContactos() {
+    if (!this._contactosPermitidos()) return false;
+    if (this.contactosCarregados) return true;
+
+    let buffer = this._upload;
+    if (!buffer) {
+      if (!['excel', 'cache'].includes(this.source)) return false;
+      buffer = await this._fetchWorkbook(this._dataUrl(await this._getConfig()));
+    }
+
+    // Se o Excel mudou entretanto, só recebe contactos a linha com o mesmo nome
+    const porLinha = new Map(this.parseWorkbook(buffer).records.map(r => [r.linha, r]));
+    this.records.forEach(r => {
+      const lido = porLinha.get(r.linha);
+      r.contactos = lido && lido.nome === r.nome ? lido.contactos : [];
+    });
+    this.contactosCarregados = true;
+    return true;
+  }
+
+  /**
+   * Retira os contactos das famílias dos registos carregados (ao voltar a bloquear)
+   */
+  clearContactos() {
+    this.records.forEach(r => { r.contactos = []; });
+    this.contactosCarregados = false;
+  }
+
+  /**
+   * Remove a cache da sessão
+   */
+  clearCache() {
+    try {
+      Object.keys(sessionStorage)
+        .filter(k => k.startsWith(this.cachePrefix))
+        .forEach(k => sessionStorage.removeItem(k));
+    } catch (error) {
+      console.warn('⚠️ Não foi possível limpar a cache da sessão:', error);
+    }
+  }
+
+  /**
+   * Adiciona um ouvinte de eventos ('loading', 'change', 'error')
+   */
+  addListener(listener) {
+    if (typeof listener === 'function') {
+      this.listeners.push(listener);
+    }
+  }
+
+  /**
+   * Remove um ouvinte de eventos
+   */
+  removeListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  notifyListeners(event, data = null) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Erro num ouvinte de dados:', error);
+      }
+    });
+  }
+
+  _setRecords(records, source, headers = [], loadedAt = new Date()) {
+    this.records = records;
+    this.headers = headers;
+    this.source = source;
+    this.loadedAt = loadedAt;
+    this.loaded = true;
+    this.notifyListeners('change', { records, source });
+  }
+
+  // Contactos só com o código introduzido nesta sessão; páginas sem contacts.js nunca os leem
+  _contactosPermitidos() {
+    return !!(window.contactAccess && window.contactAccess.isUnlocked());
+  }
+
+  _dataUrl(config) {
+    return config.getFilePaths().dados_principais || 'data/dados-catequese.xlsx';
+  }
+
+  async _getConfig() {
+    try {
+      return await window.waitForConfig();
+    } catch (error) {
+      // O ConfigManager já aplicou os valores padrão
+      return window.configManager;
+    }
+  }
+
+  async _fetchWorkbook(url) {
+    // Timeout para evitar travamentos
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    const response = await fetch(url + '?v=' + Date.now(), {
+      signal: controller.signal,
+      cache: 'no-cache'
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      throw new Error(`Erro HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength === 0) {
+      throw new Error('Arquivo Excel vazio ou corrompido');
+    }
+    return buffer;
+  }
+
+  _requiredFields() {
+    return window.configManager.get('settings.validacao.campos_obrigatorios') || ['nome', 'centro', 'etapa'];
+  }
+
+  _readCache(url) {
+    try {
+      const stored = sessionStorage.getItem(this.cachePrefix + url);
+      if (!stored) return null;
+
+      const cached = JSON.parse(stored);
+      cached.records.forEach(r => {
+        r.contactos = [];
+        r.nascimento_data = r.nascimento_data ? new Date(r.nascimento_data) : null;
+        r.idade = r.nascimento_data ? window.utils.calculateAge(r.nascimento_data) : null;
+        r.resultado_key = window.configManager.getResultado(r.resultado).key;
+      });
+      return cached;
+    } catch (error) {
+      console.warn('⚠️ Cache da sessão inválida, a ignorar:', error);
+      return null;
+    }
+  }
+
+  _writeCache(url, dados = this) {
+    try {
+      sessionStorage.setItem(this.cachePrefix + url, JSON.stringify({
+        loadedAt: dados.loadedAt.toISOString(),
+        headers: dados.headers,
+        catequistasSheet: dados.catequistasSheet,
+        transferenciasSheet: dados.transferenciasSheet,
+        // Os contactos das famílias nunca ficam na cache da sessão
+        records: dados.records.map(({ contactos, ...r }) => r)
+      }));
+    } catch (error) {
+      // Quota excedida ou sessionStorage indisponível: segue sem cache
+      console.warn('⚠️ Não foi possível guardar a cache da sessão:', error);
+    }
+  }
+}
+
+DataStore.SAMPLE_DATA = SAMPLE_DATA;
+
+// Instância global da camada de dados
+window.dataStore = new DataStore();
+
+// Função utilitária para aguardar o carregamento dos dados
+window.waitForData = async function(options) {
+  if (!window.dataStore.loaded || (options && options.force)) {
+    await window.dataStore.load(options);
+  }
+  return window.dataStore;
+};
@@ -0,0 +1,165 @@
+/**
+ * Deteção de Catecúmenos Duplicados
+ * Compara nomes normalizados com norm()/key() (sem acentos nem espaços) e
+ * datas de nascimento, atribuindo a cada par uma pontuação de 0 a 100
+ *
+ * Requer assets/js/utils.js
+ */
+
+// Partículas ignoradas na comparação por palavras
+const PARTICULAS_NOME = ['de', 'da', 'do', 'das', 'dos', 'e'];
+
+class DuplicateFinder {
+  /**
+   * @param {Object} options
+   * @param {number} options.minScore - Pontuação mínima para um par ser proposto
+   * @param {number} options.provavelScore - A partir desta pontuação o par é "provável"
+   */
+  constructor({ minScore = 75, provavelScore = 90 } = {}) {
+    this.minScore = minScore;
+    this.provavelScore = provavelScore;
+  }
+
+  /**
+   * Procura pares de registos que parecem ser a mesma criança
+   * @param {Array} records - Registos com linha, nome e nascimento (centro/etapa opcionais)
+   * @returns {Array} Pares {a, b, score, nivel, motivos, chave}, do mais provável ao menos
+   */
+  find(records) {
+    const entries = records
+      .map(record => this._prepare(record))
+      .filter(entry => entry.chave);
+
+    // Só compara registos que partilham data, nome normalizado ou primeiro + último nome
+    const grupos = new Map();
+    const adicionar = (grupo, index) => {
+      if (!grupos.has(grupo)) grupos.set(grupo, []);
+      grupos.get(grupo).push(index);
+    };
+
+    entries.forEach((entry, index) => {
+      adicionar(`n:${entry.chave}`, index);
+      if (entry.data) adicionar(`d:${entry.data}`, index);
+      if (entry.palavras.length > 1) {
+        adicionar(`p:${entry.palavras[0]} ${entry.palavras[entry.palavras.length - 1]}`, index);
+      }
+    });
+
+    const vistos = new Set();
+    const pares = [];
+
+    for (const indices of grupos.values()) {
+      for (let i = 0; i < indices.length; i++) {
+        for (let j = i + 1; j < indices.length; j++) {
+          const id = indices[i] < indices[j] ? `${indices[i]}-${indices[j]}` : `${indices[j]}-${indices[i]}`;
+          if (vistos.has(id)) continue;
+          vistos.add(id);
+
+          const par = this.compare(entries[indices[i]], entries[indices[j]]);
+          if (par.score >= this.minScore) pares.push(par);
+        }
+      }
+    }
+
+    return pares.sort((a, b) => b.score - a.score || a.a.linha - b.a.linha);
+  }
+
+  /**
+   * Compara dois registos (já preparados ou em bruto)
+   */
+  compare(first, second) {
+    let a = first.chave !== undefined ? first : this._prepare(first);
+    let b = second.chave !== undefined ? second : this._prepare(second);
+    if (b.record.linha < a.record.linha) [a, b] = [b, a];
+
+    const motivos = [];
+    let semelhanca;
+
+    if (a.chave === b.chave) {
+      semelhanca = 1;
+      motivos.push(a.normalizado === b.normalizado
+        ? 'Mesmo nome'
+        : 'Mesmo nome (ignorando acentos, espaços e pontuação)');
+    } else {
+      semelhanca = Math.max(this._levenshteinSimilarity(a.chave, b.chave), this._wordSimilarity(a.palavras, b.palavras));
+
+      // Irmãos partilham apelidos: o primeiro nome tem de ser parecido
+      const primeiro = this._levenshteinSimilarity(a.palavras[0] || '', b.palavras[0] || '');
+      semelhanca = Math.min(semelhanca, primeiro + 0.2);
+      motivos.push(`Nomes semelhantes (${Math.round(semelhanca * 100)}%)`);
+    }
+
+    let pontosData;
+    if (a.data && b.data) {
+      pontosData = a.data === b.data ? 30 : 0;
+      motivos.push(a.data === b.data ? 'Mesma data de nascimento' : 'Datas de nascimento diferentes');
+    } else {
+      pontosData = 10;
+      motivos.push('Data de nascimento em falta num dos registos');
+    }
+
+    if (a.record.centro && a.record.centro === b.record.centro) motivos.push('Mesmo centro');
+    if (a.record.etapa && a.record.etapa === b.record.etapa) motivos.push('Mesma etapa');
+
+    // Abaixo de 50% de semelhança o nome não conta
+    const score = Math.round(Math.max(0, (semelhanca - 0.5) / 0.5) * 70 + pontosData);
+
+    return {
+      a: a.record,
+      b: b.record,
+      score,
+      nivel: score >= this.provavelScore ? 'provavel' : 'possivel',
+      motivos,
+      chave: [a.assinatura, b.assinatura].sort().join('|')
+    };
+  }
+
+  // A assinatura (nome normalizado + data) identifica o registo mesmo
+  // depois de as linhas mudarem de posição
+  _prepare(record) {
+    const data = record.nascimento_data !== undefined ? record.nascimento_data : parseDate(record.nascimento);
+    const normalizado = norm(record.nome).replace(/\s+/g, ' ');
+    const chave = key(record.nome);
+    const dataTexto = data ? fmtDate(data) : '';
+
+    return {
+      record,
+      normalizado,
+      chave,
+      data: dataTexto,
+      palavras: normalizado.split(/[^a-z0-9]+/).filter(p => p && !PARTICULAS_NOME.includes(p)),
+      assinatura: `${chave}:${dataTexto}`
+    };
+  }
+
+  // Semelhança por distância de edição (erros de digitação)
+  _levenshteinSimilarity(a, b) {
+    const max = Math.max(a.length, b.length);
+    if (!max) return 1;
+
+    let anterior = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const atual = [i];
+      for (let j = 1; j <= b.length; j++) {
+        atual[j] = Math.min(
+          anterior[j] + 1,
+          atual[j - 1] + 1,
+          anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      anterior = atual;
+    }
+
+    return 1 - anterior[b.length] / max;
+  }
+
+  // Semelhança por palavras em comum (nomes do meio em falta ou trocados)
+  _wordSimilarity(a, b) {
+    if (!a.length || !b.length) return 0;
+    const comuns = a.filter(p => b.includes(p)).length;
+    if (comuns === Math.min(a.length, b.length)) return 0.95;
+    return (2 * comuns) / (a.length + b.length);
+  }
+}
+
+window.DuplicateFinder = DuplicateFinder;
@@ -0,0 +1,410 @@
+/**
+ * Inscrições
+ * Pedidos de inscrição de novos catecúmenos (dados da criança, contactos da
+ * família, etapa anterior e sacramentos), guardados como pendentes em
+ * data/inscricoes.json (arquivos.inscricoes) até o secretariado os aprovar,
+ * colocando o catecúmeno numa turma, ou rejeitar no painel de administração.
+ *
+ * O ficheiro é lido e gravado através de um repositório com a interface do
+ * GitHubManager (getFileContent / commitFile), passado ao construtor ou a
+ * fromConfig. Por omissão usa-se o LocalRepository, que guarda os commits no
+ * navegador (localStorage) por cima dos ficheiros publicados: serve para
+ * testes, porque o secretariado noutro computador não vê esses pedidos.
+ *
+ * No formulário público, os novos pedidos são enviados ao serviço indicado em
+ * inscricoes.endereco_envio (POST JSON com { ficheiro, inscricao }), que os
+ * acrescenta ao ficheiro do repositório. A propriedade destino diz onde um
+ * pedido foi realmente gravado
+ *
+ * Requer assets/js/utils.js
+ */
+
+// Estados de um pedido de inscrição
+const ESTADOS_INSCRICAO = {
+  pendente: { nome: 'Pendente', cor: '#f59e0b' },
+  aprovada: { nome: 'Aprovada', cor: '#16a34a' },
+  rejeitada: { nome: 'Rejeitada', cor: '#dc2626' }
+};
+
+// Campos do formulário, com os nomes de mapHeaders para passarem diretamente às colunas do Excel
+const CAMPOS_INSCRICAO = {
+  nome: 'Nome completo',
+  nascimento: 'Data de nascimento',
+  centro: 'Centro pretendido',
+  horario: 'Horário pretendido',
+  etapa_anterior: 'Etapa anterior',
+  batismo: 'Batismo',
+  batismo_paroquia: 'Paróquia do Batismo',
+  primeira_comunhao: 'Primeira Comunhão',
+  primeira_comunhao_paroquia: 'Paróquia da Primeira Comunhão',
+  crisma: 'Crisma',
+  crisma_paroquia: 'Paróquia da Crisma',
+  pai: 'Pai',
+  pai_telefone: 'Telefone do Pai',
+  mae: 'Mãe',
+  mae_telefone: 'Telefone da Mãe',
+  encarregado: 'Encarregado de educação',
+  encarregado_parentesco: 'Parentesco',
+  encarregado_telefone: 'Telefone do Encarregado',
+  contacto_preferido: 'Contacto preferido',
+  observacoes: 'Observações'
+};
+
+/**
+ * Repositório local: substitui o caminho de commit do GitHub quando não há
+ * token (desenvolvimento ou formulário público). Os ficheiros gravados ficam
+ * em localStorage, em base64 como na API do GitHub; os restantes são lidos
+ * do site publicado
+ */
+class LocalRepository {
+  /**
+   * @param {Object} options
+   * @param {string} options.base - Prefixo dos ficheiros publicados (ex.: '../' no painel de administração)
+   * @param {string} options.storagePrefix - Prefixo das chaves em localStorage
+   */
+  constructor({ base = '', storagePrefix = 'catequeseRepositorio:' } = {}) {
+    this.base = base;
+    this.storagePrefix = storagePrefix;
+  }
+
+  /**
+   * Conteúdo de um ficheiro, como GitHubManager.getFileContent
+   * @returns {Promise<{content: string|null, sha: string|null, size: number, encoding: string|null}>}
+   *          content é o texto em bytes (decodificado de base64, como atob)
+   */
+  async getFileContent(path) {
+    const local = this._read(path);
+    if (local) {
+      const content = atob(local.content);
+      return { content, sha: local.sha, size: content.length, encoding: 'base64', local: true };
+    }
+
+    try {
+      const response = await fetch(`${this.base}${path}?v=${Date.now()}`, { cache: 'no-cache' });
+      if (response.ok) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        const content = Array.from(bytes, b => String.fromCharCode(b)).join('');
+        return { content, sha: null, size: content.length, encoding: 'base64' };
+      }
+    } catch (error) {
+      console.warn(`⚠️ Ficheiro ${path} indisponível:`, error);
+    }
+    return { content: null, sha: null, size: 0, encoding: null };
+  }
+
+  /**
+   * Grava um ficheiro, como GitHubManager.commitFile (com sha, recusa-o se o ficheiro mudou entretanto)
+   * @returns {Promise<{success: boolean, sha: string|null, commitSha: string|null, commitUrl: null, message: string}>}
+   */
+  async commitFile(path, content, message, isBinary = false, progressCallback = null, sha = undefined) {
+    try {
+      if (progressCallback) progressCallback(30, 'Preparando conteúdo...');
+
+      const anterior = this._read(path);
+      if (sha !== undefined && (anterior?.sha || null) !== sha) {
+        return { success: false, sha: null, commitSha: null, commitUrl: null, status: 409, message: `Conflito: ${path} mudou desde que foi lido` };
+      }
+      const novo = `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      const registo = {
+        content: isBinary ? content : btoa(unescape(encodeURIComponent(content))),
+        sha: novo,
+        commits: [...(anterior?.commits || []), { sha: novo, message, data: new Date().toISOString() }]
+      };
+      localStorage.setItem(this.storagePrefix + path, JSON.stringify(registo));
+
+      if (progressCallback) progressCallback(100, 'Guardado no navegador');
+      return { success: true, sha: novo, commitSha: novo, commitUrl: null, message: `Arquivo ${path} guardado no navegador` };
+    } catch (error) {
+      if (progressCallback) progressCallback(0, `Erro: ${error.message}`);
+      return { success: false, sha: null, commitSha: null, commitUrl: null, message: `Erro ao guardar ${path}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Commits locais de um ficheiro, do mais antigo para o mais recente
+   */
+  getCommits(path) {
+    return this._read(path)?.commits || [];
+  }
+
+  _read(path) {
+    try {
+      return JSON.parse(localStorage.getItem(this.storagePrefix + path) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+class EnrollmentStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.repository - GitHubManager ou LocalRepository
+   * @param {string} options.path - Caminho do ficheiro de inscrições no repositório
+   * @param {string|null} options.endereco - Serviço que recebe os novos pedidos (inscricoes.endereco_envio)
+   */
+  constructor({ repository = new LocalRepository(), path = 'data/inscricoes.json', endereco = null } = {}) {
+    this.repository = repository;
+    this.path = path;
+    this.endereco = endereco;
+    this.data = { atualizado_em: null, inscricoes: [] };
+    this.sha = null; // Versão do ficheiro lida por último (recusa o commit se mudou entretanto)
+  }
+
+  /**
+   * Cria o arquivo de inscrições a partir do ConfigManager público
+   * @param {Object} config - ConfigManager
+   * @param {Object} options
+   * @param {Object} options.repository - Repositório a usar em vez do LocalRepository
+   */
+  static fromConfig(config, { repository = null } = {}) {
+    const settings = config.get('settings') || {};
+    return new EnrollmentStore({
+      path: config.getFilePaths().inscricoes || 'data/inscricoes.json',
+      endereco: settings.inscricoes?.endereco_envio || null,
+      ...(repository ? { repository } : {})
+    });
+  }
+
+  /**
+   * Onde são gravados os novos pedidos: 'servico' (endereco_envio),
+   * 'local' (só neste navegador) ou 'repositorio'
+   */
+  get destino() {
+    if (this.endereco) return 'servico';
+    return this.repository instanceof LocalRepository ? 'local' : 'repositorio';
+  }
+
+  /**
+   * Lê o ficheiro de inscrições (sempre a versão mais recente do repositório)
+   */
+  async load() {
+    const ficheiro = await this.repository.getFileContent(this.path);
+    const dados = ficheiro.content ? JSON.parse(EnrollmentStore._utf8(ficheiro.content)) : {};
+
+    this.sha = ficheiro.sha || null;
+    this.data = {
+      atualizado_em: dados.atualizado_em || null,
+      inscricoes: Array.isArray(dados.inscricoes) ? dados.inscricoes : []
+    };
+    return this.data;
+  }
+
+  /**
+   * Pedidos por estado, do mais antigo para o mais recente
+   */
+  list(estado = null) {
+    return this.data.inscricoes
+      .filter(i => !estado || i.estado === estado)
+      .sort((a, b) => String(a.submetida_em).localeCompare(String(b.submetida_em)));
+  }
+
+  /**
+   * Regista um novo pedido pendente
+   * @param {Object} dados - Campos de CAMPOS_INSCRICAO
+   * @returns {Promise<Object>} Pedido criado
+   */
+  async submit(dados) {
+    const erros = EnrollmentStore.validate(dados);
+    if (erros.length) throw new Error(erros.join('; '));
+
+    const limpos = Object.fromEntries(Object.keys(CAMPOS_INSCRICAO)
+      .map(campo => [campo, String(dados[campo] ?? '').trim()])
+      .filter(([, valor]) => valor));
+    const nascimento = parseDate(limpos.nascimento);
+    if (nascimento) limpos.nascimento = fmtDate(nascimento);
+
+    const inscricao = {
+      id: `insc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      estado: 'pendente',
+      submetida_em: new Date().toISOString(),
+      dados: limpos
+    };
+
+    if (this.endereco) {
+      await this._enviar(inscricao);
+    } else {
+      await this._write(ficheiro => ficheiro.inscricoes.push(inscricao), `Nova inscrição: ${limpos.nome}`);
+    }
+    return inscricao;
+  }
+
+  /**
+   * Aprova um pedido, registando a turma onde o catecúmeno foi colocado
+   * @param {string} id - Id do pedido
+   * @param {Object} turma - {centro, etapa, sala, horario, catequistas}
+   */
+  async approve(id, turma) {
+    return this._decide(id, 'aprovada', { turma }, (i) => `Inscrição aprovada: ${i.dados.nome} (${turma.etapa}, ${turma.sala})`);
+  }
+
+  /**
+   * Rejeita um pedido
+   * @param {string} id - Id do pedido
+   * @param {string} motivo - Motivo da rejeição
+   */
+  async reject(id, motivo = '') {
+    return this._decide(id, 'rejeitada', { motivo: String(motivo).trim() }, (i) => `Inscrição rejeitada: ${i.dados.nome}`);
+  }
+
+  /**
+   * Erros de preenchimento de um pedido (vazio se estiver completo)
+   */
+  static validate(dados) {
+    const texto = (campo) => String(dados[campo] ?? '').trim();
+    const erros = [];
+
+    if (!texto('nome')) erros.push('Indique o nome completo');
+    if (!texto('nascimento')) {
+      erros.push('Indique a data de nascimento');
+    } else {
+      const data = parseDate(texto('nascimento'));
+      if (!data || data > new Date()) erros.push('A data de nascimento não é válida');
+    }
+    const telefones = ['pai_telefone', 'mae_telefone', 'encarregado_telefone'].filter(texto);
+    if (!telefones.length) {
+      erros.push('Indique pelo menos um telefone da família');
+    }
+    telefones.filter(campo => !isValidPhone(texto(campo))).forEach(campo => {
+      erros.push(`${CAMPOS_INSCRICAO[campo]} não é válido`);
+    });
+    return erros;
+  }
+
+  /**
+   * Etapa sugerida pela idade, segundo as faixas de config/centros-etapas.json
+   * @param {string|Date} nascimento - Data de nascimento
+   * @param {Array} etapas - Etapas com idade_minima/idade_maxima
+   * @param {Date} referencia - Data a que a idade é calculada (início do ano catequético)
+   * @returns {{idade: number|null, etapa: Object|null}}
+   */
+  static suggestEtapa(nascimento, etapas = [], referencia = new Date()) {
+    const data = nascimento instanceof Date ? nascimento : parseDate(nascimento);
+    if (!data) return { idade: null, etapa: null };
+
+    const idade = calculateAge(data, referencia);
+    const etapa = etapas.find(e => e.ativo !== false &&
+      Number.isFinite(e.idade_minima) && Number.isFinite(e.idade_maxima) &&
+      idade >= e.idade_minima && idade <= e.idade_maxima) || null;
+    return { idade, etapa };
+  }
+
+  /**
+   * Linha do Excel para um pedido aprovado, pela ordem dos cabeçalhos
+   * (as colunas são encontradas com mapHeaders; campos sem coluna ficam de fora)
+   * @param {Object} valores - Campos do pedido mais centro, etapa, sala, horario, catequistas e resultado
+   * @param {Array<string>} headers - Cabeçalhos da folha
+   */
+  static toRow(valores, headers) {
+    const linha = headers.map(() => '');
+    for (const [campo, coluna] of Object.entries(mapHeaders(headers))) {
+      if (valores[campo] !== undefined) linha[coluna] = valores[campo];
+    }
+    return linha;
+  }
+
+  /**
+   * Cabeçalhos a acrescentar à folha para não perder campos preenchidos
+   * (contactos e sacramentos) que o Excel ainda não tem
+   * @returns {Array<string>} Nomes das novas colunas, reconhecidos por mapHeaders
+   */
+  static missingColumns(valores, headers) {
+    const existentes = mapHeaders(headers);
+    const rotulos = Object.values(CAMPOS_INSCRICAO);
+
+    return Object.entries(mapHeaders(rotulos))
+      .filter(([campo]) => existentes[campo] === undefined && valores[campo])
+      .map(([, indice]) => rotulos[indice]);
+  }
+
+  /**
+   * Linhas para exportação em XLSX
+   */
+  static toExportRows(inscricoes) {
+    const campos = Object.entries(CAMPOS_INSCRICAO);
+    return [
+      ['Estado', 'Submetida em', ...campos.map(([, nome]) => nome), 'Turma', 'Motivo'],
+      ...inscricoes.map(i => [
+        ESTADOS_INSCRICAO[i.estado]?.nome || i.estado,
+        fmtDate(new Date(i.submetida_em)),
+        ...campos.map(([campo]) => i.dados[campo] || ''),
+        i.turma ? `${i.turma.centro} • ${i.turma.etapa} • ${i.turma.sala} • ${i.turma.horario}` : '',
+        i.motivo || ''
+      ])
+    ];
+  }
+
+  async _decide(id, estado, extra, mensagem) {
+    let decidida = null;
+    await this._write(dados => {
+      const inscricao = dados.inscricoes.find(i => i.id === id);
+      if (!inscricao) throw new Error('Pedido de inscrição não encontrado');
+      if (inscricao.estado !== 'pendente') throw new Error(`O pedido já foi ${ESTADOS_INSCRICAO[inscricao.estado].nome.toLowerCase()}`);
+
+      Object.assign(inscricao, { estado, decidida_em: new Date().toISOString() }, extra);
+      decidida = inscricao;
+    }, (dados) => mensagem(dados.inscricoes.find(i => i.id === id)));
+    return decidida;
+  }
+
+  // Entrega um novo pedido ao serviço de inscrições, que o grava no repositório
+  async _enviar(inscricao) {
+    const resposta = await fetch(this.endereco, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ficheiro: this.path, inscricao })
+    });
+    if (!resposta.ok) {
+      throw new Error(`o serviço de inscrições respondeu ${resposta.status} ${resposta.statusText}`.trim());
+    }
+  }
+
+  // Lê, altera e grava o ficheiro com a versão lida: se outro pedido ou decisão foi
+  // gravado entretanto, o commit é recusado e a alteração volta a ser feita sobre o novo ficheiro
+  async _write(alterar, mensagem) {
+    for (let tentativa = 1; ; tentativa++) {
+      const dados = await this.load();
+      alterar(dados);
+      dados.atualizado_em = new Date().toISOString();
+
+      const resultado = await this.repository.commitFile(
+        this.path,
+        JSON.stringify(dados, null, 2),
+        typeof mensagem === 'function' ? mensagem(dados) : mensagem,
+        false,
+        null,
+        this.sha
+      );
+      if (resultado.success) {
+        this.data = dados;
+        this.sha = resultado.sha || null;
+        return resultado;
+      }
+      if (!EnrollmentStore._conflito(resultado) || tentativa >= EnrollmentStore.TENTATIVAS) {
+        throw new Error(resultado.message);
+      }
+      await new Promise(resolve => setTimeout(resolve, 500 * tentativa));
+    }
+  }
+
+  // Commit recusado porque o ficheiro mudou desde que foi lido (409/422 na API do GitHub)
+  static _conflito(resultado) {
+    return [409, 422].includes(resultado.status) || /\b(409|422)\b|conflict|does not match|wasn't supplied/i.test(resultado.message || '');
+  }
+
+  // O conteúdo vem em bytes (atob); volta a texto UTF-8
+  static _utf8(bytes) {
+    try {
+      return decodeURIComponent(escape(bytes));
+    } catch (error) {
+      return bytes;
+    }
+  }
+}
+
+EnrollmentStore.ESTADOS = ESTADOS_INSCRICAO;
+EnrollmentStore.CAMPOS = CAMPOS_INSCRICAO;
+EnrollmentStore.TENTATIVAS = 3; // Commits tentados quando o ficheiro muda entre a leitura e a gravação
+
+window.LocalRepository = LocalRepository;
+window.EnrollmentStore = EnrollmentStore;
@@ -0,0 +1,213 @@
+/**
+ * Renderizador de Listas Paginadas e Virtualizadas
+ * Mostra uma página de cada vez (interface.items_por_pagina) ou, em
+ * "mostrar todos", apenas as linhas visíveis no ecrã (virtual scrolling)
+ */
+
+class ListRenderer {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container - Elemento onde as linhas são desenhadas
+   * @param {HTMLElement} options.pager - Elemento para os controlos de paginação
+   * @param {Function} options.renderHeader - () => HTMLElement (opcional)
+   * @param {Function} options.renderRow - (item, index) => HTMLElement
+   * @param {number} options.pageSize - Itens por página
+   * @param {number} options.overscan - Linhas extra desenhadas acima/abaixo do ecrã
+   */
+  constructor({ container, pager, renderHeader = null, renderRow, pageSize = 50, overscan = 10 }) {
+    this.container = container;
+    this.pager = pager;
+    this.renderHeader = renderHeader;
+    this.renderRow = renderRow;
+    this.pageSize = Math.max(1, parseInt(pageSize, 10) || 50);
+    this.overscan = overscan;
+
+    this.items = [];
+    this.page = 1;
+    this.showAll = false;
+    this.rowHeight = 0;
+    this.windowStart = -1;
+    this.windowEnd = -1;
+    this.printing = false;
+    this.scrollFrame = null;
+
+    this._onScroll = this._onScroll.bind(this);
+    window.addEventListener('scroll', this._onScroll, { passive: true });
+    window.addEventListener('resize', () => {
+      this.rowHeight = 0;
+      this._onScroll();
+    });
+
+    // Na impressão desenha todas as linhas filtradas
+    window.addEventListener('beforeprint', () => {
+      this.printing = true;
+      this._renderRange(0, this.items.length);
+    });
+    window.addEventListener('afterprint', () => {
+      this.printing = false;
+      this.render();
+    });
+  }
+
+  /**
+   * Substitui os itens a mostrar; por omissão volta à primeira página
+   */
+  setItems(items, { resetPage = true } = {}) {
+    this.items = items;
+    if (resetPage) this.page = 1;
+    this.page = Math.min(this.page, this.getPageCount());
+    this.render();
+  }
+
+  setPage(page) {
+    this.page = Math.min(Math.max(1, page), this.getPageCount());
+    this.render();
+    this.container.scrollIntoView({ block: 'start', behavior: 'smooth' });
+  }
+
+  setShowAll(showAll) {
+    this.showAll = showAll;
+    this.render();
+  }
+
+  getPageCount() {
+    return Math.max(1, Math.ceil(this.items.length / this.pageSize));
+  }
+
+  /**
+   * Intervalo [início, fim) dos itens da página atual
+   */
+  getPageRange() {
+    if (this.showAll) return [0, this.items.length];
+    const start = (this.page - 1) * this.pageSize;
+    return [start, Math.min(start + this.pageSize, this.items.length)];
+  }
+
+  render() {
+    if (this.printing) return;
+
+    if (this.showAll) {
+      this.windowStart = -1;
+      this.windowEnd = -1;
+      this._renderVirtual();
+    } else {
+      const [start, end] = this.getPageRange();
+      this._renderRange(start, end);
+    }
+
+    this._renderPager();
+  }
+
+  _renderRange(start, end, { topSpace = 0, bottomSpace = 0 } = {}) {
+    this.container.innerHTML = '';
+    if (this.renderHeader) {
+      this.container.appendChild(this.renderHeader());
+    }
+
+    const frag = document.createDocumentFragment();
+    if (topSpace > 0) frag.appendChild(this._spacer(topSpace));
+
+    for (let i = start; i < end; i++) {
+      const row = this.renderRow(this.items[i], i);
+      if (i % 2 === 1) row.classList.add('striped');
+      frag.appendChild(row);
+    }
+
+    if (bottomSpace > 0) frag.appendChild(this._spacer(bottomSpace));
+    this.container.appendChild(frag);
+  }
+
+  _spacer(height) {
+    const spacer = document.createElement('div');
+    spacer.className = 'list-spacer';
+    spacer.style.height = `${height}px`;
+    spacer.setAttribute('aria-hidden', 'true');
+    return spacer;
+  }
+
+  _renderVirtual() {
+    const total = this.items.length;
+
+    // Mede a altura média de uma linha a partir de uma amostra
+    if (!this.rowHeight && total > 0) {
+      this._renderRange(0, Math.min(total, this.overscan * 2));
+      const rows = this.container.querySelectorAll('.row:not(.header)');
+      const sampleHeight = Array.from(rows).reduce((sum, r) => sum + r.offsetHeight, 0);
+      this.rowHeight = rows.length && sampleHeight ? sampleHeight / rows.length : 48;
+    }
+
+    const rowHeight = this.rowHeight || 48;
+    const header = this.container.querySelector('.row.header');
+    const headerHeight = header ? header.offsetHeight : 0;
+    const top = this.container.getBoundingClientRect().top + window.scrollY + headerHeight;
+    const viewStart = Math.max(0, window.scrollY - top);
+    const viewEnd = viewStart + window.innerHeight;
+
+    const start = Math.max(0, Math.floor(viewStart / rowHeight) - this.overscan);
+    const end = Math.min(total, Math.ceil(viewEnd / rowHeight) + this.overscan);
+
+    if (start === this.windowStart && end === this.windowEnd) return;
+    this.windowStart = start;
+    this.windowEnd = end;
+
+    this._renderRange(start, end, {
+      topSpace: start * rowHeight,
+      bottomSpace: (total - end) * rowHeight
+    });
+  }
+
+  _onScroll() {
+    if (!this.showAll || this.printing || this.scrollFrame) return;
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      this._renderVirtual();
+    });
+  }
+
+  _renderPager() {
+    if (!this.pager) return;
+
+    const total = this.items.length;
+    const pages = this.getPageCount();
+
+    if (total <= this.pageSize) {
+      this.pager.innerHTML = '';
+      this.pager.style.display = 'none';
+      return;
+    }
+
+    const [start, end] = this.getPageRange();
+    this.pager.style.display = '';
+
+    if (this.showAll) {
+      this.pager.innerHTML = `
+        <span class="pager-info">A mostrar todos os ${total} registos</span>
+        <button class="btn secondary" data-action="paged">📄 Ver por páginas (${this.pageSize})</button>
+      `;
+    } else {
+      this.pager.innerHTML = `
+        <button class="btn secondary" data-action="first" ${this.page === 1 ? 'disabled' : ''} title="Primeira página">«</button>
+        <button class="btn secondary" data-action="prev" ${this.page === 1 ? 'disabled' : ''}>‹ Anterior</button>
+        <span class="pager-info">Página <strong>${this.page}</strong> de ${pages} • ${start + 1}–${end} de ${total}</span>
+        <button class="btn secondary" data-action="next" ${this.page === pages ? 'disabled' : ''}>Seguinte ›</button>
+        <button class="btn secondary" data-action="last" ${this.page === pages ? 'disabled' : ''} title="Última página">»</button>
+        <button class="btn" data-action="all">📜 Mostrar todos</button>
+      `;
+    }
+
+    this.pager.querySelectorAll('button[data-action]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        switch (btn.dataset.action) {
+          case 'first': this.setPage(1); break;
+          case 'prev': this.setPage(this.page - 1); break;
+          case 'next': this.setPage(this.page + 1); break;
+          case 'last': this.setPage(pages); break;
+          case 'all': this.setShowAll(true); break;
+          case 'paged': this.setShowAll(false); break;
+        }
+      });
+    });
+  }
+}
+
+window.ListRenderer = ListRenderer;
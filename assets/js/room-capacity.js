@@ -0,0 +1,201 @@
+/**
+ * Capacidade das Salas
+ * Capacidade de cada sala por centro (config/centros-etapas.json), estado de
+ * ocupação de cada turma (acima da capacidade ou abaixo do mínimo) e um
+ * assistente de equilíbrio que propõe mover catecúmenos entre turmas do
+ * mesmo centro, etapa e horário para que fiquem com tamanhos parecidos
+ *
+ * Requer assets/js/utils.js
+ */
+
+// Estados de ocupação de uma turma
+const ESTADOS_CAPACIDADE = {
+  acima: { nome: 'Acima da capacidade', icone: '🔴', cor: '#dc2626' },
+  abaixo: { nome: 'Abaixo do mínimo', icone: '🟡', cor: '#f59e0b' },
+  ok: { nome: 'Dentro da capacidade', icone: '🟢', cor: '#16a34a' }
+};
+
+class RoomCapacity {
+  /**
+   * @param {Object} options
+   * @param {Array} options.centros - Centros de config/centros-etapas.json (com salas: [{nome, capacidade}])
+   * @param {number} options.padrao - Capacidade das salas que não estão configuradas
+   * @param {number} options.ocupacaoMinima - Fração da capacidade abaixo da qual a turma fica subaproveitada
+   */
+  constructor({ centros = [], padrao = null, ocupacaoMinima = 0.5 } = {}) {
+    this.padrao = Number(padrao) || null;
+    this.ocupacaoMinima = Number(ocupacaoMinima) || 0;
+    this.centros = new Map();
+
+    for (const centro of centros) {
+      const salas = new Map((centro.salas || [])
+        .filter(sala => Number(sala.capacidade) > 0)
+        .map(sala => [RoomCapacity.salaKey(sala.nome), Number(sala.capacidade)]));
+      for (const nome of [centro.id, centro.nome, ...(centro.aliases || [])]) {
+        if (nome) this.centros.set(key(nome), { salas, padrao: Number(centro.capacidade_padrao) || null });
+      }
+    }
+  }
+
+  /**
+   * Cria o verificador a partir do ConfigManager público
+   */
+  static fromConfig(config) {
+    const capacidade = config.getCapacidadeSalas();
+    return new RoomCapacity({
+      centros: config.getCentros(),
+      padrao: capacidade.padrao,
+      ocupacaoMinima: capacidade.ocupacao_minima
+    });
+  }
+
+  /**
+   * Chave de uma sala sem a palavra "Sala" ("Sala 307" e "307" são a mesma)
+   */
+  static salaKey(sala) {
+    return key(sala).replace(/^sala/, '');
+  }
+
+  /**
+   * Capacidade de uma sala: a configurada no centro, a padrão do centro ou a padrão geral
+   * @returns {number|null}
+   */
+  capacidade(centro, sala) {
+    const configurado = this.centros.get(key(centro));
+    return configurado?.salas.get(RoomCapacity.salaKey(sala)) || configurado?.padrao || this.padrao;
+  }
+
+  /**
+   * Ocupação de uma turma
+   * @param {Object} turma - Turma com centro e sala
+   * @param {number} total - Número de catecúmenos
+   * @returns {{capacidade: number|null, total: number, ocupacao: number|null, vagas: number|null, estado: string|null}}
+   */
+  estado(turma, total) {
+    const capacidade = this.capacidade(turma.centro, turma.sala);
+    if (!capacidade) return { capacidade: null, total, ocupacao: null, vagas: null, estado: null };
+
+    const ocupacao = total / capacidade;
+    return {
+      capacidade,
+      total,
+      ocupacao,
+      vagas: capacidade - total,
+      estado: ocupacao > 1 ? 'acima' : ocupacao < this.ocupacaoMinima ? 'abaixo' : 'ok'
+    };
+  }
+
+  /**
+   * Propõe movimentos entre turmas do mesmo centro, etapa e horário (só muda
+   * a sala e os catequistas) até a ocupação ficar o mais igual possível.
+   * Saem primeiro os catecúmenos inscritos mais recentemente (última linha)
+   * @param {Array} registos - Registos com id, linha, nome, centro, etapa, sala, horario e catequistas
+   * @returns {{movimentos: Array, grupos: Array}}
+   */
+  balance(registos) {
+    const grupos = new Map();
+
+    registos.forEach(r => {
+      if (!(r.centro && r.etapa && r.sala && r.horario)) return;
+
+      const chaveGrupo = `${r.centro}|${r.etapa}|${r.horario}`;
+      if (!grupos.has(chaveGrupo)) {
+        grupos.set(chaveGrupo, { chave: chaveGrupo, centro: r.centro, etapa: r.etapa, horario: r.horario, turmas: new Map() });
+      }
+
+      const turmas = grupos.get(chaveGrupo).turmas;
+      const chave = `${r.centro}|${r.etapa}|${r.sala}|${r.horario}`;
+      if (!turmas.has(chave)) {
+        turmas.set(chave, { chave, centro: r.centro, etapa: r.etapa, sala: r.sala, horario: r.horario, catequistas: new Set(), registos: [] });
+      }
+      const turma = turmas.get(chave);
+      turma.registos.push(r);
+      (r.catequistas_lista || String(r.catequistas || '').split('|'))
+        .map(c => c.trim()).filter(Boolean).forEach(c => turma.catequistas.add(c));
+    });
+
+    const movimentos = [];
+    const resumo = [];
+
+    for (const grupo of grupos.values()) {
+      const turmas = Array.from(grupo.turmas.values()).map(t => ({
+        ...t,
+        catequistas: Array.from(t.catequistas),
+        capacidade: this.capacidade(t.centro, t.sala),
+        // Os primeiros a sair ficam no fim da lista
+        fila: [...t.registos].sort((a, b) => (a.linha || 0) - (b.linha || 0)),
+        antes: t.registos.length
+      }));
+      if (turmas.length < 2) continue;
+
+      // Sem capacidade conhecida para todas as salas, o objetivo é o mesmo número em cada turma
+      const peso = (t) => turmas.every(x => x.capacidade) ? t.capacidade : 1;
+      const ocupacao = (t, delta = 0) => (t.fila.length + delta) / peso(t);
+      const movimentosGrupo = [];
+
+      for (let i = 0; i < grupo.turmas.size * registos.length; i++) {
+        turmas.sort((a, b) => ocupacao(b) - ocupacao(a));
+        const [origem, destino] = [turmas[0], turmas[turmas.length - 1]];
+        if (origem.fila.length === 0 || ocupacao(origem, -1) < ocupacao(destino, 1)) break;
+
+        const registo = origem.fila.pop();
+        destino.fila.unshift(registo);
+        movimentosGrupo.push({ registo, de: origem, para: destino });
+      }
+
+      // Um catecúmeno que volte a passar pela turma de origem conta como um só movimento
+      const finais = new Map();
+      movimentosGrupo.forEach(m => {
+        const anterior = finais.get(m.registo.id);
+        finais.set(m.registo.id, { registo: m.registo, de: anterior ? anterior.de : m.de, para: m.para });
+      });
+      const validos = Array.from(finais.values()).filter(m => m.de !== m.para);
+      if (!validos.length) continue;
+
+      validos.forEach(({ registo, de, para }) => movimentos.push({
+        id: registo.id,
+        linha: registo.linha,
+        nome: registo.nome,
+        centro: grupo.centro,
+        etapa: grupo.etapa,
+        horario: grupo.horario,
+        de: { sala: de.sala, catequistas: de.catequistas },
+        para: { sala: para.sala, catequistas: para.catequistas }
+      }));
+      resumo.push({
+        centro: grupo.centro,
+        etapa: grupo.etapa,
+        horario: grupo.horario,
+        turmas: turmas
+          .sort((a, b) => a.sala.localeCompare(b.sala, 'pt', { numeric: true }))
+          .map(t => ({ sala: t.sala, capacidade: t.capacidade, antes: t.antes, depois: t.fila.length }))
+      });
+    }
+
+    return {
+      movimentos: movimentos.sort((a, b) =>
+        a.centro.localeCompare(b.centro, 'pt') ||
+        a.etapa.localeCompare(b.etapa, 'pt', { numeric: true }) ||
+        a.horario.localeCompare(b.horario, 'pt') ||
+        a.nome.localeCompare(b.nome, 'pt')),
+      grupos: resumo
+    };
+  }
+
+  /**
+   * Linhas para exportação em XLSX
+   */
+  static toExportRows(movimentos) {
+    return [
+      ['Linha', 'Nome', 'Centro', 'Etapa', 'Horário', 'Sala atual', 'Catequistas atuais', 'Nova sala', 'Novos catequistas'],
+      ...movimentos.map(m => [
+        m.linha, m.nome, m.centro, m.etapa, m.horario,
+        m.de.sala, m.de.catequistas.join(' | '), m.para.sala, m.para.catequistas.join(' | ')
+      ])
+    ];
+  }
+}
+
+RoomCapacity.ESTADOS = ESTADOS_CAPACIDADE;
+
+window.RoomCapacity = RoomCapacity;
@@ -0,0 +1,194 @@
+/**
+ * Pautas das Turmas
+ * Gera folhas A4 prontas a imprimir (cabeçalho da paróquia, logótipo, dados da
+ * turma, catecúmenos numerados e colunas em branco para as datas das sessões
+ * do horário), para uma turma ou para todas as turmas de um centro
+ *
+ * Requer assets/js/utils.js, assets/js/config-manager.js e assets/js/attendance.js
+ */
+
+class RosterPrinter {
+  /**
+   * @param {Object} options
+   * @param {number} options.colunasDatas - Colunas de presença por folha
+   * @param {number} options.linhasPorPagina - Catecúmenos por folha A4
+   */
+  constructor({ colunasDatas = 8, linhasPorPagina = 28 } = {}) {
+    this.colunasDatas = colunasDatas;
+    this.linhasPorPagina = linhasPorPagina;
+  }
+
+  /**
+   * Agrupa registos por turma (centro + etapa + sala + horário)
+   * @returns {Array} Turmas com catequistas e alunos ordenados por nome
+   */
+  static turmas(registos) {
+    const turmas = new Map();
+
+    for (const r of registos) {
+      const chave = [r.centro, r.etapa, r.sala, r.horario].join('§');
+      if (!turmas.has(chave)) {
+        turmas.set(chave, { centro: r.centro, etapa: r.etapa, sala: r.sala, horario: r.horario, catequistas: new Set(), alunos: [] });
+      }
+      const turma = turmas.get(chave);
+      r.catequistas_lista.forEach(c => turma.catequistas.add(c));
+      turma.alunos.push(r);
+    }
+
+    return Array.from(turmas.values())
+      .map(t => ({
+        ...t,
+        catequistas: Array.from(t.catequistas).sort((a, b) => a.localeCompare(b, 'pt')),
+        alunos: t.alunos.sort((a, b) => a.nome.localeCompare(b.nome, 'pt'))
+      }))
+      .sort((a, b) => a.centro.localeCompare(b.centro, 'pt') ||
+        a.etapa.localeCompare(b.etapa, 'pt', { numeric: true }) ||
+        String(a.sala).localeCompare(String(b.sala), 'pt', { numeric: true }) ||
+        a.horario.localeCompare(b.horario, 'pt'));
+  }
+
+  /**
+   * Próximas datas de sessão da turma, a partir de hoje (ou do início do ano)
+   * Sem dia da semana conhecido, as colunas ficam sem data
+   * @returns {Array<Date|null>}
+   */
+  getDatas(turma, referencia = new Date()) {
+    const dia = window.attendanceStore ? window.attendanceStore.getWeekday(turma.horario) : null;
+    if (dia === null) return Array(this.colunasDatas).fill(null);
+
+    const inicioAno = parseDate(window.configManager.get('settings.paroquia.data_inicio'));
+    const inicio = inicioAno && inicioAno > referencia ? inicioAno : referencia;
+    const data = new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate());
+    data.setDate(data.getDate() + ((dia - data.getDay() + 7) % 7));
+
+    return Array.from({ length: this.colunasDatas }, (_, i) =>
+      new Date(data.getFullYear(), data.getMonth(), data.getDate() + i * 7));
+  }
+
+  /**
+   * HTML das folhas de um conjunto de turmas (várias folhas por turma se necessário)
+   */
+  buildHTML(turmas, { referencia = new Date() } = {}) {
+    const paroquia = window.configManager.getParoquiaInfo();
+    const logo = window.configManager.getFilePaths().logo;
+
+    return turmas.map(turma => {
+      const datas = this.getDatas(turma, referencia);
+      const folhas = Math.max(1, Math.ceil(turma.alunos.length / this.linhasPorPagina));
+
+      return Array.from({ length: folhas }, (_, folha) => {
+        const inicio = folha * this.linhasPorPagina;
+        const alunos = turma.alunos.slice(inicio, inicio + this.linhasPorPagina);
+
+        return `
+          <section class="pauta-page">
+            <header class="pauta-header">
+              ${logo ? `<img src="${logo}" alt="" onerror="this.style.display='none'">` : ''}
+              <div>
+                <div class="pauta-paroquia">${paroquia.nome || ''}</div>
+                <div>${paroquia.secretariado || ''} — Ano Catequético ${paroquia.ano_catequetico || ''}</div>
+                <div class="pauta-titulo">Pauta de Presenças${folhas > 1 ? ` (folha ${folha + 1} de ${folhas})` : ''}</div>
+              </div>
+            </header>
+            <div class="pauta-turma">
+              <div><strong>Centro:</strong> ${turma.centro}</div>
+              <div><strong>Etapa:</strong> ${turma.etapa}</div>
+              <div><strong>Sala:</strong> ${turma.sala}</div>
+              <div><strong>Horário:</strong> ${turma.horario}</div>
+              <div class="pauta-catequistas"><strong>Catequistas:</strong> ${turma.catequistas.join(', ') || '-'}</div>
+            </div>
+            <table class="pauta-tabela">
+              <thead>
+                <tr>
+                  <th class="pauta-num">Nº</th>
+                  <th class="pauta-nome">Nome</th>
+                  <th class="pauta-nasc">Nascimento</th>
+                  ${datas.map(d => `<th class="pauta-data">${d ? fmtDate(d).slice(0, 5) : ''}</th>`).join('')}
+                </tr>
+              </thead>
+              <tbody>
+                ${alunos.map((a, i) => `
+                  <tr>
+                    <td class="pauta-num">${inicio + i + 1}</td>
+                    <td class="pauta-nome">${a.nome}</td>
+                    <td class="pauta-nasc">${a.nascimento_fmt || ''}</td>
+                    ${datas.map(() => '<td></td>').join('')}
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+            <footer class="pauta-rodape">
+              <div>P = presente · F = falta · J = falta justificada</div>
+              <div>O(A) Catequista: ________________________________</div>
+            </footer>
+          </section>
+        `;
+      }).join('');
+    }).join('');
+  }
+
+  /**
+   * Imprime as pautas: só as folhas ficam visíveis durante a impressão
+   */
+  print(turmas, options) {
+    if (!turmas.length) return false;
+    this._ensureStyles();
+
+    let container = document.getElementById('pautaPrint');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'pautaPrint';
+      container.className = 'pauta-print';
+      document.body.appendChild(container);
+    }
+
+    container.innerHTML = this.buildHTML(turmas, options);
+    document.body.classList.add('imprimir-pauta');
+
+    const limpar = () => {
+      document.body.classList.remove('imprimir-pauta');
+      container.innerHTML = '';
+      window.removeEventListener('afterprint', limpar);
+    };
+    window.addEventListener('afterprint', limpar);
+    window.print();
+    return true;
+  }
+
+  _ensureStyles() {
+    if (document.getElementById('pauta-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'pauta-styles';
+    style.textContent = `
+      .pauta-print { display: none; }
+      @media print {
+        @page { size: A4 portrait; margin: 12mm; }
+        body.imprimir-pauta > *:not(.pauta-print) { display: none !important; }
+        body.imprimir-pauta { background: #fff; }
+        body.imprimir-pauta .pauta-print { display: block; }
+      }
+      .pauta-page { page-break-after: always; break-after: page; color: #000; font-family: Arial, sans-serif; font-size: 11px; }
+      .pauta-page:last-child { page-break-after: auto; break-after: auto; }
+      .pauta-header { display: flex; gap: 12px; align-items: center; border-bottom: 2px solid #000; padding-bottom: 6px; margin-bottom: 8px; }
+      .pauta-header img { height: 56px; }
+      .pauta-paroquia { font-size: 15px; font-weight: 700; }
+      .pauta-titulo { font-size: 13px; font-weight: 700; margin-top: 4px; text-transform: uppercase; }
+      .pauta-turma { display: grid; grid-template-columns: repeat(4, auto); gap: 2px 12px; margin-bottom: 8px; }
+      .pauta-catequistas { grid-column: 1 / -1; }
+      .pauta-tabela { width: 100%; border-collapse: collapse; table-layout: fixed; }
+      .pauta-tabela th, .pauta-tabela td { border: 1px solid #000; padding: 3px 4px; height: 18px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+      .pauta-tabela th { background: #eee; font-size: 10px; }
+      .pauta-num { width: 24px; text-align: center; }
+      .pauta-nome { width: 34%; }
+      .pauta-nasc { width: 62px; text-align: center; }
+      .pauta-data { text-align: center; }
+      .pauta-rodape { display: flex; justify-content: space-between; margin-top: 10px; font-size: 10px; }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// Instância global do gerador de pautas
+window.RosterPrinter = RosterPrinter;
+window.rosterPrinter = new RosterPrinter();
@@ -0,0 +1,201 @@
+/**
+ * Conflitos de Horário
+ * Deteta catequistas com duas turmas ao mesmo tempo e salas ocupadas por
+ * duas turmas ao mesmo tempo no mesmo centro. Os horários são intervalos
+ * (dia da semana, hora de início e de fim): os de config/centros-etapas.json
+ * usam dia_semana, hora_inicio e hora_fim; os restantes são lidos do texto
+ * (ex.: "Sábado | Tarde 15h") com a duração padrão de uma sessão
+ *
+ * Requer assets/js/utils.js
+ */
+
+// Duração de uma sessão, em minutos, quando o horário só indica o início
+const DURACAO_SESSAO = 120;
+
+// Tipos de conflito, pela ordem do relatório
+const TIPOS_CONFLITO = {
+  catequista: { nome: 'Catequista em duas turmas', cor: '#dc2626' },
+  sala: { nome: 'Sala com duas turmas', cor: '#f59e0b' }
+};
+
+class ScheduleConflicts {
+  /**
+   * @param {Object} options
+   * @param {Array} options.horarios - Horários de config/centros-etapas.json
+   * @param {number} options.duracao - Duração (minutos) dos horários sem hora de fim
+   * @param {Function} options.canonical - Nome único de um catequista (variantes do mesmo nome)
+   */
+  constructor({ horarios = [], duracao = DURACAO_SESSAO, canonical = (nome) => nome } = {}) {
+    this.horarios = horarios;
+    this.duracao = duracao;
+    this.canonical = canonical;
+    this.cache = new Map();
+  }
+
+  /**
+   * Cria o detetor a partir do ConfigManager público (e do registo de catequistas, se existir)
+   */
+  static fromConfig(config) {
+    const registo = window.catequistaRegistry;
+    return new ScheduleConflicts({
+      horarios: config.getHorarios(),
+      canonical: registo ? (nome) => registo.canonical(nome) : undefined
+    });
+  }
+
+  /**
+   * Intervalo semanal de um horário
+   * @returns {{dia: number, inicio: number, fim: number}|null} Minutos desde a meia-noite,
+   *          ou null se o dia ou a hora não forem conhecidos
+   */
+  intervalo(horario) {
+    const chave = key(horario);
+    if (this.cache.has(chave)) return this.cache.get(chave);
+
+    const configurado = this.horarios.find(h => key(h.nome) === chave || key(h.id) === chave);
+    const dia = parseDiaSemana(configurado ? configurado.dia_semana : horario);
+    const inicio = parseHora(configurado ? configurado.hora_inicio : horario);
+    const fim = configurado ? parseHora(configurado.hora_fim) : null;
+
+    const intervalo = dia === null || inicio === null ? null : {
+      dia,
+      inicio,
+      fim: fim !== null && fim > inicio ? fim : inicio + this.duracao
+    };
+    this.cache.set(chave, intervalo);
+    return intervalo;
+  }
+
+  /**
+   * Dois horários sobrepõem-se se forem o mesmo ou se os intervalos se cruzarem
+   * (sessões seguidas, uma a acabar quando a outra começa, não contam)
+   */
+  sobrepoe(horarioA, horarioB) {
+    if (key(horarioA) === key(horarioB)) return true;
+
+    const a = this.intervalo(horarioA);
+    const b = this.intervalo(horarioB);
+    return !!a && !!b && a.dia === b.dia && a.inicio < b.fim && b.inicio < a.fim;
+  }
+
+  /**
+   * Turmas (centro + etapa + sala + horário, como no ranking do dashboard)
+   * @param {Array} registos - Registos com centro, etapa, sala, horario e catequistas
+   * @returns {Array<{chave, centro, etapa, sala, horario, catequistas: Array<string>, catecumenos: number}>}
+   */
+  static turmas(registos) {
+    const turmas = new Map();
+
+    registos.forEach(r => {
+      if (!(r.centro && r.etapa && r.sala && r.horario)) return;
+
+      const chave = `${r.centro}|${r.etapa}|${r.sala}|${r.horario}`;
+      if (!turmas.has(chave)) {
+        turmas.set(chave, { chave, centro: r.centro, etapa: r.etapa, sala: r.sala, horario: r.horario, catequistas: new Set(), catecumenos: 0 });
+      }
+
+      const turma = turmas.get(chave);
+      turma.catecumenos++;
+      const lista = r.catequistas_lista || String(r.catequistas || '').split('|');
+      lista.map(c => c.trim()).filter(Boolean).forEach(c => turma.catequistas.add(c));
+    });
+
+    return Array.from(turmas.values()).map(t => ({ ...t, catequistas: Array.from(t.catequistas) }));
+  }
+
+  /**
+   * Conflitos entre turmas, dois a dois
+   * @param {Array} turmas - Turmas com centro, etapa, sala, horario e catequistas
+   * @returns {Array<{id, tipo, nome, centro, sala, turmas: Array}>}
+   */
+  detect(turmas) {
+    const chaveTurma = (t) => t.chave || `${t.centro}|${t.etapa}|${t.sala}|${t.horario}`;
+    const conflitos = [];
+
+    const pares = (grupos, tipo) => {
+      for (const { nome, turmas: grupo } of grupos.values()) {
+        for (let i = 0; i < grupo.length; i++) {
+          for (let j = i + 1; j < grupo.length; j++) {
+            const [a, b] = [grupo[i], grupo[j]].sort((x, y) => chaveTurma(x).localeCompare(chaveTurma(y), 'pt'));
+            if (chaveTurma(a) !== chaveTurma(b) && this.sobrepoe(a.horario, b.horario)) {
+              conflitos.push(this._conflito(tipo, nome, a, b, chaveTurma));
+            }
+          }
+        }
+      }
+    };
+    const agrupar = (grupos, chave, nome, turma) => {
+      if (!grupos.has(chave)) grupos.set(chave, { nome, turmas: [] });
+      grupos.get(chave).turmas.push(turma);
+    };
+
+    // Mesmo catequista (pelo nome único) em turmas sobrepostas
+    const porCatequista = new Map();
+    turmas.forEach(t => {
+      new Set(t.catequistas.map(c => this.canonical(c))).forEach(nome => {
+        if (key(nome)) agrupar(porCatequista, key(nome), nome, t);
+      });
+    });
+    pares(porCatequista, 'catequista');
+
+    // Mesma sala do mesmo centro com turmas sobrepostas
+    const porSala = new Map();
+    turmas.forEach(t => agrupar(porSala, `${key(t.centro)}|${key(t.sala)}`, t.sala, t));
+    pares(porSala, 'sala');
+
+    return conflitos.sort((a, b) =>
+      Object.keys(TIPOS_CONFLITO).indexOf(a.tipo) - Object.keys(TIPOS_CONFLITO).indexOf(b.tipo) ||
+      a.nome.localeCompare(b.nome, 'pt', { numeric: true }) ||
+      a.id.localeCompare(b.id, 'pt'));
+  }
+
+  /**
+   * Conflitos que passam a existir depois de uma alteração
+   * @param {Array} antes - Turmas antes da alteração
+   * @param {Array} depois - Turmas depois da alteração
+   */
+  introduced(antes, depois) {
+    const existentes = new Set(this.detect(antes).map(c => c.id));
+    return this.detect(depois).filter(c => !existentes.has(c.id));
+  }
+
+  /**
+   * Descrição de um conflito numa linha
+   */
+  static describe(conflito) {
+    const [a, b] = conflito.turmas;
+    const turma = (t) => `${t.etapa} (${t.centro}, ${t.sala}, ${t.horario})`;
+    return conflito.tipo === 'catequista'
+      ? `${conflito.nome} está em ${turma(a)} e ${turma(b)}`
+      : `${conflito.nome} de ${conflito.centro} tem ${turma(a)} e ${turma(b)}`;
+  }
+
+  /**
+   * Linhas para exportação em XLSX
+   */
+  static toExportRows(conflitos) {
+    return [
+      ['Tipo', 'Catequista / Sala', 'Centro', 'Etapa A', 'Sala A', 'Horário A', 'Etapa B', 'Sala B', 'Horário B'],
+      ...conflitos.map(c => {
+        const [a, b] = c.turmas;
+        return [TIPOS_CONFLITO[c.tipo].nome, c.nome, c.centro, a.etapa, a.sala, a.horario, b.etapa, b.sala, b.horario];
+      })
+    ];
+  }
+
+  _conflito(tipo, nome, a, b, chaveTurma) {
+    return {
+      id: `${tipo}|${key(nome)}|${chaveTurma(a)}§${chaveTurma(b)}`,
+      tipo,
+      nome,
+      centro: a.centro === b.centro ? a.centro : `${a.centro} / ${b.centro}`,
+      sala: a.sala,
+      turmas: [a, b]
+    };
+  }
+}
+
+ScheduleConflicts.TIPOS = TIPOS_CONFLITO;
+ScheduleConflicts.DURACAO = DURACAO_SESSAO;
+
+window.ScheduleConflicts = ScheduleConflicts;
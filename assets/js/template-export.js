@@ -0,0 +1,409 @@
+/**
+ * Exportação Excel com Modelo
+ * Preenche data/template-export.xlsx (arquivos.template_export) diretamente no XML
+ * do pacote, para manter o cabeçalho da paróquia, o logótipo, as tabelas e os estilos
+ *
+ * Requer XLSX (SheetJS), assets/js/utils.js e assets/js/config-manager.js
+ */
+
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+class TemplateExporter {
+  /**
+   * Exporta as folhas usando o modelo; sem modelo, gera um workbook simples
+   * @param {Array<{name: string, header: Array, rows: Array<Array>}>} sheets
+   * @param {string} fileName - Nome do ficheiro sem extensão
+   * @returns {Promise<'template'|'plain'>}
+   */
+  async exportWorkbook(sheets, fileName) {
+    const template = await this.loadTemplate();
+
+    if (!template) {
+      console.warn('⚠️ Modelo de exportação não encontrado, a gerar workbook simples');
+      this.exportPlain(sheets, fileName);
+      return 'plain';
+    }
+
+    const bytes = this.fillTemplate(template, sheets);
+    this._download(bytes, `${fileName}.xlsx`);
+    return 'template';
+  }
+
+  /**
+   * Obtém o modelo configurado; devolve null se não existir
+   */
+  async loadTemplate() {
+    const path = window.configManager.getFilePaths().template_export;
+    if (!path) return null;
+
+    try {
+      const response = await fetch(path + '?v=' + Date.now(), { cache: 'no-cache' });
+      if (!response.ok) return null;
+
+      const buffer = await response.arrayBuffer();
+      return buffer.byteLength ? new Uint8Array(buffer) : null;
+    } catch (error) {
+      console.warn('⚠️ Erro ao obter modelo de exportação:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Workbook simples, sem formatação (usado quando o modelo falta)
+   */
+  exportPlain(sheets, fileName) {
+    const wb = XLSX.utils.book_new();
+    for (const sheet of sheets) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([sheet.header, ...sheet.rows]), sheet.name);
+    }
+    XLSX.writeFile(wb, `${fileName}.xlsx`);
+  }
+
+  /**
+   * Preenche o modelo e devolve o novo ficheiro .xlsx
+   * A data vai para exportacao.template_date_cell e as linhas começam em
+   * exportacao.template_start_cell (cabeçalho), com os dados logo abaixo
+   */
+  fillTemplate(template, sheets) {
+    const exportConfig = window.configManager.getExportConfig();
+    const startCell = XLSX.utils.decode_cell(exportConfig.template_start_cell || 'B8');
+    const dateCell = exportConfig.template_date_cell || 'B6';
+
+    const zip = XLSX.CFB.read(template, { type: 'array' });
+    const sheetPaths = this._getSheetPaths(zip);
+    const sharedStrings = this._readSharedStrings(zip);
+
+    for (const sheet of sheets) {
+      const path = sheetPaths[sheet.name];
+      if (!path) {
+        throw new Error(`Folha "${sheet.name}" não existe no modelo de exportação`);
+      }
+
+      const doc = this._readXml(zip, path);
+      const table = this._getTable(zip, path);
+
+      this._stampDate(doc, dateCell, sharedStrings);
+      this._writeRows(doc, startCell, sheet, table && table.doc);
+
+      this._writeXml(zip, path, doc);
+      if (table) this._writeXml(zip, table.path, table.doc);
+    }
+
+    this._resetCalculation(zip);
+
+    return XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true });
+  }
+
+  /**
+   * Escreve o cabeçalho na linha inicial e os dados abaixo, substituindo as
+   * linhas de exemplo do modelo e ajustando a tabela (e a linha de totais)
+   */
+  _writeRows(doc, start, sheet, tableDoc) {
+    const sheetData = doc.getElementsByTagName('sheetData')[0];
+    const headerRowNum = start.r + 1;
+    const rows = this._rowMap(sheetData);
+
+    // Fim do corpo atual: fim da tabela (com totais) ou última linha da folha
+    let tableEl = null;
+    let totalsCount = 0;
+    let bodyEnd = Math.max(headerRowNum, ...Object.keys(rows).map(Number));
+    if (tableDoc) {
+      tableEl = tableDoc.documentElement;
+      totalsCount = parseInt(tableEl.getAttribute('totalsRowCount') || '0', 10);
+      bodyEnd = XLSX.utils.decode_range(tableEl.getAttribute('ref')).e.r + 1;
+    }
+
+    // Estilos das células de dados copiados da primeira linha de exemplo
+    const sampleRow = rows[headerRowNum + 1];
+    const dataStyles = sheet.header.map((_, i) => {
+      const cell = sampleRow && this._findCell(sampleRow, XLSX.utils.encode_cell({ r: start.r + 1, c: start.c + i }));
+      return cell ? cell.getAttribute('s') : null;
+    });
+
+    const totalsRow = totalsCount ? rows[bodyEnd] : null;
+    for (let r = headerRowNum + 1; r <= bodyEnd; r++) {
+      if (rows[r]) sheetData.removeChild(rows[r]);
+    }
+
+    // Cabeçalho mantém os estilos do modelo
+    const headerRow = rows[headerRowNum] || this._insertRow(doc, sheetData, headerRowNum);
+    sheet.header.forEach((value, i) => {
+      const ref = XLSX.utils.encode_cell({ r: start.r, c: start.c + i });
+      this._setCellValue(this._getCell(doc, headerRow, ref, start.c + i), value);
+    });
+
+    // Uma tabela Excel precisa de pelo menos uma linha de dados
+    const dataCount = tableEl ? Math.max(sheet.rows.length, 1) : sheet.rows.length;
+    const spans = headerRow.getAttribute('spans');
+    let anchor = headerRow.nextSibling;
+
+    for (let i = 0; i < dataCount; i++) {
+      const rowNum = headerRowNum + 1 + i;
+      const rowEl = doc.createElementNS(SHEET_NS, 'row');
+      rowEl.setAttribute('r', rowNum);
+      if (spans) rowEl.setAttribute('spans', spans);
+
+      sheet.header.forEach((_, c) => {
+        const cell = doc.createElementNS(SHEET_NS, 'c');
+        cell.setAttribute('r', XLSX.utils.encode_cell({ r: rowNum - 1, c: start.c + c }));
+        if (dataStyles[c]) cell.setAttribute('s', dataStyles[c]);
+        this._setCellValue(cell, (sheet.rows[i] || [])[c]);
+        rowEl.appendChild(cell);
+      });
+
+      sheetData.insertBefore(rowEl, anchor);
+    }
+
+    // Linha de totais e o que vier depois descem (ou sobem) com os dados
+    const newBodyEnd = headerRowNum + dataCount + totalsCount;
+    const shift = newBodyEnd - bodyEnd;
+
+    if (totalsRow) {
+      Array.from(totalsRow.getElementsByTagName('v')).forEach(v => {
+        if (v.parentNode.getElementsByTagName('f').length) v.parentNode.removeChild(v);
+      });
+      this._moveRow(totalsRow, shift);
+      sheetData.insertBefore(totalsRow, anchor);
+    }
+
+    Object.keys(rows).map(Number).filter(r => r > bodyEnd).forEach(r => this._moveRow(rows[r], shift));
+
+    if (tableEl) {
+      const lastCol = start.c + sheet.header.length - 1;
+      const ref = XLSX.utils.encode_range({ s: start, e: { r: newBodyEnd - 1, c: lastCol } });
+      tableEl.setAttribute('ref', ref);
+
+      const autoFilter = tableEl.getElementsByTagName('autoFilter')[0];
+      if (autoFilter) {
+        autoFilter.setAttribute('ref', XLSX.utils.encode_range({ s: start, e: { r: newBodyEnd - 1 - totalsCount, c: lastCol } }));
+      }
+    }
+
+    const dimension = doc.getElementsByTagName('dimension')[0];
+    if (dimension) {
+      const range = XLSX.utils.decode_range(dimension.getAttribute('ref'));
+      range.e.r = Math.max(range.e.r + shift, newBodyEnd - 1);
+      range.e.c = Math.max(range.e.c, start.c + sheet.header.length - 1);
+      dimension.setAttribute('ref', XLSX.utils.encode_range(range));
+    }
+  }
+
+  /**
+   * Substitui a data na célula configurada, mantendo o rótulo do modelo
+   * (ex.: "Data de geração: 12/10/2025 21:08")
+   */
+  _stampDate(doc, ref, sharedStrings) {
+    const rowNum = XLSX.utils.decode_cell(ref).r + 1;
+    const sheetData = doc.getElementsByTagName('sheetData')[0];
+    const row = this._rowMap(sheetData)[rowNum] || this._insertRow(doc, sheetData, rowNum);
+    const cell = this._getCell(doc, row, ref, XLSX.utils.decode_cell(ref).c);
+
+    const current = this._getCellText(cell, sharedStrings);
+    const label = (current.match(/^[^:]*:\s*/) || ['Data de geração: '])[0];
+    this._setCellValue(cell, label + nowStamp());
+  }
+
+  _setCellValue(cell, value) {
+    while (cell.firstChild) cell.removeChild(cell.firstChild);
+    cell.removeAttribute('t');
+
+    if (value === null || value === undefined || value === '') return;
+
+    const doc = cell.ownerDocument;
+    if (typeof value === 'number' && isFinite(value)) {
+      const v = doc.createElementNS(SHEET_NS, 'v');
+      v.textContent = String(value);
+      cell.appendChild(v);
+      return;
+    }
+
+    // Texto inline evita reescrever a tabela de strings partilhadas
+    cell.setAttribute('t', 'inlineStr');
+    const is = doc.createElementNS(SHEET_NS, 'is');
+    const t = doc.createElementNS(SHEET_NS, 't');
+    t.textContent = String(value);
+    is.appendChild(t);
+    cell.appendChild(is);
+  }
+
+  _getCellText(cell, sharedStrings) {
+    const type = cell.getAttribute('t');
+    if (type === 'inlineStr') return cell.textContent;
+
+    const v = cell.getElementsByTagName('v')[0];
+    if (!v) return '';
+    return type === 's' ? (sharedStrings[parseInt(v.textContent, 10)] || '') : v.textContent;
+  }
+
+  _rowMap(sheetData) {
+    const rows = {};
+    for (const row of Array.from(sheetData.getElementsByTagName('row'))) {
+      rows[parseInt(row.getAttribute('r'), 10)] = row;
+    }
+    return rows;
+  }
+
+  _insertRow(doc, sheetData, rowNum) {
+    const row = doc.createElementNS(SHEET_NS, 'row');
+    row.setAttribute('r', rowNum);
+
+    const next = Array.from(sheetData.getElementsByTagName('row'))
+      .find(r => parseInt(r.getAttribute('r'), 10) > rowNum);
+    sheetData.insertBefore(row, next || null);
+    return row;
+  }
+
+  _moveRow(row, shift) {
+    if (!shift) return;
+    const rowNum = parseInt(row.getAttribute('r'), 10) + shift;
+    row.setAttribute('r', rowNum);
+    for (const cell of Array.from(row.getElementsByTagName('c'))) {
+      const addr = XLSX.utils.decode_cell(cell.getAttribute('r'));
+      cell.setAttribute('r', XLSX.utils.encode_cell({ r: rowNum - 1, c: addr.c }));
+    }
+  }
+
+  _findCell(row, ref) {
+    return Array.from(row.getElementsByTagName('c')).find(c => c.getAttribute('r') === ref) || null;
+  }
+
+  /**
+   * Obtém a célula da linha, criando-a na posição certa se faltar
+   */
+  _getCell(doc, row, ref, col) {
+    const existing = this._findCell(row, ref);
+    if (existing) return existing;
+
+    const cell = doc.createElementNS(SHEET_NS, 'c');
+    cell.setAttribute('r', ref);
+    const next = Array.from(row.getElementsByTagName('c'))
+      .find(c => XLSX.utils.decode_cell(c.getAttribute('r')).c > col);
+    row.insertBefore(cell, next || null);
+    return cell;
+  }
+
+  /**
+   * Nome da folha → caminho do XML no pacote
+   */
+  _getSheetPaths(zip) {
+    const workbook = this._readXml(zip, '/xl/workbook.xml');
+    const rels = this._readRels(zip, '/xl/_rels/workbook.xml.rels', '/xl/');
+    const paths = {};
+
+    for (const sheet of Array.from(workbook.getElementsByTagName('sheet'))) {
+      const relId = sheet.getAttributeNS(REL_NS, 'id') || sheet.getAttribute('r:id');
+      if (rels[relId]) paths[sheet.getAttribute('name')] = rels[relId];
+    }
+    return paths;
+  }
+
+  /**
+   * Primeira tabela (ListObject) associada à folha, se houver
+   */
+  _getTable(zip, sheetPath) {
+    const dir = sheetPath.slice(0, sheetPath.lastIndexOf('/') + 1);
+    const relsPath = `${dir}_rels/${sheetPath.slice(dir.length)}.rels`;
+    if (!XLSX.CFB.find(zip, relsPath)) return null;
+
+    const doc = this._readXml(zip, sheetPath);
+    const part = doc.getElementsByTagName('tablePart')[0];
+    if (!part) return null;
+
+    const rels = this._readRels(zip, relsPath, dir);
+    const path = rels[part.getAttributeNS(REL_NS, 'id') || part.getAttribute('r:id')];
+    return path ? { path, doc: this._readXml(zip, path) } : null;
+  }
+
+  _readRels(zip, relsPath, baseDir) {
+    const doc = this._readXml(zip, relsPath);
+    const rels = {};
+    for (const rel of Array.from(doc.getElementsByTagName('Relationship'))) {
+      rels[rel.getAttribute('Id')] = this._resolvePath(baseDir, rel.getAttribute('Target'));
+    }
+    return rels;
+  }
+
+  _resolvePath(baseDir, target) {
+    if (target.startsWith('/')) return target;
+    const parts = (baseDir + target).split('/');
+    const resolved = [];
+    for (const part of parts) {
+      if (part === '..') resolved.pop();
+      else if (part !== '.') resolved.push(part);
+    }
+    return resolved.join('/');
+  }
+
+  _readSharedStrings(zip) {
+    if (!XLSX.CFB.find(zip, '/xl/sharedStrings.xml')) return [];
+    const doc = this._readXml(zip, '/xl/sharedStrings.xml');
+    return Array.from(doc.getElementsByTagName('si')).map(si =>
+      Array.from(si.getElementsByTagName('t')).map(t => t.textContent).join('')
+    );
+  }
+
+  /**
+   * Remove a cadeia de cálculo (as células mudaram de sítio) e pede ao
+   * Excel para recalcular fórmulas como os totais ao abrir
+   */
+  _resetCalculation(zip) {
+    if (XLSX.CFB.find(zip, '/xl/calcChain.xml')) {
+      XLSX.CFB.utils.cfb_del(zip, '/xl/calcChain.xml');
+
+      const rels = this._readXml(zip, '/xl/_rels/workbook.xml.rels');
+      Array.from(rels.getElementsByTagName('Relationship'))
+        .filter(rel => /calcChain\.xml$/.test(rel.getAttribute('Target')))
+        .forEach(rel => rel.parentNode.removeChild(rel));
+      this._writeXml(zip, '/xl/_rels/workbook.xml.rels', rels);
+
+      const types = this._readXml(zip, '/[Content_Types].xml');
+      Array.from(types.getElementsByTagName('Override'))
+        .filter(o => o.getAttribute('PartName') === '/xl/calcChain.xml')
+        .forEach(o => o.parentNode.removeChild(o));
+      this._writeXml(zip, '/[Content_Types].xml', types);
+    }
+
+    const workbook = this._readXml(zip, '/xl/workbook.xml');
+    let calcPr = workbook.getElementsByTagName('calcPr')[0];
+    if (!calcPr) {
+      calcPr = workbook.createElementNS(SHEET_NS, 'calcPr');
+      const after = workbook.getElementsByTagName('definedNames')[0] || workbook.getElementsByTagName('sheets')[0];
+      workbook.documentElement.insertBefore(calcPr, after.nextSibling);
+    }
+    calcPr.setAttribute('fullCalcOnLoad', '1');
+    this._writeXml(zip, '/xl/workbook.xml', workbook);
+  }
+
+  _readXml(zip, path) {
+    const entry = XLSX.CFB.find(zip, path);
+    if (!entry) throw new Error(`Modelo de exportação inválido: falta ${path}`);
+
+    const text = new TextDecoder('utf-8').decode(new Uint8Array(entry.content));
+    return new DOMParser().parseFromString(text, 'application/xml');
+  }
+
+  _writeXml(zip, path, doc) {
+    let xml = new XMLSerializer().serializeToString(doc);
+    if (!xml.startsWith('<?xml')) {
+      xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n' + xml;
+    }
+    XLSX.CFB.find(zip, path).content = new TextEncoder().encode(xml);
+  }
+
+  _download(bytes, fileName) {
+    const blob = new Blob([new Uint8Array(bytes)], {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+}
+
+// Instância global do exportador
+window.templateExporter = new TemplateExporter();
@@ -0,0 +1,234 @@
+/**
+ * Transferências
+ * Histórico datado de transferências de catecúmenos entre centros e turmas,
+ * ou para fora da paróquia, guardado na folha opcional "Transferências" do
+ * Excel. Cada linha regista a turma de origem e a de destino; as saídas da
+ * paróquia têm a paróquia de destino em vez da turma
+ *
+ * Requer assets/js/utils.js
+ */
+
+// Nome da folha no Excel
+const FOLHA_TRANSFERENCIAS = 'Transferências';
+
+// Colunas da folha, pela ordem em que são escritas
+// Ao ler, os cabeçalhos são comparados sem acentos nem espaços
+const COLUNAS_TRANSFERENCIA = [
+  ['data', 'Data'],
+  ['nome', 'Nome'],
+  ['nascimento', 'Nascimento'],
+  ['origem_centro', 'Centro de origem'],
+  ['origem_etapa', 'Etapa de origem'],
+  ['origem_sala', 'Sala de origem'],
+  ['origem_horario', 'Horário de origem'],
+  ['destino_centro', 'Centro de destino'],
+  ['destino_etapa', 'Etapa de destino'],
+  ['destino_sala', 'Sala de destino'],
+  ['destino_horario', 'Horário de destino'],
+  ['paroquia_destino', 'Paróquia de destino'],
+  ['motivo', 'Motivo']
+];
+
+// Tipos de transferência
+const TIPOS_TRANSFERENCIA = {
+  interna: 'Mudança de turma',
+  centro: 'Entre centros',
+  saida: 'Saída da paróquia',
+  entrada: 'Entrada de outra paróquia'
+};
+
+class TransferHistory {
+  /**
+   * @param {Array<Object>} transferencias - Transferências já normalizadas
+   */
+  constructor(transferencias = []) {
+    this.transferencias = transferencias;
+  }
+
+  /**
+   * Lê o histórico a partir das linhas da folha (cabeçalho primeiro)
+   */
+  static fromSheet(folha = []) {
+    if (!folha.length) return new TransferHistory();
+
+    const colunas = new Map(folha[0].map((cabecalho, i) => [key(cabecalho), i]));
+    const valor = (linha, campo, rotulo) => {
+      const i = colunas.has(key(campo)) ? colunas.get(key(campo)) : colunas.get(key(rotulo));
+      return i === undefined ? '' : String(linha[i] ?? '').trim();
+    };
+
+    const transferencias = folha.slice(1)
+      .filter(linha => linha.some(v => String(v).trim() !== ''))
+      .map(linha => TransferHistory.criar(Object.fromEntries(
+        COLUNAS_TRANSFERENCIA.map(([campo, rotulo]) => [campo, valor(linha, campo, rotulo)])
+      )));
+
+    return new TransferHistory(transferencias);
+  }
+
+  /**
+   * Normaliza uma transferência a partir dos campos das colunas
+   * @param {Object} campos - data, nome, nascimento, origem_*, destino_*, paroquia_destino, motivo
+   */
+  static criar(campos) {
+    const turma = (prefixo) => ({
+      centro: String(campos[`${prefixo}_centro`] || '').trim(),
+      etapa: String(campos[`${prefixo}_etapa`] || '').trim(),
+      sala: String(campos[`${prefixo}_sala`] || '').trim(),
+      horario: String(campos[`${prefixo}_horario`] || '').trim()
+    });
+    const origem = turma('origem');
+    const destino = turma('destino');
+    const paroquiaDestino = String(campos.paroquia_destino || '').trim();
+
+    let tipo = 'interna';
+    if (paroquiaDestino || !destino.centro) tipo = 'saida';
+    else if (!origem.centro) tipo = 'entrada';
+    else if (key(origem.centro) !== key(destino.centro)) tipo = 'centro';
+
+    return {
+      data: parseDate(campos.data),
+      nome: String(campos.nome || '').trim(),
+      nascimento: parseDate(campos.nascimento),
+      origem,
+      destino: tipo === 'saida' ? { centro: '', etapa: '', sala: '', horario: '' } : destino,
+      paroquiaDestino,
+      motivo: String(campos.motivo || '').trim(),
+      tipo
+    };
+  }
+
+  /**
+   * Chave de um catecúmeno (nome + data de nascimento, quando existe)
+   */
+  static alunoKey(nome, nascimento) {
+    const data = parseDate(nascimento);
+    return data ? `${key(nome)}|${fmtDate(data)}` : key(nome);
+  }
+
+  /**
+   * Acrescenta uma transferência ao histórico
+   * @returns {Object} Transferência normalizada
+   */
+  add(campos) {
+    const transferencia = TransferHistory.criar(campos);
+    this.transferencias.push(transferencia);
+    return transferencia;
+  }
+
+  /**
+   * Transferências de um catecúmeno, da mais antiga para a mais recente
+   */
+  historico(nome, nascimento) {
+    const chave = TransferHistory.alunoKey(nome, nascimento);
+    const semData = !parseDate(nascimento);
+    return this.transferencias
+      .filter(t => semData ? key(t.nome) === key(nome) : TransferHistory.alunoKey(t.nome, t.nascimento) === chave)
+      .sort(TransferHistory._porData);
+  }
+
+  /**
+   * Transferências mais recentes primeiro
+   */
+  recentes(limite = 10) {
+    return [...this.transferencias].sort((a, b) => TransferHistory._porData(b, a)).slice(0, limite);
+  }
+
+  /**
+   * Entradas e saídas por centro; mudanças de turma no mesmo centro contam como internas
+   * @returns {Array<{centro: string, entradas: number, saidas: number, saidasParoquia: number, internas: number, saldo: number}>}
+   */
+  resumoPorCentro() {
+    const centros = new Map();
+    const centro = (nome) => {
+      const k = key(nome);
+      if (!centros.has(k)) {
+        centros.set(k, { centro: nome, entradas: 0, saidas: 0, saidasParoquia: 0, internas: 0, saldo: 0 });
+      }
+      return centros.get(k);
+    };
+
+    for (const t of this.transferencias) {
+      if (t.tipo === 'interna') {
+        centro(t.origem.centro).internas++;
+        continue;
+      }
+      if (t.origem.centro) {
+        const origem = centro(t.origem.centro);
+        origem.saidas++;
+        if (t.tipo === 'saida') origem.saidasParoquia++;
+      }
+      if (t.destino.centro) {
+        centro(t.destino.centro).entradas++;
+      }
+    }
+
+    return Array.from(centros.values())
+      .map(c => ({ ...c, saldo: c.entradas - c.saidas }))
+      .sort((a, b) => a.centro.localeCompare(b.centro, 'pt'));
+  }
+
+  /**
+   * Descrição curta do destino
+   */
+  static destino(t) {
+    if (t.tipo === 'saida') return t.paroquiaDestino ? `Paróquia ${t.paroquiaDestino}` : 'Fora da paróquia';
+    return TransferHistory.turma(t.destino);
+  }
+
+  /**
+   * Descrição curta de uma turma (centro • etapa • sala • horário)
+   */
+  static turma(turma) {
+    return [turma.centro, turma.etapa, turma.sala, turma.horario].filter(Boolean).join(' • ') || '-';
+  }
+
+  /**
+   * Linhas da folha "Transferências" (cabeçalho primeiro)
+   */
+  toRows() {
+    return [
+      COLUNAS_TRANSFERENCIA.map(([, rotulo]) => rotulo),
+      ...this.transferencias.map(t => [
+        t.data ? fmtDate(t.data) : '',
+        t.nome,
+        t.nascimento ? fmtDate(t.nascimento) : '',
+        t.origem.centro, t.origem.etapa, t.origem.sala, t.origem.horario,
+        t.destino.centro, t.destino.etapa, t.destino.sala, t.destino.horario,
+        t.paroquiaDestino,
+        t.motivo
+      ])
+    ];
+  }
+
+  /**
+   * Linhas para exportação em XLSX: resumo por centro seguido do histórico completo
+   */
+  toExportRows() {
+    return [
+      ['Centro', 'Entradas', 'Saídas', 'Saídas da paróquia', 'Mudanças de turma', 'Saldo'],
+      ...this.resumoPorCentro().map(c => [c.centro, c.entradas, c.saidas, c.saidasParoquia, c.internas, c.saldo]),
+      [],
+      ...this.toRows()
+    ];
+  }
+
+  static _porData(a, b) {
+    return (a.data ? a.data.getTime() : 0) - (b.data ? b.data.getTime() : 0);
+  }
+}
+
+TransferHistory.FOLHA = FOLHA_TRANSFERENCIAS;
+TransferHistory.COLUNAS = COLUNAS_TRANSFERENCIA;
+TransferHistory.TIPOS = TIPOS_TRANSFERENCIA;
+
+window.TransferHistory = TransferHistory;
+
+// Instância global nas páginas públicas, reconstruída sempre que o conjunto de dados muda
+if (window.dataStore) {
+  window.transferHistory = new TransferHistory();
+  window.dataStore.addListener((event) => {
+    if (event !== 'change') return;
+    window.transferHistory = TransferHistory.fromSheet(window.dataStore.transferenciasSheet);
+  });
+}
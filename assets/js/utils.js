@@ -8,27 +8,62 @@ const norm = (s) => (s || '').toString().normalize('NFD').replace(/[\u0300-\u036
 // Criação de chave de pesquisa (apenas letras e números)
 const key = (s) => norm(s).replace(/[^a-z0-9]/g, '');
 
+// Conversão de valores de data (serial do Excel, Date, DD/MM/AAAA, D-M-AAAA, ISO)
+const parseDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  // Serial do Excel: 1 = 1 de Janeiro de 1900 (com o erro do ano bissexto de 1900)
+  if (typeof value === 'number') {
+    if (!isFinite(value) || value <= 0) return null;
+    const utc = new Date(Math.round((value - 25569) * 86400 * 1000));
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+  }
+
+  const s = String(value).trim();
+  if (!s) return null;
+
+  if (/^\d+(\.\d+)?$/.test(s)) return parseDate(Number(s));
+
+  const m = s.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})$/);
+  if (m) {
+    const d = new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1]));
+    // Rejeita datas inexistentes como 31/02/2010
+    return d.getMonth() === Number(m[2]) - 1 ? d : null;
+  }
+
+  const iso = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) {
+    const d = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return d.getMonth() === Number(iso[2]) - 1 ? d : null;
+  }
+
+  const d = new Date(s);
+  return isNaN(d) ? null : d;
+};
+
 // Formatação de datas
 const fmtDate = (s) => {
-  if (!s) return '';
+  if (s === null || s === undefined || s === '') return '';
   if (/^\d{2}\/\d{2}\/\d{4}$/.test(s)) return s;
-  
-  const d = new Date(s);
-  if (!isNaN(d)) {
+
+  const d = parseDate(s);
+  if (d) {
     const dd = String(d.getDate()).padStart(2, '0');
     const mm = String(d.getMonth() + 1).padStart(2, '0');
     const yy = d.getFullYear();
     return `${dd}/${mm}/${yy}`;
   }
-  
-  const m = s.match(/^(\d{1,2})[-.](\d{1,2})[-.](\d{4})$/);
-  if (m) {
-    const dd = m[1].padStart(2, '0');
-    const mm = m[2].padStart(2, '0');
-    return `${dd}/${mm}/${m[3]}`;
-  }
-  
-  return s;
+
+  return String(s);
+};
+
+// Serial do Excel de uma data (o inverso de parseDate), para a célula continuar a ser uma data
+const excelSerial = (value) => {
+  const d = parseDate(value);
+  if (!d) return null;
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / 86400000 + 25569;
 };
 
 // Timestamp atual formatado
@@ -55,7 +90,24 @@ function mapHeaders(cols) {
     sala: ['sala', 'numerosala', 'turma', 'salaaula'],
     horario: ['horario', 'hora', 'turno', 'periodo', 'diaehora', 'diahora'],
     catequistas: ['catequistas', 'catequista', 'responsaveis', 'responsavel'],
-    resultado: ['resultado', 'situacao', 'status']
+    resultado: ['resultado', 'situacao', 'status'],
+    // Colunas opcionais de sacramentos (data ou Sim/Não, mais a paróquia onde foi recebido)
+    batismo: ['batismo', 'baptismo', 'batizado', 'baptizado', 'databatismo', 'databaptismo', 'datadobatismo', 'datadobaptismo', 'datadebatismo'],
+    batismo_paroquia: ['paroquiabatismo', 'paroquiabaptismo', 'paroquiadobatismo', 'paroquiadobaptismo', 'paroquiadebatismo', 'localbatismo', 'localdobatismo'],
+    primeira_comunhao: ['primeiracomunhao', '1comunhao', '1acomunhao', 'comunhao', 'dataprimeiracomunhao', 'datadaprimeiracomunhao', 'datacomunhao'],
+    primeira_comunhao_paroquia: ['paroquiaprimeiracomunhao', 'paroquiadaprimeiracomunhao', 'paroquiacomunhao', 'paroquiadacomunhao', 'localprimeiracomunhao', 'localcomunhao'],
+    crisma: ['crisma', 'crismado', 'confirmacao', 'datacrisma', 'datadacrisma', 'dataconfirmacao', 'datadaconfirmacao'],
+    crisma_paroquia: ['paroquiacrisma', 'paroquiadacrisma', 'paroquiaconfirmacao', 'paroquiadaconfirmacao', 'localcrisma', 'localdacrisma'],
+    // Colunas opcionais de contactos (dados pessoais: nunca mostrados na lista pública)
+    pai: ['pai', 'nomepai', 'nomedopai'],
+    pai_telefone: ['telefonepai', 'telefonedopai', 'telemovelpai', 'telemoveldopai', 'contactopai', 'contactodopai'],
+    mae: ['mae', 'nomemae', 'nomedamae'],
+    mae_telefone: ['telefonemae', 'telefonedamae', 'telemovelmae', 'telemoveldamae', 'contactomae', 'contactodamae'],
+    encarregado: ['encarregado', 'encarregadodeeducacao', 'encarregadoeducacao', 'nomeencarregado', 'nomedoencarregado'],
+    encarregado_parentesco: ['parentesco', 'parentescoencarregado', 'parentescodoencarregado', 'grauparentesco', 'graudeparentesco'],
+    encarregado_telefone: ['telefoneencarregado', 'telefonedoencarregado', 'telemovelencarregado', 'contactoencarregado', 'contactodoencarregado'],
+    telefone: ['telefone', 'telemovel', 'contacto', 'contato', 'telefonecontacto'],
+    contacto_preferido: ['contactopreferido', 'contatopreferido', 'contactopreferencial', 'preferido']
   };
   
   const idx = {};
@@ -69,6 +121,104 @@ function mapHeaders(cols) {
   return idx;
 }
 
+// Sacramentos acompanhados através das colunas opcionais do Excel
+const SACRAMENTOS = {
+  batismo: { nome: 'Batismo', sigla: 'B', falta: 'ainda não baptizados' },
+  primeira_comunhao: { nome: 'Primeira Comunhão', sigla: '1ªC', falta: 'sem Primeira Comunhão' },
+  crisma: { nome: 'Crisma', sigla: 'C', falta: 'ainda não crismados' }
+};
+
+// Interpreta uma coluna de sacramento: data, "Sim"/"Não" ou vazio
+// Sem coluna no Excel (valor undefined) o estado fica desconhecido (recebido = null)
+function parseSacramento(valor, paroquia) {
+  if (valor === undefined) return { recebido: null, data: '', paroquia: '' };
+
+  const texto = String(valor ?? '').trim();
+  const data = (typeof valor === 'number' && valor > 1000) || /[\/.-]/.test(texto) ? parseDate(valor) : null;
+  const recebido = !!data || ['sim', 's', 'x', 'yes', 'recebido', 'feito'].includes(norm(texto));
+
+  return { recebido, data: data ? fmtDate(data) : '', paroquia: String(paroquia ?? '').trim() };
+}
+
+// Estado de um sacramento num registo: 'recebido', 'preparacao', 'falta' ou null (sem coluna)
+// Quem não é crismado e está numa etapa de Crisma/Confirmação está em preparação
+function estadoSacramento(registo, tipo) {
+  const info = registo.sacramentos && registo.sacramentos[tipo];
+  if (!info || info.recebido === null) return null;
+  if (info.recebido) return 'recebido';
+  if (tipo === 'crisma' && /crisma|confirma/.test(key(registo.etapa))) return 'preparacao';
+  return 'falta';
+}
+
+// Contactos de família: pai, mãe e encarregado de educação, cada um com telefone
+const RELACOES_CONTACTO = {
+  pai: 'Pai',
+  mae: 'Mãe',
+  encarregado: 'Encarregado de educação'
+};
+
+// Lista de contactos de um catecúmeno a partir das colunas opcionais
+// O contacto preferido é indicado pela coluna "Contacto preferido" (pai, mãe,
+// encarregado, nome ou telefone); sem ela, é o primeiro com telefone
+function parseContactos(row) {
+  const text = (v) => (v === null || v === undefined) ? '' : String(v).trim();
+  const contactos = [];
+
+  for (const [relacao, nomeRelacao] of Object.entries(RELACOES_CONTACTO)) {
+    const nome = text(row[relacao]);
+    const telefone = text(row[`${relacao}_telefone`]);
+    if (!nome && !telefone) continue;
+
+    const parentesco = relacao === 'encarregado' ? text(row.encarregado_parentesco) : '';
+    contactos.push({ tipo: relacao, nome, relacao: parentesco || nomeRelacao, telefone, preferido: false });
+  }
+
+  // Telefone geral: fica com o contacto sem telefone ou como contacto próprio
+  const telefone = text(row.telefone);
+  if (telefone && !contactos.some(c => c.telefone === telefone)) {
+    const semTelefone = contactos.find(c => !c.telefone);
+    if (semTelefone) semTelefone.telefone = telefone;
+    else contactos.push({ tipo: 'geral', nome: '', relacao: 'Contacto', telefone, preferido: false });
+  }
+
+  const preferencia = key(row.contacto_preferido);
+  const preferido = (preferencia && contactos.find(c =>
+    key(c.tipo) === preferencia || key(c.relacao) === preferencia ||
+    (c.nome && key(c.nome) === preferencia) || (c.telefone && key(c.telefone) === preferencia)))
+    || contactos.find(c => c.telefone);
+  if (preferido) preferido.preferido = true;
+
+  return contactos;
+}
+
+// Dias da semana por nome normalizado
+const DIAS_SEMANA = {
+  domingo: 0, segunda: 1, terca: 2, quarta: 3, quinta: 4, sexta: 5, sabado: 6
+};
+
+// Dia da semana (0 = domingo) de um texto como "Sábado", "5ª Feira | Noite 19h" ou "Terça"
+function parseDiaSemana(texto) {
+  // NFKD converte "5ª" em "5a"
+  const t = norm(String(texto || '').normalize('NFKD'));
+  const feira = t.match(/\b([2-6])\s*a?\s*(feira|f)\b/);
+  if (feira) return parseInt(feira[1], 10) - 1;
+
+  for (const [nome, dia] of Object.entries(DIAS_SEMANA)) {
+    if (t.includes(nome)) return dia;
+  }
+  return null;
+}
+
+// Hora em minutos desde a meia-noite ("14:00", "15h", "15h30", "Tarde 15h") ou null
+function parseHora(texto) {
+  const m = norm(texto).match(/\b(\d{1,2})\s*(?:h|:)\s*(\d{2})?/);
+  if (!m) return null;
+
+  const horas = parseInt(m[1], 10);
+  const minutos = m[2] ? parseInt(m[2], 10) : 0;
+  return horas < 24 && minutos < 60 ? horas * 60 + minutos : null;
+}
+
 // Debounce para otimizar pesquisas
 function debounce(func, wait) {
   let timeout;
@@ -82,6 +232,31 @@ function debounce(func, wait) {
   };
 }
 
+// Lê o estado dos filtros da query string (links partilháveis)
+const readQueryState = (keys) => {
+  const params = new URLSearchParams(window.location.search);
+  const state = {};
+  keys.forEach(k => { state[k] = params.get(k) || ''; });
+  return state;
+};
+
+// Escreve o estado dos filtros na query string sem recarregar a página
+// push = true cria uma entrada no histórico (voltar/avançar); caso contrário substitui a atual
+const writeQueryState = (state, { push = false } = {}) => {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(state).forEach(([k, v]) => {
+    const value = (v || '').toString().trim();
+    if (value) params.set(k, value);
+    else params.delete(k);
+  });
+
+  const qs = params.toString();
+  const url = window.location.pathname + (qs ? '?' + qs : '') + window.location.hash;
+  if (url === window.location.pathname + window.location.search + window.location.hash) return;
+
+  window.history[push ? 'pushState' : 'replaceState'](state, '', url);
+};
+
 // Validação de email
 const isValidEmail = (email) => {
   const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -95,21 +270,17 @@ const isValidPhone = (phone) => {
 };
 
 // Cálculo de idade a partir da data de nascimento
-const calculateAge = (birthDate) => {
-  if (!birthDate) return null;
-  
-  const birth = new Date(birthDate);
-  const today = new Date();
-  
-  if (isNaN(birth)) return null;
-  
-  let age = today.getFullYear() - birth.getFullYear();
-  const monthDiff = today.getMonth() - birth.getMonth();
-  
-  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
+const calculateAge = (birthDate, reference = new Date()) => {
+  const birth = parseDate(birthDate);
+  if (!birth) return null;
+
+  let age = reference.getFullYear() - birth.getFullYear();
+  const monthDiff = reference.getMonth() - birth.getMonth();
+
+  if (monthDiff < 0 || (monthDiff === 0 && reference.getDate() < birth.getDate())) {
     age--;
   }
-  
+
   return age;
 };
 
@@ -121,6 +292,11 @@ const formatNumber = (num, decimals = 0) => {
   }).format(num);
 };
 
+// Escapa texto para interpolar em innerHTML
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
+
 // Geração de ID único
 const generateId = () => {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
@@ -309,15 +485,25 @@ window.loading = new LoadingManager();
 window.utils = {
   norm,
   key,
+  parseDate,
   fmtDate,
+  excelSerial,
   nowStamp,
   uniq,
   mapHeaders,
+  parseContactos,
+  parseDiaSemana,
+  parseHora,
+  parseSacramento,
+  estadoSacramento,
+  readQueryState,
+  writeQueryState,
   debounce,
   isValidEmail,
   isValidPhone,
   calculateAge,
   formatNumber,
+  escapeHtml,
   generateId,
   copyToClipboard
 };
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * Comparação entre Anos Catequéticos
+ * Inscritos, taxa de aprovação, taxa de desistência e número de turmas de
+ * cada ano, no total ou por centro / etapa, para a vista de evolução do
+ * dashboard
+ *
+ * Requer assets/js/utils.js
+ */
+
+// Indicadores comparados, pela ordem da tabela
+const METRICAS_ANO = {
+  inscritos: { nome: 'Inscritos', percentagem: false },
+  aprovacao: { nome: 'Taxa de aprovação', percentagem: true },
+  desistencia: { nome: 'Taxa de desistência', percentagem: true },
+  turmas: { nome: 'Turmas', percentagem: false }
+};
+
+// Agrupamentos disponíveis
+const DIMENSOES_ANO = {
+  total: 'Total',
+  centro: 'Por centro',
+  etapa: 'Por etapa'
+};
+
+class YearComparison {
+  /**
+   * Indicadores de um conjunto de registos
+   * @returns {{inscritos: number, aprovados: number, desistentes: number, turmas: number, aprovacao: number|null, desistencia: number|null}}
+   */
+  static resumo(registos) {
+    const inscritos = registos.length;
+    const aprovados = registos.filter(r => r.resultado_key === 'aprovado').length;
+    const desistentes = registos.filter(r => r.resultado_key === 'desistente').length;
+    const turmas = new Set(registos
+      .filter(r => r.centro && r.etapa && r.sala && r.horario)
+      .map(r => `${r.centro}|${r.etapa}|${r.sala}|${r.horario}`)).size;
+
+    return {
+      inscritos,
+      aprovados,
+      desistentes,
+      turmas,
+      aprovacao: inscritos ? aprovados / inscritos * 100 : null,
+      desistencia: inscritos ? desistentes / inscritos * 100 : null
+    };
+  }
+
+  /**
+   * Compara vários anos
+   * @param {Map<string, Array>|Object} porAno - Registos de cada ano catequético
+   * @param {string} dimensao - Chave de DIMENSOES_ANO
+   * @returns {{anos: Array<string>, grupos: Array<{nome: string, valores: Object<string, Object>}>}}
+   *          Anos do mais antigo para o mais recente; valores[ano] é o resumo do grupo nesse ano
+   */
+  static comparar(porAno, dimensao = 'total') {
+    const entradas = porAno instanceof Map ? Array.from(porAno.entries()) : Object.entries(porAno);
+    const anos = entradas.map(([ano]) => ano).sort((a, b) => a.localeCompare(b, 'pt', { numeric: true }));
+    const registosDe = new Map(entradas);
+
+    const nomes = dimensao === 'total'
+      ? [DIMENSOES_ANO.total]
+      : uniq(entradas.flatMap(([, registos]) => registos.map(r => r[dimensao])))
+        .sort((a, b) => a.localeCompare(b, 'pt', { numeric: true }));
+
+    const grupos = nomes.map(nome => ({
+      nome,
+      valores: Object.fromEntries(anos.map(ano => {
+        const registos = registosDe.get(ano);
+        return [ano, YearComparison.resumo(dimensao === 'total' ? registos : registos.filter(r => r[dimensao] === nome))];
+      }))
+    }));
+
+    return { anos, grupos };
+  }
+
+  /**
+   * Valor formatado de um indicador
+   */
+  static formatar(resumo, metrica) {
+    const valor = resumo[metrica];
+    if (valor === null || valor === undefined) return '-';
+    return METRICAS_ANO[metrica].percentagem ? `${valor.toFixed(1)}%` : formatNumber(valor);
+  }
+
+  /**
+   * Linhas para exportação em XLSX: um grupo por linha, um ano por coluna em cada indicador
+   */
+  static toExportRows(comparacao) {
+    const metricas = Object.entries(METRICAS_ANO);
+    return [
+      ['Grupo', ...metricas.flatMap(([, info]) => comparacao.anos.map(ano => `${info.nome} ${ano}`))],
+      ...comparacao.grupos.map(grupo => [
+        grupo.nome,
+        ...metricas.flatMap(([metrica, info]) => comparacao.anos.map(ano => {
+          const valor = grupo.valores[ano][metrica];
+          return valor === null ? '' : info.percentagem ? Number(valor.toFixed(1)) : valor;
+        }))
+      ])
+    ];
+  }
+}
+
+YearComparison.METRICAS = METRICAS_ANO;
+YearComparison.DIMENSOES = DIMENSOES_ANO;
+
+window.YearComparison = YearComparison;
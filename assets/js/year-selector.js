@@ -0,0 +1,69 @@
+/**
+ * Seletor de Ano Catequético
+ * Troca o ano mostrado no cabeçalho (#anoCatequetico) por uma lista com os
+ * anos de settings.json › anos. Ao escolher outro ano a página recarrega e
+ * todas as páginas passam a ler o Excel desse ano, até se voltar ao atual
+ *
+ * Requer assets/js/utils.js e assets/js/config-manager.js
+ */
+
+class YearSelector {
+  /**
+   * Monta o seletor ao lado de um elemento (por omissão #anoCatequetico)
+   * Só aparece quando há mais de um ano configurado
+   */
+  static async mount(alvo = document.getElementById('anoCatequetico')) {
+    if (!alvo) return null;
+
+    const config = await window.waitForConfig().catch(() => window.configManager);
+    const anos = config.getAnos();
+    if (anos.length < 2) return null;
+
+    YearSelector._ensureStyles();
+    const selecionado = config.getAnoSelecionado();
+
+    const select = document.createElement('select');
+    select.id = 'anoSelector';
+    select.className = 'ano-selector';
+    select.title = 'Ano catequético';
+    select.innerHTML = anos.map(a =>
+      `<option value="${a.ano}" ${a.ano === selecionado ? 'selected' : ''}>${a.ano}${a.atual ? ' (atual)' : ''}</option>`
+    ).join('');
+    select.addEventListener('change', () => {
+      config.selecionarAno(select.value);
+      window.location.reload();
+    });
+
+    alvo.style.display = 'none';
+    alvo.insertAdjacentElement('afterend', select);
+
+    if (selecionado !== config.getAnoAtual()) {
+      const aviso = document.createElement('span');
+      aviso.className = 'ano-anterior';
+      aviso.textContent = 'a ver um ano anterior';
+      select.insertAdjacentElement('afterend', aviso);
+    }
+    return select;
+  }
+
+  static _ensureStyles() {
+    if (document.getElementById('ano-selector-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'ano-selector-styles';
+    style.textContent = `
+      .ano-selector { font: inherit; font-weight: 700; padding: 1px 4px; border: 1px solid #d1d5db; border-radius: 6px; background: #fff; cursor: pointer; }
+      .ano-anterior { margin-left: 6px; padding: 1px 8px; border-radius: 999px; background: #fef3c7; color: #92400e; font-size: 12px; font-weight: 600; }
+      @media print { .ano-selector { border: none; appearance: none; } .ano-anterior { display: none; } }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+window.YearSelector = YearSelector;
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => YearSelector.mount());
+} else {
+  YearSelector.mount();
+}